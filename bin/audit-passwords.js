@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * AUDITORÍA OFFLINE DE CONTRASEÑAS
+ *
+ * Evalúa cada contraseña de un CSV (fichero o stdin) con el mismo
+ * evaluador que la API, sin arrancar Express, y genera un informe JSON o
+ * HTML autocontenido. Las contraseñas se identifican solo por su número de
+ * fila en el fichero (la cabecera es la fila 1), nunca por su texto.
+ *
+ * Uso: node bin/audit-passwords.js [fichero|-] [opciones]
+ *   -c, --column <nombre|n>   Columna por nombre de cabecera o posición (1-based). Por defecto: 1
+ *       --no-header           El CSV no tiene fila de cabecera
+ *   -f, --format <json|html>  Formato del informe. Por defecto: json
+ *   -o, --output <ruta>       Escribe el informe en un fichero (por defecto, stdout)
+ *       --min-level <1-5>     Nivel mínimo aceptado (finalCategory). Por defecto: 3 (Fuerte)
+ *       --top <n>             Peores contraseñas listadas. Por defecto: 10
+ *       --lang <código>       Idioma de las categorías (es, en...). Por defecto: es
+ *
+ * Códigos de salida (para CI):
+ *   0  todas las contraseñas alcanzan el nivel mínimo
+ *   1  alguna contraseña está por debajo del nivel mínimo o no se pudo evaluar
+ *   2  error de uso, de lectura de la entrada o interno
+ */
+import { readFile, writeFile } from 'fs/promises';
+import { basename } from 'path';
+import { parseArgs } from 'util';
+import Papa from 'papaparse';
+import { PasswordEvaluator } from '../src/passwordEvaluator.js';
+import { I18n } from '../src/i18n.js';
+import { logger } from '../src/logger.js';
+
+const EXIT_OK = 0;
+const EXIT_FINDINGS = 1;
+const EXIT_USAGE = 2;
+
+const FORMATS = ['json', 'html'];
+
+const parseOptions = () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      column: { type: 'string', short: 'c', default: '1' },
+      'no-header': { type: 'boolean', default: false },
+      format: { type: 'string', short: 'f', default: 'json' },
+      output: { type: 'string', short: 'o' },
+      'min-level': { type: 'string', default: '3' },
+      top: { type: 'string', default: '10' },
+      lang: { type: 'string', default: I18n.DEFAULT_LOCALE }
+    }
+  });
+
+  const options = {
+    input: positionals[0] || '-',
+    column: values.column,
+    hasHeader: !values['no-header'],
+    format: values.format.toLowerCase(),
+    output: values.output,
+    minLevel: Number(values['min-level']),
+    top: Number(values.top),
+    locale: I18n.matchLocale(values.lang)
+  };
+
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`INVALID_FORMAT: Formatos soportados: ${FORMATS.join(', ')}`);
+  }
+  if (!Number.isInteger(options.minLevel) || options.minLevel < 1 || options.minLevel > 5) {
+    throw new Error('INVALID_MIN_LEVEL: --min-level debe ser un entero entre 1 y 5');
+  }
+  if (!Number.isInteger(options.top) || options.top < 0) {
+    throw new Error('INVALID_TOP: --top debe ser un entero no negativo');
+  }
+  if (!options.locale) {
+    throw new Error(`INVALID_LANG: Idiomas soportados: ${I18n.supportedLocales.join(', ')}`);
+  }
+
+  return options;
+};
+
+const readInput = async (input) => {
+  if (input !== '-') return readFile(input, 'utf8');
+
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * CSV → [{ row, password }], con row = fila del fichero (1-based)
+ */
+const extractColumn = (text, column, hasHeader) => {
+  const { data } = Papa.parse(text, { skipEmptyLines: false });
+  const header = hasHeader ? data[0] || [] : null;
+
+  let columnIndex;
+  if (/^\d+$/.test(column)) {
+    columnIndex = Number(column) - 1;
+    if (columnIndex < 0) throw new Error('INVALID_COLUMN: Las posiciones de columna empiezan en 1');
+  } else {
+    columnIndex = header ? header.findIndex(name => name.trim() === column) : -1;
+    if (columnIndex === -1) throw new Error(`INVALID_COLUMN: No existe la columna "${column}" en la cabecera`);
+  }
+
+  const entries = [];
+  data.forEach((fields, index) => {
+    if (hasHeader && index === 0) return;
+    // Líneas vacías (incluida la final del fichero)
+    if (fields.length === 1 && fields[0] === '') return;
+    entries.push({ row: index + 1, password: fields[columnIndex] });
+  });
+  return entries;
+};
+
+// Los logs del evaluador (ya redactados) van a stderr: stdout es solo el informe
+logger.configure({ write: (line) => process.stderr.write(`${line}\n`) });
+
+const audit = async (entries, { minLevel, top, locale }) => {
+  await PasswordEvaluator.ensureDictionaryLoaded();
+
+  const evaluations = [];
+  const findings = [];
+  const errors = [];
+
+  for (const [k, { row, password }] of entries.entries()) {
+    try {
+      const evaluation = await PasswordEvaluator.evaluatePasswordSecurely(password ?? '', { locale });
+      evaluations.push(evaluation);
+
+      findings.push({
+        row,
+        category: evaluation.strengthEvaluation.finalCategory,
+        categoryCode: evaluation.strengthEvaluation.finalCategoryCode,
+        level: evaluation.strengthEvaluation.level,
+        estimatedEntropy: evaluation.entropyAnalysis.estimated.value,
+        inDictionary: evaluation.dictionaryAnalysis.isCommonPassword,
+        similarityType: evaluation.similarityAnalysis.isSimilar ? evaluation.similarityAnalysis.similarityType : null,
+        riskLevel: evaluation.similarityAnalysis.riskLevel
+      });
+    } catch (error) {
+      errors.push({ row, error: error.message.split(':')[0] });
+    }
+
+    if ((k + 1) % 100 === 0) process.stderr.write(`   Evaluadas: ${k + 1}/${entries.length}\n`);
+  }
+
+  const belowMinimum = findings.filter(finding => finding.level < minLevel);
+  const worstOffenders = [...belowMinimum]
+    .sort((a, b) => (a.level - b.level) || (a.estimatedEntropy - b.estimatedEntropy) || (a.row - b.row))
+    .slice(0, top);
+
+  return {
+    aggregates: PasswordEvaluator.aggregateEvaluations(evaluations, entries.length),
+    belowMinimum: belowMinimum.length,
+    worstOffenders,
+    errors
+  };
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+const renderTable = (headers, rows) => `
+    <table>
+      <thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+      <tbody>${rows.length === 0
+        ? `<tr><td colspan="${headers.length}">—</td></tr>`
+        : rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell ?? '—')}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>`;
+
+const renderHtml = (report, locale) => {
+  const { summary, aggregates, worstOffenders, errors } = report;
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>Auditoría de contraseñas — ${escapeHtml(report.source)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    h1 { font-size: 1.4rem; }
+    h2 { font-size: 1.1rem; margin-top: 2rem; }
+    table { border-collapse: collapse; margin-top: .5rem; }
+    th, td { border: 1px solid #ccc; padding: .3rem .7rem; text-align: left; }
+    th { background: #f3f3f3; }
+    .status { display: inline-block; padding: .3rem .7rem; border-radius: 4px; color: #fff; }
+    .pass { background: #2e7d32; }
+    .fail { background: #c62828; }
+  </style>
+</head>
+<body>
+  <h1>Auditoría de contraseñas</h1>
+  <p>Origen: <code>${escapeHtml(report.source)}</code> · columna <code>${escapeHtml(report.column)}</code> · ${escapeHtml(report.generatedAt)}</p>
+  <p><span class="status ${summary.passed ? 'pass' : 'fail'}">${summary.passed ? 'APROBADA' : 'NO APROBADA'}</span>
+     ${summary.belowMinimum} de ${summary.total} por debajo del nivel ${summary.minLevel} · ${summary.errors} sin evaluar</p>
+
+  <h2>Categorías</h2>${renderTable(['Categoría', 'Contraseñas'],
+    Object.entries(aggregates.categoryDistribution).map(([code, count]) => [I18n.t(code, {}, locale), count]))}
+
+  <h2>Diccionario y similitud</h2>${renderTable(['Métrica', 'Contraseñas', '%'], [
+    ['En el diccionario', aggregates.dictionaryHits.count, aggregates.dictionaryHits.percentage],
+    ['Similares a una común', aggregates.similarPasswords.count, aggregates.similarPasswords.percentage]
+  ])}
+  ${renderTable(['Tipo de similitud', 'Contraseñas'], Object.entries(aggregates.similarityTypes))}
+
+  <h2>Peores contraseñas (por fila)</h2>${renderTable(
+    ['Fila', 'Categoría', 'Nivel', 'Entropía estimada', 'En diccionario', 'Similitud', 'Riesgo'],
+    worstOffenders.map(finding => [finding.row, finding.category, finding.level, finding.estimatedEntropy,
+      finding.inDictionary ? 'Sí' : 'No', finding.similarityType, finding.riskLevel])
+  )}
+
+  <h2>Filas sin evaluar</h2>${renderTable(['Fila', 'Error'], errors.map(({ row, error }) => [row, error]))}
+</body>
+</html>
+`;
+};
+
+const main = async () => {
+  let options;
+  let entries;
+  try {
+    options = parseOptions();
+    entries = extractColumn(await readInput(options.input), options.column, options.hasHeader);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_USAGE;
+  }
+
+  const started = Date.now();
+  process.stderr.write(`🔍 Auditando ${entries.length} contraseñas...\n`);
+
+  const result = await audit(entries, options);
+  const passed = result.belowMinimum === 0 && result.errors.length === 0;
+
+  const report = {
+    source: options.input === '-' ? 'stdin' : basename(options.input),
+    column: options.column,
+    generatedAt: new Date().toISOString(),
+    summary: {
+      total: entries.length,
+      evaluated: result.aggregates.evaluated,
+      errors: result.errors.length,
+      minLevel: options.minLevel,
+      belowMinimum: result.belowMinimum,
+      passed
+    },
+    aggregates: result.aggregates,
+    worstOffenders: result.worstOffenders,
+    errors: result.errors,
+    dictionarySize: PasswordEvaluator.commonPasswords.size,
+    processingTimeMs: Date.now() - started
+  };
+
+  const output = options.format === 'html' ? renderHtml(report, options.locale) : `${JSON.stringify(report, null, 2)}\n`;
+  if (options.output) {
+    await writeFile(options.output, output);
+    process.stderr.write(`💾 Informe escrito: ${options.output}\n`);
+  } else {
+    process.stdout.write(output);
+  }
+
+  process.stderr.write(`${passed ? '✅' : '❌'} ${result.belowMinimum} por debajo del nivel ${options.minLevel}, ${result.errors.length} sin evaluar\n`);
+  return passed ? EXIT_OK : EXIT_FINDINGS;
+};
+
+main()
+  .then((code) => { process.exitCode = code; })
+  .catch((error) => {
+    console.error(`❌ Error en la auditoría: ${error.message}`);
+    process.exitCode = EXIT_USAGE;
+  });
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * COMPILADOR DEL DICCIONARIO
+ *
+ * Convierte el CSV de contraseñas comunes en el índice binario compacto que
+ * ensureDictionaryLoaded() prefiere al arrancar.
+ *
+ * Uso: node bin/build-dictionary-index.js [csv] [índice]
+ */
+import { createReadStream } from 'fs';
+import { writeFile, rename, rm } from 'fs/promises';
+import { createInterface } from 'readline';
+import { DictionaryIndex } from '../src/dictionaryIndex.js';
+import { PasswordEvaluator } from '../src/passwordEvaluator.js';
+
+const csvPath = process.argv[2] || PasswordEvaluator.DICTIONARY_CSV_PATH;
+const indexPath = process.argv[3] || PasswordEvaluator.DICTIONARY_INDEX_PATH;
+
+// Entradas en orden de frecuencia (columna de rango): el índice guarda ese orden
+const readEntries = async (path) => {
+  const records = [];
+  const lines = createInterface({ input: createReadStream(path, 'utf8'), crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    const record = DictionaryIndex.parseCSVRecord(line);
+    if (record !== null) records.push(record);
+  }
+
+  return DictionaryIndex.frequencyOrder(records);
+};
+
+const verify = (index, entries) => {
+  const expected = new Set(entries);
+
+  if (index.size !== expected.size) {
+    throw new Error(`VERIFICATION_FAILED: ${index.size} entradas en el índice, ${expected.size} esperadas`);
+  }
+  for (const entry of expected) {
+    if (!index.has(entry)) {
+      throw new Error('VERIFICATION_FAILED: Entrada del CSV ausente en el índice');
+    }
+  }
+  for (const entry of index.sortedEntries()) {
+    if (!expected.has(entry)) {
+      throw new Error('VERIFICATION_FAILED: Entrada del índice ausente en el CSV');
+    }
+  }
+};
+
+const main = async () => {
+  const started = Date.now();
+
+  console.log(`📁 Leyendo CSV: ${csvPath}`);
+  const entries = await readEntries(csvPath);
+  console.log(`   Entradas válidas: ${entries.length.toLocaleString()}`);
+
+  const buffer = DictionaryIndex.build(entries);
+
+  // Se verifica antes de escribir: el servidor prefiere el índice al CSV,
+  // así que un índice incorrecto no debe llegar a disco
+  console.log('🔍 Verificando que las búsquedas coinciden con el CSV...');
+  verify(new DictionaryIndex(buffer), entries);
+
+  // Fichero temporal + rename: quien lea el índice ve el anterior o el nuevo, nunca uno a medias
+  const temporaryPath = `${indexPath}.${process.pid}.tmp`;
+  try {
+    await writeFile(temporaryPath, buffer);
+    await rename(temporaryPath, indexPath);
+  } catch (error) {
+    await rm(temporaryPath, { force: true });
+    throw error;
+  }
+  console.log(`💾 Índice escrito: ${indexPath} (${(buffer.length / 1024 / 1024).toFixed(2)} MB)`);
+
+  console.log(`✅ Índice verificado: ${new Set(entries).size.toLocaleString()} entradas únicas en ${Date.now() - started} ms`);
+};
+
+main().catch((error) => {
+  console.error(`❌ Error compilando el diccionario: ${error.message}`);
+  process.exit(1);
+});
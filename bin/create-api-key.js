@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * GENERADOR DE API KEYS
+ *
+ * Crea una clave aleatoria (CSPRNG) y la entrada para API_KEYS_FILE con su
+ * SHA-256. La clave solo se muestra aquí: el servidor guarda el hash.
+ *
+ * Uso: node bin/create-api-key.js --id <id> [opciones]
+ *       --tenant <nombre>          Nombre del equipo. Por defecto: el id
+ *       --endpoints <a,b,...>      Endpoints permitidos. Por defecto: todos salvo admin
+ *       --quota <limite/segundos>  Cuota del tenant (p. ej. 1000/3600)
+ *       --lang <código>            Idioma por defecto (es, en...)
+ *       --policy <preset>          Política por defecto de /validate
+ */
+import { randomBytes } from 'crypto';
+import { parseArgs } from 'util';
+import { ApiKeyAuth } from '../src/apiKeyAuth.js';
+
+const KEY_PREFIX = 'pea_';
+
+const parseOptions = () => {
+  const { values } = parseArgs({
+    options: {
+      id: { type: 'string' },
+      tenant: { type: 'string' },
+      endpoints: { type: 'string' },
+      quota: { type: 'string' },
+      lang: { type: 'string' },
+      policy: { type: 'string' }
+    }
+  });
+
+  const entry = { id: values.id };
+  if (values.tenant) entry.tenant = values.tenant;
+  if (values.endpoints) entry.endpoints = values.endpoints.split(',').map(endpoint => endpoint.trim());
+  if (values.quota) {
+    const match = /^(\d+)\/(\d+)$/.exec(values.quota);
+    if (!match) throw new Error('INVALID_QUOTA: --quota debe tener el formato limite/segundos');
+    entry.quota = { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+  }
+  if (values.lang) entry.lang = values.lang;
+  if (values.policy) entry.policy = values.policy;
+
+  return entry;
+};
+
+try {
+  const apiKey = KEY_PREFIX + randomBytes(32).toString('base64url');
+  const { id, ...settings } = parseOptions();
+  const entry = { id, keyHash: ApiKeyAuth.hashKey(apiKey), ...settings };
+
+  // Mismas comprobaciones que al arrancar el servidor
+  ApiKeyAuth.validateEntry(entry);
+
+  console.error(`🔑 API key (se muestra una sola vez): ${apiKey}`);
+  console.error(`   Añada esta entrada a "keys" en ${process.env.API_KEYS_FILE || ApiKeyAuth.DEFAULT_KEYS_FILE}:\n`);
+  console.log(JSON.stringify(entry, null, 2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(2);
+}
@@ -0,0 +1,150 @@
+/**
+ * AUTÓMATA AHO-CORASICK SOBRE EL DICCIONARIO
+ *
+ * Encuentra en una sola pasada lineal todas las contraseñas comunes que
+ * aparecen dentro de un texto. El trie se construye a partir de la lista
+ * ordenada de EditDistanceIndex (con su lcp) y se guarda en arrays tipados
+ * para que 1M de patrones quepa en memoria sin objetos por nodo ni por patrón:
+ *   - hijos como lista enlazada (firstChild / nextSibling / nodeChar)
+ *   - la raíz con tabla directa por código de carácter
+ *   - fail: enlace de fallo, output: patrón que termina en el nodo (su
+ *     posición en la lista ordenada; el texto se extrae solo al encontrarlo),
+ *     dictLink: siguiente nodo con patrón en la cadena de fallos
+ */
+export class AhoCorasickAutomaton {
+
+  static ROOT = 0;
+  static NONE = -1;
+
+  constructor(capacity, entries) {
+    this.nodeCount = 1;
+    this.firstChild = new Int32Array(capacity).fill(AhoCorasickAutomaton.NONE);
+    this.nextSibling = new Int32Array(capacity).fill(AhoCorasickAutomaton.NONE);
+    this.nodeChar = new Uint16Array(capacity);
+    this.fail = new Int32Array(capacity);
+    this.output = new Int32Array(capacity).fill(AhoCorasickAutomaton.NONE);
+    this.dictLink = new Int32Array(capacity).fill(AhoCorasickAutomaton.NONE);
+    this.rootChildren = new Int32Array(65536).fill(AhoCorasickAutomaton.NONE);
+    this.entries = entries;
+    this.patternCount = 0;
+  }
+
+  /**
+   * CONSTRUCCIÓN: Entradas ordenadas + prefijo común con la anterior
+   *
+   * @param {EditDistanceIndex} entries - Lista ordenada (text, offsets, lcp, entry(k))
+   * @param {number} minLength - Solo se reportan patrones de esta longitud o más
+   */
+  static build(entries, minLength = 4) {
+    const { text, offsets, lcp, size } = entries;
+
+    // Nodos necesarios: caracteres no compartidos con la entrada anterior
+    let capacity = 1;
+    for (let k = 0; k < size; k++) {
+      const length = offsets[k + 1] - offsets[k];
+      capacity += length - Math.min(lcp[k], length);
+    }
+
+    const automaton = new AhoCorasickAutomaton(capacity, entries);
+    const path = [AhoCorasickAutomaton.ROOT];
+
+    for (let k = 0; k < size; k++) {
+      const start = offsets[k];
+      const length = offsets[k + 1] - start;
+      const shared = Math.min(lcp[k], length);
+
+      for (let depth = shared; depth < length; depth++) {
+        path[depth + 1] = automaton.addChild(path[depth], text.charCodeAt(start + depth));
+      }
+
+      if (length >= minLength) {
+        automaton.output[path[length]] = k;
+        automaton.patternCount++;
+      }
+    }
+
+    automaton.buildFailLinks();
+    return automaton;
+  }
+
+  addChild(parent, code) {
+    const node = this.nodeCount++;
+    this.nodeChar[node] = code;
+    this.nextSibling[node] = this.firstChild[parent];
+    this.firstChild[parent] = node;
+
+    if (parent === AhoCorasickAutomaton.ROOT) {
+      this.rootChildren[code] = node;
+    }
+    return node;
+  }
+
+  child(node, code) {
+    if (node === AhoCorasickAutomaton.ROOT) return this.rootChildren[code];
+
+    for (let c = this.firstChild[node]; c !== AhoCorasickAutomaton.NONE; c = this.nextSibling[c]) {
+      if (this.nodeChar[c] === code) return c;
+    }
+    return AhoCorasickAutomaton.NONE;
+  }
+
+  /**
+   * ENLACES DE FALLO: Recorrido en anchura desde la raíz
+   */
+  buildFailLinks() {
+    const { ROOT, NONE } = AhoCorasickAutomaton;
+    const queue = new Int32Array(this.nodeCount);
+    let head = 0;
+    let tail = 0;
+
+    for (let c = this.firstChild[ROOT]; c !== NONE; c = this.nextSibling[c]) {
+      this.fail[c] = ROOT;
+      queue[tail++] = c;
+    }
+
+    while (head < tail) {
+      const node = queue[head++];
+
+      for (let c = this.firstChild[node]; c !== NONE; c = this.nextSibling[c]) {
+        const code = this.nodeChar[c];
+        let f = this.fail[node];
+        while (f !== ROOT && this.child(f, code) === NONE) {
+          f = this.fail[f];
+        }
+
+        const target = this.child(f, code);
+        this.fail[c] = target !== NONE ? target : ROOT;
+        this.dictLink[c] = this.output[this.fail[c]] !== NONE ? this.fail[c] : this.dictLink[this.fail[c]];
+        queue[tail++] = c;
+      }
+    }
+  }
+
+  /**
+   * BÚSQUEDA: Todas las apariciones, con offsets [start, end) sobre el texto
+   */
+  findAll(text) {
+    const { ROOT, NONE } = AhoCorasickAutomaton;
+    const matches = [];
+    let state = ROOT;
+
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+
+      let next = this.child(state, code);
+      while (next === NONE && state !== ROOT) {
+        state = this.fail[state];
+        next = this.child(state, code);
+      }
+      state = next !== NONE ? next : ROOT;
+
+      const first = this.output[state] !== NONE ? state : this.dictLink[state];
+      for (let s = first; s !== NONE; s = this.dictLink[s]) {
+        const pattern = this.entries.entry(this.output[s]);
+        matches.push({ pattern, start: i + 1 - pattern.length, end: i + 1 });
+      }
+    }
+
+    return matches;
+  }
+}
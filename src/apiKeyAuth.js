@@ -0,0 +1,251 @@
+import { createHash } from 'crypto';
+import { readFile } from 'fs/promises';
+import { I18n } from './i18n.js';
+import { PasswordPolicy } from './passwordPolicy.js';
+import { RateLimiter } from './rateLimiter.js';
+
+/**
+ * AUTENTICACIÓN POR API KEY (un equipo = un tenant)
+ *
+ * Las claves se envían en la cabecera X-API-Key (o Authorization: Bearer) y
+ * se configuran en API_KEYS_FILE (por defecto ./config/api-keys.json):
+ *
+ *   { "keys": [{
+ *       "id": "equipo-registro",            identificador (logs y cuotas)
+ *       "keyHash": "<sha256 hex>",          nunca la clave: bin/create-api-key.js
+ *       "tenant": "Equipo de registro",
+ *       "endpoints": ["evaluate", "validate"],   por defecto, todos ("*")
+ *       "quota": { "limit": 1000, "windowSeconds": 3600 },
+ *       "lang": "en",                        idioma si la petición no pide otro
+ *       "policy": "owasp-asvs"                    política de /validate sin "policy"
+ *   }] }
+ *
+ * Sin fichero de claves (y sin API_KEYS_FILE) la API queda abierta, como
+ * antes, y se avisa al arrancar. /health, /, /openapi.json y /metrics son siempre públicos.
+ *
+ * ADMINISTRACIÓN (/api/v1/admin): "*" no la incluye; la clave debe listar
+ * "admin" en endpoints. Sin claves configuradas responde 403 ADMIN_DISABLED.
+ */
+export class ApiKeyAuth {
+
+  static HEADER = 'X-API-Key';
+  static DEFAULT_KEYS_FILE = './config/api-keys.json';
+
+  static ENDPOINTS = [
+    'evaluate', 'evaluate/batch', 'evaluate/hash', 'validate', 'generate',
+    'passphrase', 'range', 'dictionary', 'locales', 'info', 'stream', 'admin'
+  ];
+
+  // Solo con permiso explícito: "*" no los incluye
+  static ADMIN_ENDPOINTS = ['admin'];
+
+  static enabled = false;
+  static keys = new Map();
+
+  static hashKey(apiKey) {
+    return createHash('sha256').update(apiKey, 'utf8').digest('hex');
+  }
+
+  /**
+   * CARGA: Un API_KEYS_FILE explícito que no existe es un error de arranque
+   */
+  static async loadFromFile(path = process.env.API_KEYS_FILE) {
+    const file = path ?? this.DEFAULT_KEYS_FILE;
+
+    let content;
+    try {
+      content = await readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' && path === undefined) {
+        this.configure(null);
+        return false;
+      }
+      throw new Error(`INVALID_API_KEYS: No se pudo leer ${file}: ${error.message}`);
+    }
+
+    let config;
+    try {
+      config = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`INVALID_API_KEYS: JSON no válido (${error.message})`);
+    }
+
+    this.configure(config);
+    return true;
+  }
+
+  static configure(config) {
+    if (config === null) {
+      this.enabled = false;
+      this.keys = new Map();
+      return;
+    }
+
+    if (!Array.isArray(config?.keys)) {
+      throw new Error('INVALID_API_KEYS: Se requiere { "keys": [...] }');
+    }
+
+    const keys = new Map();
+    const ids = new Set();
+
+    for (const entry of config.keys) {
+      const key = this.validateEntry(entry);
+      if (ids.has(key.id)) {
+        throw new Error(`INVALID_API_KEYS: id repetido "${key.id}"`);
+      }
+      if (keys.has(key.keyHash)) {
+        throw new Error(`INVALID_API_KEYS: "${key.id}" repite la clave de "${keys.get(key.keyHash).id}"`);
+      }
+      ids.add(key.id);
+      keys.set(key.keyHash, key);
+    }
+
+    this.enabled = true;
+    this.keys = keys;
+  }
+
+  static validateEntry(entry) {
+    if (typeof entry?.id !== 'string' || !/^[\w.-]{1,64}$/.test(entry.id)) {
+      throw new Error('INVALID_API_KEYS: Cada clave necesita un "id" (letras, números, . _ -)');
+    }
+    const fail = (message) => { throw new Error(`INVALID_API_KEYS: "${entry.id}": ${message}`); };
+
+    if (typeof entry.keyHash !== 'string' || !/^[0-9a-f]{64}$/i.test(entry.keyHash)) {
+      fail('"keyHash" debe ser el SHA-256 de la clave en hexadecimal');
+    }
+
+    const endpoints = entry.endpoints ?? ['*'];
+    if (!Array.isArray(endpoints) || endpoints.some(endpoint => endpoint !== '*' && !this.ENDPOINTS.includes(endpoint))) {
+      fail(`"endpoints" admite "*" o: ${this.ENDPOINTS.join(', ')}`);
+    }
+
+    const { quota } = entry;
+    if (quota !== undefined &&
+        !(Number.isInteger(quota?.limit) && quota.limit > 0 && Number.isInteger(quota?.windowSeconds) && quota.windowSeconds > 0)) {
+      fail('"quota" debe ser { limit, windowSeconds } con enteros positivos');
+    }
+
+    const lang = entry.lang === undefined ? null : I18n.matchLocale(entry.lang);
+    if (entry.lang !== undefined && !lang) {
+      fail(`"lang" admite: ${I18n.supportedLocales.join(', ')}`);
+    }
+
+    if (entry.policy !== undefined) {
+      try {
+        PasswordPolicy.resolve(entry.policy);
+      } catch (error) {
+        fail(`"policy" no válida (${error.message})`);
+      }
+    }
+
+    return {
+      id: entry.id,
+      keyHash: entry.keyHash.toLowerCase(),
+      tenant: entry.tenant ?? entry.id,
+      endpoints: endpoints.includes('*') ? null : new Set(endpoints),
+      quota: quota ? { name: 'quota', limit: quota.limit, windowSeconds: quota.windowSeconds } : null,
+      lang,
+      policy: entry.policy
+    };
+  }
+
+  static extractKey(headers) {
+    const header = headers['x-api-key'];
+    if (typeof header === 'string' && header !== '') return header;
+
+    const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization ?? '');
+    return match ? match[1] : null;
+  }
+
+  static verify(apiKey) {
+    return apiKey ? this.keys.get(this.hashKey(apiKey)) ?? null : null;
+  }
+
+  static isAllowed(key, endpoint) {
+    if (key.endpoints === null) return !this.ADMIN_ENDPOINTS.includes(endpoint);
+    return key.endpoints.has(endpoint);
+  }
+
+  /**
+   * CUOTA del tenant (independiente de los límites por IP)
+   */
+  static async consumeQuota(key) {
+    if (!key.quota) return null;
+    return RateLimiter.consume(key.quota, `key:${key.id}`);
+  }
+
+  /**
+   * MIDDLEWARE: Identifica la clave (401). La cuota se descuenta en
+   * authorize(), cuando la petición llega a una ruta que la clave puede usar.
+   */
+  static authenticate(req, res, next) {
+    if (!ApiKeyAuth.enabled) return next();
+
+    const apiKey = ApiKeyAuth.extractKey(req.headers);
+    if (!apiKey) {
+      return ApiKeyAuth.reject(req, res, 401, 'MISSING_API_KEY');
+    }
+
+    const key = ApiKeyAuth.verify(apiKey);
+    if (!key) {
+      req.log.warn('auth.invalidKey');
+      return ApiKeyAuth.reject(req, res, 401, 'INVALID_API_KEY');
+    }
+
+    req.apiKey = key;
+    next();
+  }
+
+  /**
+   * MIDDLEWARE: Endpoints permitidos para la clave (403) y cuota del tenant
+   * (429). Las peticiones rechazadas con 403, o a rutas que no existen, no
+   * gastan cuota.
+   */
+  static authorize(endpoint) {
+    return async (req, res, next) => {
+      // Sin claves no hay a quién dar permiso de administración
+      if (!ApiKeyAuth.enabled && ApiKeyAuth.ADMIN_ENDPOINTS.includes(endpoint)) {
+        req.log.warn('auth.adminDisabled', { endpoint });
+        return ApiKeyAuth.reject(req, res, 403, 'ADMIN_DISABLED');
+      }
+      if (!ApiKeyAuth.enabled) return next();
+
+      const key = req.apiKey;
+      if (!ApiKeyAuth.isAllowed(key, endpoint)) {
+        req.log.warn('auth.endpointNotAllowed', { keyId: key.id, endpoint });
+        return ApiKeyAuth.reject(req, res, 403, 'ENDPOINT_NOT_ALLOWED', { endpoint });
+      }
+
+      let quota;
+      try {
+        quota = await ApiKeyAuth.consumeQuota(key);
+      } catch (error) {
+        req.log.error('auth.quotaStoreFailed', { keyId: key.id, error });
+      }
+      if (quota && !quota.allowed) {
+        req.log.warn('auth.quotaExceeded', { keyId: key.id, retryAfterSeconds: quota.retryAfterSeconds });
+        RateLimiter.setHeaders(res, quota);
+        return RateLimiter.reject(req, res, quota, 'QUOTA_EXCEEDED');
+      }
+
+      next();
+    };
+  }
+
+  static reject(req, res, status, error, params = {}) {
+    const locale = I18n.resolveLocale(req.query?.lang, req.get('Accept-Language'), req.apiKey?.lang);
+
+    if (status === 401) {
+      res.set('WWW-Authenticate', `ApiKey header="${ApiKeyAuth.HEADER}"`);
+    }
+    res.set('Content-Language', locale);
+    res.vary('Accept-Language');
+    res.status(status).json({
+      success: false,
+      error,
+      message: I18n.t(`error.${error}`, params, locale),
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -3,11 +3,50 @@ import express from 'express';
 import helmet from 'helmet';
 import cors from 'cors';
 import passwordRoutes from './routes/passwordRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import { StreamController } from './controllers/streamController.js';
 import { PasswordEvaluator } from './passwordEvaluator.js';
+import { RateLimiter } from './rateLimiter.js';
+import { ApiKeyAuth } from './apiKeyAuth.js';
+import { OpenApiSpec } from './openApiSpec.js';
+import { Metrics } from './metrics.js';
+import { Logger, logger } from './logger.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Detrás de un proxy, req.ip (límites por IP y logs) sale de X-Forwarded-For: TRUST_PROXY=1 (saltos), true o lista de IPs
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Los logs solo admiten rutas del contrato (plantillas, nunca la URL recibida)
+Logger.allowRoutes(Object.keys(OpenApiSpec.document.paths));
+
+// X-Request-Id (el recibido si tiene un formato seguro o uno nuevo) y logger de la petición
+const requestContext = (req, res, next) => {
+  req.id = Logger.resolveRequestId(req.get('X-Request-Id'));
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  // LOG SEGURO: Método, plantilla de ruta, estado, duración e IP; nunca la URL ni el body
+  const started = process.hrtime.bigint();
+  const route = Metrics.routeOf(req.path);
+  res.on('finish', () => {
+    req.log.info('request.completed', {
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e3) / 1e3,
+      ip: req.ip
+    });
+  });
+
+  next();
+};
+
+app.use(requestContext);
 
 // Headers de seguridad
 app.use(helmet({
@@ -24,30 +63,30 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || false,
   methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type'],
+  allowedHeaders: ['Content-Type', 'Add-Padding', 'X-API-Key', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'X-Request-Id'],
   credentials: false
 }));
 
 
-const secureLogger = (req, res, next) => {
-  const timestamp = new Date().toISOString();
-  
-  // LOG SEGURO: Solo metadatos, NUNCA contraseñas
-  console.log(`[${timestamp}] ${req.method} ${req.path} - IP: ${req.ip || 'unknown'}`);
-  console.log(`[SECURITY] Zero persistence policy active`);
-  
-  next();
-};
+// Métricas: cada petición (incluidas las rechazadas) y fases de la evaluación, sin datos de la contraseña
+if (Metrics.enabled) {
+  PasswordEvaluator.setInstrumentation(Metrics.evaluationInstrumentation);
+}
+app.use(Metrics.middleware);
 
-app.use(secureLogger);
 
+// El lote de evaluación tiene su propio parser y límite (ver passwordRoutes.js)
+const BATCH_PATH = '/api/v1/password/evaluate/batch';
+const skipForBatch = (middleware) => (req, res, next) =>
+  req.path === BATCH_PATH ? next() : middleware(req, res, next);
 
 // Parser JSON con límites estrictos
-app.use(express.json({ 
+app.use(skipForBatch(express.json({ 
   limit: '2kb',
   strict: true,
   type: 'application/json'
-}));
+})));
 
 // Middleware de validación robusta
 const robustValidation = (req, res, next) => {
@@ -59,6 +98,7 @@ const robustValidation = (req, res, next) => {
       error: 'PAYLOAD_TOO_LARGE',
       message: 'Request demasiado grande',
       maxSize: '2KB',
+      requestId: req.id,
       timestamp: new Date().toISOString()
     });
   }
@@ -66,7 +106,7 @@ const robustValidation = (req, res, next) => {
   next();
 };
 
-app.use(robustValidation);
+app.use(skipForBatch(robustValidation));
 
 
 // Health check
@@ -93,7 +133,11 @@ app.get('/health', (req, res) => {
     },
     dictionary: {
       loaded: PasswordEvaluator.isDictionaryLoaded,
-      size: PasswordEvaluator.commonPasswords.size
+      size: PasswordEvaluator.commonPasswords.size,
+      version: PasswordEvaluator.dictionaryInfo?.version ?? null,
+      checksum: PasswordEvaluator.dictionaryInfo?.checksum ?? null,
+      loadedAt: PasswordEvaluator.dictionaryInfo?.loadedAt ?? null,
+      reloading: PasswordEvaluator.dictionaryReloading !== null
     },
     timestamp: new Date().toISOString(),
     uptime: process.uptime()
@@ -112,6 +156,8 @@ app.get('/', (req, res) => {
     },
     mainEndpoint: 'POST /api/v1/password/evaluate',
     documentation: 'GET /api/v1/password/info',
+    specification: 'GET /openapi.json',
+    metrics: 'GET /metrics',
     health: 'GET /health',
     security: 'CERO PERSISTENCIA - Las contraseñas NUNCA se almacenan',
     dictionary: {
@@ -122,30 +168,49 @@ app.get('/', (req, res) => {
   });
 });
 
-// Rutas de password evaluation
-app.use('/api/v1/password', passwordRoutes);
+// Especificación OpenAPI y métricas de Prometheus (públicas, como /health y /)
+app.get('/openapi.json', OpenApiSpec.serve);
+app.get('/metrics', Metrics.serve);
 
+// Rutas de password evaluation (con API key si hay claves configuradas; /health, /, /openapi.json y /metrics son públicos)
+app.use('/api/v1/password', ApiKeyAuth.authenticate, passwordRoutes);
+
+// Administración: solo claves con "admin" en endpoints (403 ADMIN_DISABLED sin claves configuradas)
+app.use('/api/v1/admin', ApiKeyAuth.authenticate, adminRoutes);
 
-const secureErrorHandler = (err, req, res, next) => {
-  // LOG SEGURO: Error sin datos sensibles
-  console.error(`[ERROR] ${err.name || 'Unknown'}: ${err.message || 'Unknown error'}`);
-  console.error(`[SECURITY] No sensitive data exposed`);
 
-  // Error de JSON malformado
+const secureErrorHandler = (err, req, res, next) => {
+  // Error de JSON malformado (el mensaje del parser cita el body: no se registra)
   if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
+    req.log.warn('request.invalidJson');
     return res.status(400).json({
       success: false,
       error: 'INVALID_JSON',
       message: 'JSON malformado',
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Body por encima del límite del parser
+  if (err.type === 'entity.too.large') {
+    req.log.warn('request.payloadTooLarge');
+    return res.status(413).json({
+      success: false,
+      error: 'PAYLOAD_TOO_LARGE',
+      message: 'Request demasiado grande',
+      requestId: req.id,
       timestamp: new Date().toISOString()
     });
   }
 
   // Error genérico
+  req.log.error('request.failed', { error: err });
   res.status(500).json({
     success: false,
     error: 'INTERNAL_SERVER_ERROR',
     message: 'Error interno del servidor',
+    requestId: req.id,
     timestamp: new Date().toISOString()
   });
 };
@@ -158,13 +223,8 @@ app.use('*', (req, res) => {
     success: false,
     error: 'ENDPOINT_NOT_FOUND',
     message: 'Endpoint no encontrado',
-    availableEndpoints: [
-      'GET /',
-      'GET /health', 
-      'GET /api/v1/password/info',
-      'POST /api/v1/password/evaluate',
-      'POST /api/v1/password/generate'
-    ],
+    availableEndpoints: OpenApiSpec.listEndpoints(),
+    requestId: req.id,
     timestamp: new Date().toISOString()
   });
 });
@@ -173,67 +233,54 @@ app.use('*', (req, res) => {
 
 const startServer = async () => {
   try {
-    console.log('\n🚀 PASSWORD ENTROPY API - IMPLEMENTACIÓN COMPLETA');
-    console.log('='.repeat(55));
-    console.log(`🌐 URL: http://localhost:${PORT}`);
-    console.log(`📱 Puerto: ${PORT}`);
-    
-    console.log('\n📚 CARGANDO DICCIONARIO DE CONTRASEÑAS...');
-    console.log('─'.repeat(45));
-    
+    logger.info('server.starting', { port: Number(PORT) });
+
     try {
       await PasswordEvaluator.ensureDictionaryLoaded();
-      console.log(`✅ Diccionario cargado exitosamente: ${PasswordEvaluator.commonPasswords.size.toLocaleString()} contraseñas`);
     } catch (error) {
-      console.log(`⚠️  Error cargando diccionario: ${error.message}`);
-      console.log(`🔄 Continuando con diccionario básico...`);
+      logger.warn('dictionary.loadFailed', { error });
+    }
+
+    if (await ApiKeyAuth.loadFromFile()) {
+      logger.info('auth.keysLoaded', { keys: ApiKeyAuth.keys.size });
+    } else {
+      // Sin ./config/api-keys.json ni API_KEYS_FILE la API queda abierta
+      logger.warn('auth.disabled');
     }
-    
-    console.log('\n✅ CUMPLIMIENTO DE REQUERIMIENTOS:');
-    console.log('   📚 Día 1: Fundamentos y Diseño ✅');
-    console.log('     • calculate_L() y calculate_N() implementadas');
-    console.log('     • CSPRNG para generación segura');
-    console.log('     • Fórmula E = L × log₂(N)');
-    console.log('     • Backend Node.js/Express');
-    console.log('\n   🧮 Día 2: Entropía y Evaluación ✅');
-    console.log('     • calculate_entropy() usando funciones L y N');
-    console.log('     • check_password_strength() con diccionario');
-    console.log('     • Categorización y penalización');
-    console.log('     • Tiempo crackeo con 10^11 intentos/segundo');
-    console.log(`     • Diccionario: ${PasswordEvaluator.commonPasswords.size.toLocaleString()} contraseñas cargadas`);
-    console.log('\n   🔐 Día 3: API, Seguridad y Entrega ✅');
-    console.log('     • Endpoint /api/v1/password/evaluate funcional');
-    console.log('     • CERO PERSISTENCIA garantizada');
-    console.log('     • Validación robusta implementada');
-    console.log('     • Respuesta JSON completa y segura');
-    console.log('\n🎯 ENDPOINTS PRINCIPALES:');
-    console.log('   • POST /api/v1/password/evaluate - Evaluación completa');
-    console.log('   • POST /api/v1/password/generate - Generador CSPRNG');
-    console.log('   • GET  /api/v1/password/info - Información técnica');
-    console.log('   • GET  /health - Estado del servicio');
-    console.log('\n🛡️  POLÍTICA DE SEGURIDAD:');
-    console.log('   • Las contraseñas NUNCA se registran en logs');
-    console.log('   • Procesamiento sin persistencia de datos sensibles');
-    console.log('   • Validación multi-nivel de entrada');
-    console.log('   • Respuestas sanitizadas automáticamente');
-    console.log('='.repeat(55));
-
-    app.listen(PORT, () => {
-      console.log(`\n🟢 Servidor iniciado exitosamente en puerto ${PORT}`);
-      console.log(`📋 Diccionario: ${PasswordEvaluator.isDictionaryLoaded ? 'Cargado' : 'No cargado'}`);
-      console.log(`🎯 Listo para recibir peticiones!\n`);
+
+    const server = app.listen(PORT, () => {
+      logger.info('server.listening', {
+        port: Number(PORT),
+        size: PasswordEvaluator.commonPasswords.size,
+        authentication: ApiKeyAuth.enabled,
+        rateLimiting: RateLimiter.enabled,
+        metrics: Metrics.enabled
+      });
+
+      // Índices de hashes en segundo plano, ya atendiendo: las peticiones por
+      // hash que lleguen antes esperan a que terminen
+      if (PasswordEvaluator.isDictionaryLoaded) {
+        PasswordEvaluator.ensureHashIndexes().catch(error => logger.warn('dictionary.hashIndexesFailed', { error }));
+      }
     });
+
+    // Medidor en tiempo real: WebSocket sobre el mismo servidor HTTP
+    Metrics.trackStreamSessions(StreamController.attach(server, app));
+
+    // DICTIONARY_WATCH=true: recarga el diccionario al cambiar el CSV o el índice
+    if (process.env.DICTIONARY_WATCH === 'true') {
+      await PasswordEvaluator.watchDictionary();
+      logger.info('dictionary.watching');
+    }
   } catch (error) {
-    console.error('❌ Error iniciando servidor:', error);
+    logger.error('server.startFailed', { error });
     process.exit(1);
   }
 };
 
-// Manejo de cierre graceful
+// Manejo de cierre graceful (cero persistencia: no hay nada que guardar)
 const gracefulShutdown = (signal) => {
-  console.log(`\n📴 Cerrando servidor por señal ${signal}`);
-  console.log('🔒 Verificando que no hay datos sensibles en memoria...');
-  console.log('✅ Verificación completada - Sin datos persistentes');
+  logger.info('server.stopping', { signal });
   process.exit(0);
 };
 
@@ -0,0 +1,105 @@
+/**
+ * ESCENARIOS DE ATAQUE PARA EL TIEMPO DE CRACKEO
+ *
+ * Un único ritmo (10^11 intentos/seg) solo describe a un atacante offline
+ * contra un hash rápido. Aquí se calcula el tiempo para varios escenarios
+ * y se elige como titular el que corresponde al algoritmo de hash que usa
+ * el sistema del cliente.
+ *
+ * Los ritmos son órdenes de magnitud aproximados para un equipo con varias
+ * GPU (bcrypt con coste 10, scrypt N=2^14, Argon2id con 64 MB); sirven para
+ * comparar escenarios, no como medida exacta.
+ */
+import { I18n } from './i18n.js';
+
+export class AttackScenarios {
+
+  static HASH_ALGORITHMS = {
+    md5: { type: 'fast', attemptsPerSecond: 1e11 },
+    ntlm: { type: 'fast', attemptsPerSecond: 1e11 },
+    sha1: { type: 'fast', attemptsPerSecond: 5e10 },
+    sha256: { type: 'fast', attemptsPerSecond: 2e10 },
+    bcrypt: { type: 'slow', attemptsPerSecond: 1e4 },
+    scrypt: { type: 'slow', attemptsPerSecond: 1e4 },
+    argon2: { type: 'slow', attemptsPerSecond: 1e3 }
+  };
+
+  static DEFAULT_FAST_HASH = 'md5';
+  static DEFAULT_SLOW_HASH = 'bcrypt';
+
+  // Las descripciones están en los catálogos (scenario.<id>)
+  static SCENARIOS = {
+    ONLINE_THROTTLED: { attemptsPerSecond: 100 / 3600 },
+    ONLINE_UNTHROTTLED: { attemptsPerSecond: 10 },
+    OFFLINE_SLOW_HASH: {},
+    OFFLINE_FAST_HASH: {}
+  };
+
+  // Ritmo máximo aceptado para el escenario personalizado
+  static MAX_CUSTOM_RATE = 1e15;
+
+  static validate({ hashAlgorithm, attemptsPerSecond } = {}) {
+    if (hashAlgorithm !== undefined &&
+        (typeof hashAlgorithm !== 'string' || !this.HASH_ALGORITHMS[hashAlgorithm.toLowerCase()])) {
+      throw new Error(`INVALID_HASH_ALGORITHM: Algoritmos soportados: ${Object.keys(this.HASH_ALGORITHMS).join(', ')}`);
+    }
+
+    if (attemptsPerSecond !== undefined &&
+        (typeof attemptsPerSecond !== 'number' || !Number.isFinite(attemptsPerSecond) ||
+         attemptsPerSecond <= 0 || attemptsPerSecond > this.MAX_CUSTOM_RATE)) {
+      throw new Error(`INVALID_ATTACK_RATE: attemptsPerSecond debe ser un número entre 0 y ${this.MAX_CUSTOM_RATE.toExponential()}`);
+    }
+  }
+
+  /**
+   * FUNCIÓN PRINCIPAL: Tiempo de crackeo en cada escenario
+   *
+   * @param {number} entropy - Entropía estimada (bits)
+   * @param {Function} crackingTime - (entropy, attemptsPerSecond) → { seconds, formatted }
+   * @param {Object} options
+   * @param {string} [options.hashAlgorithm] - Algoritmo del sistema del cliente (elige el titular)
+   * @param {number} [options.attemptsPerSecond] - Ritmo personalizado (pasa a ser el titular)
+   * @param {string} [options.locale] - Idioma de las descripciones
+   */
+  static evaluate(entropy, crackingTime, { hashAlgorithm, attemptsPerSecond, locale = I18n.DEFAULT_LOCALE } = {}) {
+    const algorithm = hashAlgorithm?.toLowerCase();
+    const chosen = algorithm ? this.HASH_ALGORITHMS[algorithm] : null;
+
+    const slowHash = chosen?.type === 'slow' ? algorithm : this.DEFAULT_SLOW_HASH;
+    const fastHash = chosen?.type === 'fast' ? algorithm : this.DEFAULT_FAST_HASH;
+
+    const build = (id, rate, extra = {}) => {
+      const { seconds, formatted } = crackingTime(entropy, rate);
+      return {
+        id,
+        ...extra,
+        attemptsPerSecond: rate,
+        seconds,
+        formatted,
+        description: I18n.t(`scenario.${id}`, {}, locale)
+      };
+    };
+
+    const scenarios = [
+      build('ONLINE_THROTTLED', this.SCENARIOS.ONLINE_THROTTLED.attemptsPerSecond),
+      build('ONLINE_UNTHROTTLED', this.SCENARIOS.ONLINE_UNTHROTTLED.attemptsPerSecond),
+      build('OFFLINE_SLOW_HASH', this.HASH_ALGORITHMS[slowHash].attemptsPerSecond, { algorithm: slowHash }),
+      build('OFFLINE_FAST_HASH', this.HASH_ALGORITHMS[fastHash].attemptsPerSecond, { algorithm: fastHash })
+    ];
+
+    if (attemptsPerSecond !== undefined) {
+      scenarios.push(build('CUSTOM', attemptsPerSecond));
+    }
+
+    // Titular: ritmo personalizado > algoritmo del cliente > hash rápido (especificación Día 2)
+    const headline = attemptsPerSecond !== undefined ? 'CUSTOM'
+      : chosen?.type === 'slow' ? 'OFFLINE_SLOW_HASH'
+        : 'OFFLINE_FAST_HASH';
+
+    return {
+      hashAlgorithm: algorithm || null,
+      headline,
+      scenarios
+    };
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * PUNTO DE ENTRADA PARA NAVEGADORES (ESM)
+ *
+ * Misma evaluación que el servidor, ejecutada en el cliente: la contraseña
+ * no sale del navegador. El diccionario y los catálogos se descargan de la
+ * API, así que con el mismo diccionario el resultado es idéntico.
+ *
+ *   import { configureBrowserEvaluator } from 'password-entropy-api/browser';
+ *
+ *   const evaluator = await configureBrowserEvaluator({ baseUrl: 'https://api.example.com', locales: ['en'] });
+ *   const result = await evaluator.evaluatePasswordSecurely(password, { locale: 'en' });
+ *
+ * Con maxShards se descargan solo los fragmentos más comunes del diccionario.
+ * Si el servidor exige API key, pásela en headers: { 'X-API-Key': ... } (una
+ * clave limitada a los endpoints "dictionary" y "locales").
+ */
+import { PasswordEvaluator } from './passwordEvaluator.js';
+import { HttpDictionaryProvider } from './httpDictionaryProvider.js';
+import { I18n } from './i18n.js';
+
+export { PasswordEvaluator, HttpDictionaryProvider, I18n };
+export { ResultCodes } from './resultCodes.js';
+
+export const configureBrowserEvaluator = async ({
+  baseUrl = '',
+  maxShards,
+  locales = [],
+  fetch = globalThis.fetch?.bind(globalThis),
+  headers = {}
+} = {}) => {
+  const provider = new HttpDictionaryProvider({ baseUrl, maxShards, fetch, headers });
+
+  // El idioma por defecto siempre: es el respaldo de las claves que falten
+  const wanted = new Set([I18n.DEFAULT_LOCALE, ...locales]);
+  await Promise.all([...wanted].map(async (locale) => {
+    const response = await provider.request(`/api/v1/password/locales/${encodeURIComponent(locale)}`);
+    I18n.register(response.headers.get('Content-Language') ?? locale, await response.json());
+  }));
+
+  PasswordEvaluator.setDictionaryProvider(provider);
+  await PasswordEvaluator.ensureDictionaryLoaded();
+  return PasswordEvaluator;
+};
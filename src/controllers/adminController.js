@@ -0,0 +1,74 @@
+import { PasswordEvaluator } from '../passwordEvaluator.js';
+import { PasswordController } from './passwordController.js';
+import { I18n } from '../i18n.js';
+
+/**
+ * ADMINISTRACIÓN DEL SERVICIO (/api/v1/admin, solo claves con "admin")
+ *
+ * Recarga del diccionario sin reiniciar: el nuevo se construye en segundo
+ * plano y se cambia de una vez; las evaluaciones en curso terminan con el
+ * anterior. Con DICTIONARY_WATCH=true la recarga es automática (ver app.js).
+ */
+export class AdminController {
+
+  /**
+   * ESTADO DEL DICCIONARIO: versión, checksum y carga del que está en uso
+   */
+  static getDictionaryStatus(req, res) {
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+      success: true,
+      data: AdminController.describeDictionary(),
+      metadata: {
+        requestId: req.id
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * RECARGA: Responde cuando el nuevo diccionario ya está en uso
+   */
+  static async reloadDictionary(req, res) {
+    const locale = PasswordController.negotiateLocale(req, res);
+
+    try {
+      const { previous, current } = await PasswordEvaluator.reloadDictionary();
+      req.log.info('admin.dictionaryReloaded', { keyId: req.apiKey?.id, version: current.version ?? undefined, size: current.size });
+
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json({
+        success: true,
+        data: {
+          previous,
+          current,
+          changed: previous?.version !== current.version
+        },
+        metadata: {
+          requestId: req.id
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      // El diccionario anterior sigue en uso
+      req.log.error('admin.dictionaryReloadFailed', { keyId: req.apiKey?.id, error });
+      res.status(500).json({
+        success: false,
+        error: 'DICTIONARY_RELOAD_FAILED',
+        message: I18n.t('error.DICTIONARY_RELOAD_FAILED', {}, locale),
+        requestId: req.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  static describeDictionary() {
+    return {
+      loaded: PasswordEvaluator.isDictionaryLoaded,
+      dictionary: PasswordEvaluator.dictionaryInfo,
+      reloading: PasswordEvaluator.dictionaryReloading !== null,
+      watching: PasswordEvaluator.dictionaryWatching
+    };
+  }
+}
@@ -0,0 +1,162 @@
+import { gzipSync } from 'zlib';
+import { PasswordEvaluator } from '../passwordEvaluator.js';
+import { I18n } from '../i18n.js';
+
+/**
+ * DICCIONARIO Y CATÁLOGOS PARA CLIENTES (evaluación en el navegador)
+ *
+ * El diccionario se sirve en fragmentos de SHARD_SIZE entradas, en el mismo
+ * orden en que lo usa el servidor (de la más común a la menos común), para
+ * que HttpDictionaryProvider reconstruya exactamente la misma colección.
+ * Son contraseñas públicas de filtraciones, no datos de usuarios.
+ */
+export class DictionaryController {
+
+  static SHARD_SIZE = parseInt(process.env.DICTIONARY_SHARD_SIZE) || 100000;
+
+  // Fragmentos del diccionario cargado (se rehacen si cambia el diccionario)
+  static cache = null;
+
+  /**
+   * MANIFIESTO: versión, tamaño y fragmentos disponibles (en data, como el
+   * resto de respuestas JSON)
+   */
+  static async getManifest(req, res) {
+    try {
+      const { version, checksum, loadedAt, size, shards } = await DictionaryController.getShards();
+
+      res.set('Cache-Control', 'no-cache');
+      res.status(200).json({
+        success: true,
+        data: {
+          version,
+          checksum,
+          loadedAt,
+          size,
+          shardSize: DictionaryController.SHARD_SIZE,
+          format: 'text/plain; una entrada por línea, de la más común a la menos común',
+          shards: shards.map((shard, index) => ({
+            index,
+            entries: shard.entries,
+            bytes: shard.text.length
+          }))
+        },
+        metadata: {
+          requestId: req.id,
+          endpoint: '/api/v1/password/dictionary'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      req.log.error('dictionary.manifestFailed', { error });
+      res.status(500).json({
+        success: false,
+        error: 'PROCESSING_ERROR',
+        message: 'Error interno del servidor',
+        requestId: req.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * FRAGMENTO: Texto plano, comprimido con gzip si el cliente lo acepta
+   */
+  static async getShard(req, res) {
+    try {
+      const { version, shards } = await DictionaryController.getShards();
+      const index = Number(req.params.shard);
+
+      if (!Number.isInteger(index) || index < 0 || index >= shards.length) {
+        return res.status(404).json({
+          success: false,
+          error: 'SHARD_NOT_FOUND',
+          message: `Fragmentos disponibles: 0-${shards.length - 1}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const shard = shards[index];
+      const etag = `"${version}-${index}"`;
+
+      res.set({
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Cache-Control': 'public, max-age=86400',
+        'ETag': etag,
+        'Vary': 'Accept-Encoding'
+      });
+
+      if (req.get('If-None-Match') === etag) {
+        return res.status(304).end();
+      }
+
+      if (req.acceptsEncodings('gzip')) {
+        shard.gzip ??= gzipSync(shard.text);
+        res.set('Content-Encoding', 'gzip');
+        return res.status(200).send(shard.gzip);
+      }
+
+      res.status(200).send(shard.text);
+
+    } catch (error) {
+      req.log.error('dictionary.shardFailed', { error });
+      res.status(500).json({
+        success: false,
+        error: 'PROCESSING_ERROR',
+        message: 'Error interno del servidor',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * CATÁLOGO DE MENSAJES de un idioma (I18n.register en el navegador)
+   */
+  static getLocale(req, res) {
+    const locale = I18n.matchLocale(req.params.locale);
+
+    if (!locale) {
+      return res.status(404).json({
+        success: false,
+        error: 'LOCALE_NOT_FOUND',
+        message: `Idiomas disponibles: ${I18n.supportedLocales.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.set({
+      'Content-Language': locale,
+      'Cache-Control': 'public, max-age=3600'
+    });
+    res.status(200).json(I18n.catalogues.get(locale));
+  }
+
+  static async getShards() {
+    await PasswordEvaluator.ensureDictionaryLoaded();
+
+    // Colección e información leídas juntas: una recarga las cambia a la vez
+    const source = PasswordEvaluator.commonPasswords;
+    const { version, checksum, loadedAt, size } = PasswordEvaluator.dictionaryInfo;
+    if (DictionaryController.cache?.source === source) return DictionaryController.cache;
+
+    const shards = [];
+    let entries = [];
+
+    const flush = () => {
+      const text = Buffer.from(`${entries.join('\n')}\n`, 'utf8');
+      shards.push({ entries: entries.length, text, gzip: null });
+      entries = [];
+    };
+
+    for (const entry of source) {
+      entries.push(entry);
+      if (entries.length === DictionaryController.SHARD_SIZE) flush();
+    }
+    if (entries.length > 0 || shards.length === 0) flush();
+
+    // La versión (SHA-256 de las entradas, ver computeDictionaryVersion) es el hash de los fragmentos concatenados
+    DictionaryController.cache = { source, version, checksum, loadedAt, size, shards };
+    return DictionaryController.cache;
+  }
+}
@@ -1,39 +1,23 @@
 import { PasswordEvaluator } from '../passwordEvaluator.js';
+import { PassphraseGenerator } from '../passphraseGenerator.js';
+import { HashIndex } from '../hashIndex.js';
+import { RateLimiter } from '../rateLimiter.js';
+import { ApiKeyAuth } from '../apiKeyAuth.js';
+import { PasswordPolicy } from '../passwordPolicy.js';
+import { AttackScenarios } from '../attackScenarios.js';
+import { I18n } from '../i18n.js';
+import { ResultCodes } from '../resultCodes.js';
+import { OpenApiSpec } from '../openApiSpec.js';
 
 export class PasswordController {
 
   static async evaluatePassword(req, res) {
-    const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-    
-    console.log(`[${new Date().toISOString()}] 🔐 PASSWORD EVALUATION REQUEST`);
-    console.log(`[REQUEST] ID: ${requestId}`);
-    console.log(`[REQUEST] Method: ${req.method}`);
-    console.log(`[REQUEST] IP: ${req.ip || 'unknown'}`);
-    console.log(`[SECURITY] Zero persistence policy active`);
+    const locale = PasswordController.negotiateLocale(req, res);
 
     try {
-      const validation = PasswordController.validateRequest(req);
-      if (!validation.isValid) {
-        console.log(`[VALIDATION] Request failed: ${validation.errors.join(', ')}`);
-        
-        return res.status(400).json({
-          success: false,
-          error: 'INVALID_REQUEST',
-          message: 'Petición inválida',
-          details: validation.errors,
-          requestId,
-          timestamp: new Date().toISOString()
-        });
-      }
-
-      const { password } = req.body;
-      
-      console.log(`[INPUT] Password length: ${password?.length || 0} characters`);
-      console.log(`[INPUT] Type: ${typeof password}`);
-      console.log(`[SECURITY] Password content NOT logged (zero persistence)`);
-
-      console.log(`[PROCESSING] Starting secure evaluation...`);
-      const evaluation = await PasswordEvaluator.evaluatePasswordSecurely(password);
+      // El body ya está validado contra EvaluateRequest (OpenApiSpec.validate)
+      const { password, userInputs, hashAlgorithm, attemptsPerSecond } = req.body;
+      const evaluation = await PasswordEvaluator.evaluatePasswordSecurely(password, { userInputs, hashAlgorithm, attemptsPerSecond, locale });
 
       // RESPUESTA JSON COMPLETA 
       const response = {
@@ -42,12 +26,13 @@ export class PasswordController {
           evaluation: evaluation
         },
         metadata: {
-          requestId,
+          requestId: req.id,
           day1_functions: ['calculate_L', 'calculate_N'], 
           day2_functions: ['calculate_entropy', 'check_password_strength'],
           day3_features: ['secure_api', 'zero_persistence', 'robust_validation'],
-          similarity_features: ['character_removal_detection', 'leet_speak_detection', 'substring_matching'],
+          similarity_features: ['edit_distance_search', 'character_removal_detection', 'leet_speak_detection', 'keyboard_walk_detection', 'substring_matching', 'user_input_matching'],
           endpoint: '/api/v1/password/evaluate',
+          locale,
           processingTime: Date.now(),
           version: '1.1.0'
         },
@@ -55,64 +40,25 @@ export class PasswordController {
       };
 
       // VERIFICACIÓN DE SEGURIDAD MEJORADA: 
-      // Permitir que matchedPassword contenga la contraseña cuando es una coincidencia legítima
-      const responseJson = JSON.stringify(response);
-      const hasPasswordInResponse = responseJson.includes(password);
-      
-      if (hasPasswordInResponse) {
-        // Verificar si es una aparición legítima en matchedPassword
-        const isLegitimateMatch = evaluation.similarityAnalysis?.matchedPassword === password && 
-                                 evaluation.similarityAnalysis?.exactMatch === true;
-        
-        if (!isLegitimateMatch) {
-          // Si la contraseña aparece pero NO es en matchedPassword por coincidencia exacta, es un problema
-          console.error(`[SECURITY] ⚠️ ALERT: Password found in unexpected location in response!`);
-          console.error(`[SECURITY] This may indicate a security issue in the evaluation logic`);
-          throw new Error('SECURITY_BREACH: Password in response (unexpected location)');
-        } else {
-          // Es una aparición legítima - la contraseña está en el diccionario
-          console.log(`[SECURITY] ✅ Password appears in matchedPassword due to exact dictionary match - this is expected`);
-          console.log(`[SECURITY] ⚠️ WARNING: User entered a password that exactly matches a common password`);
-        }
-      }
-
-      // LOG SEGURO: Solo resultados
-      console.log(`[RESULT] Entropy: ${evaluation.entropyAnalysis.value} bits`);
-      console.log(`[RESULT] Category: ${evaluation.strengthEvaluation.finalCategory}`);
-      console.log(`[RESULT] In dictionary: ${evaluation.dictionaryAnalysis.isCommonPassword ? 'YES' : 'NO'}`);
-      
-      // LOGS DE SIMILITUD
-      console.log(`[SIMILARITY] Is similar: ${evaluation.similarityAnalysis.isSimilar ? 'YES' : 'NO'}`);
-      if (evaluation.similarityAnalysis.isSimilar) {
-        console.log(`[SIMILARITY] Type: ${evaluation.similarityAnalysis.similarityType}`);
-        console.log(`[SIMILARITY] Risk level: ${evaluation.similarityAnalysis.riskLevel}`);
-        console.log(`[SIMILARITY] Dataset used: ${evaluation.similarityAnalysis.datasetUsed} passwords`);
-        
-        // Log especial para coincidencias exactas
-        if (evaluation.similarityAnalysis.exactMatch) {
-          console.log(`[SIMILARITY] 🚨 EXACT MATCH: User password is identical to a common password in dataset`);
-        }
+      // Una coincidencia exacta con el diccionario es la única aparición legítima (matchedPassword)
+      if (PasswordController.leaksPassword(password, evaluation)) {
+        req.log.error('security.passwordInResponse');
+        throw new Error('SECURITY_BREACH: Password in response (unexpected location)');
       }
-      
-      console.log(`[RESULT] Request ID: ${requestId} completed successfully`);
-      console.log(`[SECURITY] ✅ Response sanitized and verified\n`);
 
+      // Ni resultados ni métricas de la contraseña en el log: solo el acceso (request.completed)
       res.status(200).json(response);
 
     } catch (error) {
-      console.error(`[ERROR] ==========================================`);
-      console.error(`[ERROR] Evaluation failed for request ${requestId}`);
-      console.error(`[ERROR] Error type: ${error.constructor.name}`);
-      console.error(`[ERROR] Error message: ${error.message}`);
-      console.error(`[ERROR] ==========================================`);
+      req.log.error('evaluation.failed', { error });
 
       const isDevelopment = process.env.NODE_ENV !== 'production';
       
       const errorResponse = {
         success: false,
         error: PasswordController.sanitizeErrorType(error),
-        message: PasswordController.sanitizeErrorMessage(error),
-        requestId,
+        message: PasswordController.sanitizeErrorMessage(error, locale),
+        requestId: req.id,
         timestamp: new Date().toISOString(),
         ...(isDevelopment && {
           debug: {
@@ -129,26 +75,257 @@ export class PasswordController {
   }
 
   /**
-   * GENERADOR DE CONTRASEÑAS SEGURAS 
+   * VALIDACIÓN CONTRA UNA POLÍTICA
+   *
+   * Body: { password, policy? } donde policy es el nombre de un preset o una
+   * definición { name, rules }. Responde 200 tanto si pasa como si no: el
+   * veredicto va en data.validation.passed y failedRules.
    */
-  static async generatePassword(req, res) {
+  static async validatePassword(req, res) {
+    const locale = PasswordController.negotiateLocale(req, res);
+
     try {
-      const { length = 16, includeLowercase = true, includeUppercase = true, includeNumbers = true, includeSymbols = true } = req.body || {};
+      // Sin "policy" en la petición, la de la API key (si tiene)
+      const { password } = req.body;
+      const policy = req.body.policy ?? req.apiKey?.policy;
+      const result = await PasswordEvaluator.validatePasswordPolicy(password, policy);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          validation: result
+        },
+        metadata: {
+          requestId: req.id,
+          endpoint: '/api/v1/password/validate',
+          availablePresets: Object.keys(PasswordPolicy.PRESETS),
+          version: '1.1.0'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      const errorType = error.message.split(':')[0];
+
+      if (errorType === 'INVALID_POLICY') {
+        return res.status(400).json({
+          success: false,
+          error: errorType,
+          message: error.message.slice(errorType.length + 1).trim(),
+          requestId: req.id,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      req.log.error('validation.policyFailed', { error });
+      res.status(PasswordController.getErrorStatusCode(error)).json({
+        success: false,
+        error: PasswordController.sanitizeErrorType(error),
+        message: PasswordController.sanitizeErrorMessage(error, locale),
+        requestId: req.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * EVALUACIÓN POR LOTES
+   *
+   * Acepta un array JSON (o { items: [...] }) o NDJSON, una entrada por
+   * línea. Cada entrada es { id, password, ...opciones de evaluate } o directamente la contraseña;
+   * sin id se usa su posición (1-based). Devuelve los resultados por id y
+   * agregados del lote. Tiene su propio límite de body (ver passwordRoutes.js).
+   */
+  static BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 100;
+  static BATCH_BODY_LIMIT = process.env.BATCH_BODY_LIMIT || '256kb';
+  static NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson'];
+
+  static async evaluateBatch(req, res) {
+    const started = Date.now();
+    const locale = PasswordController.negotiateLocale(req, res);
+
+    let items;
+    try {
+      items = PasswordController.parseBatchItems(req);
+    } catch (error) {
+      if (error.validationErrors) {
+        return OpenApiSpec.sendValidationError(req, res, error.validationErrors);
+      }
+
+      const errorType = error.message.split(':')[0];
+      req.log.info('batch.rejected', { error });
+
+      return res.status(400).json({
+        success: false,
+        error: errorType,
+        message: error.message.slice(errorType.length + 1).trim(),
+        requestId: req.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Sin prototipo: un id como "__proto__" es una clave más
+    const results = Object.create(null);
+    const evaluations = [];
+
+    for (const { id, password, options } of items) {
+      try {
+        const evaluation = await PasswordEvaluator.evaluatePasswordSecurely(password, { ...options, locale });
+
+        if (PasswordController.leaksPassword(password, evaluation)) {
+          throw new Error('SECURITY_BREACH: Password in response (unexpected location)');
+        }
+
+        results[id] = { success: true, evaluation };
+        evaluations.push(evaluation);
+      } catch (error) {
+        results[id] = {
+          success: false,
+          error: PasswordController.sanitizeErrorType(error),
+          message: PasswordController.sanitizeErrorMessage(error, locale)
+        };
+      }
+
+      // Cede el event loop entre entradas para no bloquear otras peticiones
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const aggregates = PasswordEvaluator.aggregateEvaluations(evaluations, items.length);
+
+    req.log.info('batch.completed', { items: aggregates.total, evaluated: aggregates.evaluated, failed: aggregates.failed, durationMs: Date.now() - started });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        results,
+        aggregates
+      },
+      metadata: {
+        requestId: req.id,
+        endpoint: '/api/v1/password/evaluate/batch',
+        maxItems: PasswordController.BATCH_MAX_ITEMS,
+        locale,
+        processingTimeMs: Date.now() - started,
+        version: '1.1.0'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * LOTE: Body (array JSON o NDJSON) → [{ id, password }]
+   */
+  static parseBatchItems(req) {
+    let rawItems;
+
+    if (req.is(PasswordController.NDJSON_TYPES)) {
+      if (typeof req.body !== 'string') {
+        throw new Error('INVALID_BATCH: Body NDJSON requerido');
+      }
+
+      rawItems = [];
+      req.body.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '') return;
+        try {
+          rawItems.push(JSON.parse(line));
+        } catch {
+          throw new Error(`INVALID_NDJSON: La línea ${index + 1} no es JSON válido`);
+        }
+      });
+    } else {
+      // JSON ya validado contra BatchRequest (OpenApiSpec.validate)
+      rawItems = Array.isArray(req.body) ? req.body : req.body.items;
+    }
+
+    // Mismo esquema para NDJSON: tamaño del lote y forma de cada entrada
+    const validationErrors = OpenApiSpec.validateSchema('BatchItems', rawItems);
+    if (validationErrors.length > 0) {
+      throw Object.assign(new Error('INVALID_BATCH: El lote no cumple el esquema BatchItems'), { validationErrors });
+    }
+
+    const seen = new Set();
+    return rawItems.map((item, index) => {
+      const entry = typeof item === 'string' ? { password: item } : item;
+      const id = entry.id ?? String(index + 1);
+
+      if (seen.has(String(id))) {
+        throw new Error(`DUPLICATE_ID: El id de la entrada ${index + 1} está repetido`);
+      }
+      seen.add(String(id));
+
+      const { userInputs, hashAlgorithm, attemptsPerSecond } = entry;
+      return { id: String(id), password: entry.password, options: { userInputs, hashAlgorithm, attemptsPerSecond } };
+    });
+  }
+
+  /**
+   * EVALUACIÓN POR HASH (SHA-1 / NTLM / SHA-256)
+   *
+   * Variante de evaluatePassword para herramientas que solo conservan el
+   * hash: indica si coincide con una entrada del diccionario y su rango.
+   */
+  static async evaluateHash(req, res) {
+    const locale = PasswordController.negotiateLocale(req, res);
+
+    try {
+      // El formato ya está validado (HashRequest); aquí solo falta que la longitud corresponda al algoritmo
+      const { hash, algorithm } = req.body;
+      const evaluation = await PasswordEvaluator.evaluateHashSecurely(hash, algorithm, { locale });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          evaluation
+        },
+        metadata: {
+          requestId: req.id,
+          endpoint: '/api/v1/password/evaluate/hash',
+          supportedAlgorithms: Object.keys(HashIndex.ALGORITHMS),
+          locale,
+          version: '1.1.0'
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      const errorType = error.message.split(':')[0];
 
-      if (typeof length !== 'number' || length < 4 || length > 100) {
+      if (['INVALID_HASH', 'INVALID_ALGORITHM'].includes(errorType)) {
         return res.status(400).json({
           success: false,
-          error: 'INVALID_LENGTH',
-          message: 'La longitud debe ser un número entre 4 y 100',
+          error: errorType,
+          message: error.message.slice(errorType.length + 1).trim(),
+          requestId: req.id,
           timestamp: new Date().toISOString()
         });
       }
 
+      req.log.error('evaluation.hashFailed', { error });
+      res.status(500).json({
+        success: false,
+        error: 'PROCESSING_ERROR',
+        message: I18n.t('error.DEFAULT', {}, locale),
+        requestId: req.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * GENERADOR DE CONTRASEÑAS SEGURAS 
+   */
+  static async generatePassword(req, res) {
+    const locale = PasswordController.negotiateLocale(req, res);
+
+    try {
+      // Longitud y opciones ya validadas contra GenerateRequest
+      const { length = 16, includeLowercase = true, includeUppercase = true, includeNumbers = true, includeSymbols = true } = req.body || {};
+
       const generatedPassword = PasswordEvaluator.generateSecurePassword(length, {
         includeLowercase, includeUppercase, includeNumbers, includeSymbols
       });
 
-      const evaluation = await PasswordEvaluator.evaluatePasswordSecurely(generatedPassword);
+      const evaluation = await PasswordEvaluator.evaluatePasswordSecurely(generatedPassword, { locale });
 
       const response = {
         success: true,
@@ -164,75 +341,122 @@ export class PasswordController {
       res.status(200).json(response);
 
     } catch (error) {
-      console.error(`[ERROR] Password generation failed:`, error);
+      req.log.error('generate.failed', { error });
       res.status(500).json({
         success: false,
         error: 'GENERATION_ERROR',
-        message: error.message,
+        message: PasswordController.sanitizeErrorMessage(error, locale),
+        requestId: req.id,
         timestamp: new Date().toISOString()
       });
     }
   }
 
   /**
-   * ENDPOINT DE DEBUG
+   * GENERADOR DE FRASES DE PASO (Diceware)
    */
-  static async debugInfo(req, res) {
+  static async generatePassphrase(req, res) {
+    const locale = PasswordController.negotiateLocale(req, res);
+
     try {
-      console.log(`[DEBUG] Debug endpoint called`);
-      
-      const debugInfo = {
-        passwordEvaluator: {
-          exists: typeof PasswordEvaluator !== 'undefined',
-          methods: Object.getOwnPropertyNames(PasswordEvaluator).filter(name => typeof PasswordEvaluator[name] === 'function'),
-          dictionaryLoaded: PasswordEvaluator.isDictionaryLoaded || false,
-          dictionarySize: PasswordEvaluator.commonPasswords?.size || 0
+      const {
+        wordCount = 6,
+        language = 'es',
+        separator = '-',
+        capitalization = 'none',
+        includeNumber = false,
+        includeSymbol = false
+      } = req.body || {};
+
+      const parameters = { wordCount, language, separator, capitalization, includeNumber, includeSymbol };
+      const { passphrase, generatorEntropy } = await PassphraseGenerator.generate({ ...parameters, locale });
+
+      const evaluation = await PasswordEvaluator.evaluatePasswordSecurely(passphrase, { locale });
+
+      const response = {
+        success: true,
+        data: {
+          generatedPassphrase: passphrase,
+          generatorEntropy,
+          evaluation,
+          parameters,
+          generator: 'Diceware (CSPRNG crypto.getRandomValues)'
         },
-        environment: {
-          nodeVersion: process.version,
-          nodeEnv: process.env.NODE_ENV || 'development',
-          platform: process.platform,
-          workingDirectory: process.cwd()
-        }
+        timestamp: new Date().toISOString()
       };
 
-      // Intentar cargar el diccionario para debug
-      try {
-        await PasswordEvaluator.ensureDictionaryLoaded();
-        debugInfo.passwordEvaluator.dictionaryLoaded = PasswordEvaluator.isDictionaryLoaded;
-        debugInfo.passwordEvaluator.dictionarySize = PasswordEvaluator.commonPasswords.size;
-        
-        // Verificar si algunas contraseñas comunes están en el diccionario
-        const testPasswords = ['123456', 'password', 'qwerty', 'admin'];
-        debugInfo.dictionaryTests = {};
-        for (const pwd of testPasswords) {
-          debugInfo.dictionaryTests[pwd] = PasswordEvaluator.commonPasswords.has(pwd);
-        }
-        
-      } catch (dictError) {
-        debugInfo.dictionaryError = {
-          message: dictError.message,
-          type: dictError.constructor.name
-        };
+      res.status(200).json(response);
+
+    } catch (error) {
+      const errorType = error.message.split(':')[0];
+      const validationErrors = ['INVALID_WORD_COUNT', 'INVALID_LANGUAGE', 'INVALID_SEPARATOR', 'INVALID_CAPITALIZATION', 'INVALID_OPTION'];
+
+      if (validationErrors.includes(errorType)) {
+        return res.status(400).json({
+          success: false,
+          error: errorType,
+          message: I18n.t(`error.${errorType}`, OpenApiSpec.errorParams(), locale),
+          requestId: req.id,
+          timestamp: new Date().toISOString()
+        });
       }
 
-      res.status(200).json({
-        success: true,
-        debug: debugInfo,
+      req.log.error('passphrase.failed', { error });
+      res.status(500).json({
+        success: false,
+        error: 'GENERATION_ERROR',
+        message: PasswordController.sanitizeErrorMessage(error, locale),
+        requestId: req.id,
         timestamp: new Date().toISOString()
       });
+    }
+  }
+
+  /**
+   * RANGO K-ANONIMATO (compatible con la API de rangos de Pwned Passwords)
+   *
+   * El cliente envía solo los 5 primeros caracteres hex del SHA-1 y compara
+   * localmente los sufijos: la contraseña nunca sale de su dispositivo.
+   */
+  static async getHashRange(req, res) {
+    try {
+      // Prefijo ya validado (INVALID_PREFIX) por el parámetro de la especificación
+      const { prefix } = req.params;
+      const lines = (await PasswordEvaluator.getHashRange(prefix))
+        .map(({ suffix, count }) => `${suffix}:${count}`);
+
+      // Relleno opcional (cabecera Add-Padding) para ocultar el tamaño de la respuesta
+      if (req.get('Add-Padding') === 'true') {
+        lines.push(...PasswordController.generateRangePadding(lines.length));
+      }
+
+      res.status(200)
+        .type('text/plain')
+        .send(lines.join('\r\n'));
 
     } catch (error) {
-      console.error(`[DEBUG] Debug endpoint error:`, error);
+      req.log.error('range.failed', { error });
       res.status(500).json({
         success: false,
-        error: 'DEBUG_ERROR',
-        message: error.message,
+        error: 'RANGE_ERROR',
+        message: 'Error consultando el rango',
         timestamp: new Date().toISOString()
       });
     }
   }
 
+  static generateRangePadding(currentCount) {
+    const target = 800 + (crypto.getRandomValues(new Uint32Array(1))[0] % 201);
+    const padding = [];
+
+    for (let i = currentCount; i < target; i++) {
+      const bytes = crypto.getRandomValues(new Uint8Array(18));
+      const suffix = Buffer.from(bytes).toString('hex').slice(0, 35).toUpperCase();
+      padding.push(`${suffix}:0`);
+    }
+    return padding;
+  }
+
   /**
    * INFORMACIÓN DE LA API
    */
@@ -242,34 +466,77 @@ export class PasswordController {
       version: '1.1.0',
       description: 'API completa para evaluar la fuerza de contraseñas con detección avanzada de similitud',
       
-      endpoints: {
-        evaluate: {
-          method: 'POST',
-          path: '/api/v1/password/evaluate',
-          description: 'Evalúa la fuerza de una contraseña con análisis de similitud',
-          note: 'Si la contraseña coincide exactamente con una del diccionario, aparecerá en matchedPassword'
-        },
-        generate: {
-          method: 'POST', 
-          path: '/api/v1/password/generate',
-          description: 'Genera contraseña segura con CSPRNG'
-        },
-        info: {
-          method: 'GET',
-          path: '/api/v1/password/info', 
-          description: 'Información de la API'
-        },
-        debug: {
-          method: 'GET',
-          path: '/api/v1/password/debug',
-          description: 'Información de debug (temporal)'
-        }
+      localization: {
+        supportedLocales: I18n.supportedLocales,
+        defaultLocale: I18n.DEFAULT_LOCALE,
+        selection: 'Parámetro "lang" (query o body) o cabecera Accept-Language; el idioma elegido se indica en Content-Language',
+        note: 'Se traducen categorías, descripciones, tiempos de crackeo, detalles de similitud, recomendaciones y mensajes de error'
+      },
+
+      codes: {
+        note: 'Códigos estables para la lógica del cliente (*Code y recommendations[].code); el texto de al lado es solo para mostrar',
+        strength: ResultCodes.STRENGTH,
+        risk: ResultCodes.RISK,
+        similarity: ResultCodes.SIMILARITY,
+        recommendations: ResultCodes.RECOMMENDATIONS
+      },
+
+      specification: '/openapi.json',
+      endpoints: OpenApiSpec.describeEndpoints(),
+
+      policies: {
+        presets: Object.fromEntries(Object.entries(PasswordPolicy.PRESETS).map(([name, preset]) => [name, preset.description])),
+        rules: Object.keys(PasswordPolicy.RULE_TYPES),
+        default: PasswordPolicy.DEFAULT_PRESET
+      },
+
+      dictionary: {
+        version: PasswordEvaluator.dictionaryInfo?.version ?? null,
+        loadedAt: PasswordEvaluator.dictionaryInfo?.loadedAt ?? null,
+        ranking: `dictionaryRank: posición en el orden de frecuencia (1 = la más común). Las ${PasswordEvaluator.TOP_RANK} primeras ` +
+          `penalizan un nivel más y las posteriores a ${PasswordEvaluator.OBSCURE_RANK} uno menos`,
+        reload: 'POST /api/v1/admin/dictionary/reload: se construye en segundo plano y se cambia de una vez, sin afectar a las evaluaciones en curso',
+        watch: 'DICTIONARY_WATCH=true recarga al cambiar el CSV o el índice'
       },
 
       security: {
         zeroPersistence: 'Las contraseñas NUNCA se almacenan ni registran',
         smartSanitization: 'Permite matchedPassword para coincidencias legítimas del diccionario',
-        secureLogging: 'Solo metadatos, nunca datos sensibles'
+        secureLogging: 'Logs JSON con redacción obligatoria: solo identificadores, rutas, estados y códigos (LOG_LEVEL, LOG_FORMAT)',
+        requestId: 'Cabecera X-Request-Id: se respeta la recibida (si es válida) o se genera, y se devuelve en la respuesta'
+      },
+
+      rateLimits: {
+        enabled: RateLimiter.enabled,
+        algorithm: 'Token bucket por IP y por regla: ráfaga de "limit" peticiones, rellenado completo en "windowSeconds"',
+        rules: Object.fromEntries(Object.values(RateLimiter.rules).map(({ name, limit, windowSeconds }) => [name, { limit, windowSeconds }])),
+        headers: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'],
+        note: 'Al superarlo: 429 RATE_LIMIT_EXCEEDED. Configurable con RATE_LIMIT_<REGLA>=limite/segundos y RATE_LIMIT_ENABLED=false'
+      },
+
+      authentication: {
+        enabled: ApiKeyAuth.enabled,
+        header: ApiKeyAuth.HEADER,
+        alternatives: ['Authorization: Bearer <clave>', 'Sec-WebSocket-Protocol: password-meter, apikey.<clave> (solo WebSocket)'],
+        errors: {
+          MISSING_API_KEY: 401,
+          INVALID_API_KEY: 401,
+          ENDPOINT_NOT_ALLOWED: 403,
+          ADMIN_DISABLED: 403,
+          QUOTA_EXCEEDED: 429
+        },
+        admin: 'Los endpoints /api/v1/admin requieren una clave con "admin" en endpoints ("*" no lo incluye)',
+        publicEndpoints: OpenApiSpec.listEndpoints({ publicOnly: true }),
+        ...(req.apiKey && {
+          key: {
+            id: req.apiKey.id,
+            tenant: req.apiKey.tenant,
+            endpoints: req.apiKey.endpoints ? [...req.apiKey.endpoints] : ApiKeyAuth.ENDPOINTS.filter(endpoint => !ApiKeyAuth.ADMIN_ENDPOINTS.includes(endpoint)),
+            quota: req.apiKey.quota && { limit: req.apiKey.quota.limit, windowSeconds: req.apiKey.quota.windowSeconds },
+            lang: req.apiKey.lang,
+            policy: typeof req.apiKey.policy === 'object' ? 'custom' : req.apiKey.policy ?? null
+          }
+        })
       },
 
       timestamp: new Date().toISOString()
@@ -279,46 +546,71 @@ export class PasswordController {
   }
 
   /**
-   * UTILIDADES DE VALIDACIÓN Y SEGURIDAD
+   * IDIOMA: `lang` (query o body) > Accept-Language > idioma por defecto
    */
-  static validateRequest(req) {
-    const errors = [];
-
-    const contentType = req.get('Content-Type');
-    if (!contentType || !contentType.includes('application/json')) {
-      errors.push('CONTENT_TYPE_INVALID: Se requiere application/json');
-    }
+  static negotiateLocale(req, res) {
+    const lang = req.query?.lang ?? req.body?.lang;
+    const locale = I18n.resolveLocale(lang, req.get('Accept-Language'), req.apiKey?.lang);
 
-    if (!req.body || typeof req.body !== 'object') {
-      errors.push('BODY_MISSING: Body de petición requerido');
-    }
-
-    if (req.body && !req.body.hasOwnProperty('password')) {
-      errors.push('FIELD_MISSING: Campo "password" requerido');
-    }
+    res.set('Content-Language', locale);
+    res.vary('Accept-Language');
+    return locale;
+  }
 
-    return {
-      isValid: errors.length === 0,
-      errors
+  /**
+   * UTILIDADES DE SEGURIDAD
+   *
+   * La contraseña solo puede aparecer en matchedPassword por coincidencia exacta
+   */
+  /**
+   * FUGA: ¿Algún texto de la evaluación contiene la contraseña?
+   *
+   * Los campos de vocabulario fijo (códigos, distribuciones de teclado,
+   * textos del catálogo sin parámetros, versión del diccionario...) no se
+   * inspeccionan: "wert" está en "qwerty" sin que nada derive de la
+   * contraseña. Cualquier otro campo, también uno nuevo, se inspecciona.
+   */
+  static FIXED_VALUE_FIELDS = new Set([
+    'method', 'pattern', 'layout', 'keyboardLayout', 'similarityType', 'riskLevel', 'type',
+    'id', 'code', 'headlineScenario', 'hashAlgorithm', 'algorithm', 'attemptsPerSecond', 'formula',
+    'dictionaryVersion', 'dictionaryChecksum', 'dictionaryLoadedAt', 'timestamp',
+    // Textos del catálogo sin parámetros (los que se interpolan, como details,
+    // text o formatted, sí se inspeccionan)
+    'baseCategory', 'finalCategory', 'riskLevelText', 'similarityDescription',
+    'specification', 'day1', 'day2', 'day3', 'similarity'
+  ]);
+
+  static leaksPassword(password, evaluation) {
+    if (PasswordController.isLegitimateMatch(password, evaluation)) return false;
+
+    const inspect = (value, field) => {
+      if (typeof value === 'string') {
+        const isFixed = PasswordController.FIXED_VALUE_FIELDS.has(field) || field?.endsWith('Code');
+        return !isFixed && value.includes(password);
+      }
+      if (value && typeof value === 'object') {
+        return Object.entries(value).some(([key, child]) => inspect(child, Array.isArray(value) ? field : key));
+      }
+      return false;
     };
+    return inspect(evaluation, null);
+  }
+
+  static isLegitimateMatch(password, evaluation) {
+    return evaluation.similarityAnalysis?.matchedPassword === password &&
+           evaluation.similarityAnalysis?.exactMatch === true;
   }
 
   static sanitizeErrorType(error) {
-    const allowedTypes = ['INVALID_TYPE', 'EMPTY_INPUT', 'TOO_LONG', 'ValidationError'];
+    const allowedTypes = ['INVALID_TYPE', 'EMPTY_INPUT', 'TOO_LONG', 'INVALID_USER_INPUTS', 'INVALID_HASH_ALGORITHM', 'INVALID_ATTACK_RATE', 'ValidationError'];
     return allowedTypes.includes(error.message.split(':')[0]) ? 
            error.message.split(':')[0] : 'PROCESSING_ERROR';
   }
 
-  static sanitizeErrorMessage(error) {
-    const safeMessages = {
-      'INVALID_TYPE': 'Tipo de dato incorrecto',
-      'EMPTY_INPUT': 'Entrada vacía',
-      'TOO_LONG': 'Entrada demasiado larga',
-      'ValidationError': 'Error de validación'
-    };
-
-    const errorType = error.message.split(':')[0];
-    return safeMessages[errorType] || 'Error interno del servidor';
+  static sanitizeErrorMessage(error, locale = I18n.DEFAULT_LOCALE) {
+    const errorType = PasswordController.sanitizeErrorType(error);
+    const key = errorType === 'PROCESSING_ERROR' ? 'error.DEFAULT' : `error.${errorType}`;
+    return I18n.t(key, { algorithms: Object.keys(AttackScenarios.HASH_ALGORITHMS) }, locale);
   }
 
   static getErrorStatusCode(error) {
@@ -326,26 +618,13 @@ export class PasswordController {
       'INVALID_TYPE': 400,
       'EMPTY_INPUT': 400, 
       'TOO_LONG': 400,
+      'INVALID_USER_INPUTS': 400,
+      'INVALID_HASH_ALGORITHM': 400,
+      'INVALID_ATTACK_RATE': 400,
       'ValidationError': 400
     };
 
     const errorType = error.message.split(':')[0];
     return statusCodes[errorType] || 500;
   }
-
-  static notFound(req, res) {
-    res.status(404).json({
-      success: false,
-      error: 'ENDPOINT_NOT_FOUND',
-      message: 'Endpoint no encontrado',
-      availableEndpoints: [
-        'GET /health',
-        'GET /api/v1/password/info',
-        'GET /api/v1/password/debug',
-        'POST /api/v1/password/evaluate', 
-        'POST /api/v1/password/generate'
-      ],
-      timestamp: new Date().toISOString()
-    });
-  }
-}
\ No newline at end of file
+}
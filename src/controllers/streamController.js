@@ -0,0 +1,312 @@
+import { WebSocketServer } from 'ws';
+import { PasswordEvaluator } from '../passwordEvaluator.js';
+import { UserInputDictionary } from '../userInputDictionary.js';
+import { AttackScenarios } from '../attackScenarios.js';
+import { I18n } from '../i18n.js';
+import { PasswordController } from './passwordController.js';
+import { RateLimiter } from '../rateLimiter.js';
+import { ApiKeyAuth } from '../apiKeyAuth.js';
+import { Metrics } from '../metrics.js';
+import { Logger, logger } from '../logger.js';
+
+/**
+ * MEDIDOR DE FUERZA EN TIEMPO REAL (WebSocket)
+ *
+ * El formulario abre una conexión y envía cada estado de la contraseña:
+ *
+ *   → { "type": "evaluate", "seq": 7, "password": "...", "userInputs"?, "hashAlgorithm"?, "attemptsPerSecond"?, "lang"? }
+ *   → { "type": "cancel" }
+ *
+ *   ← { "type": "quick", "seq": 7, "result": {...} }       inmediato: longitud, clases, coincidencia exacta
+ *   ← { "type": "result", "seq": 7, "evaluation": {...} }  evaluación completa (misma que /evaluate)
+ *   ← { "type": "cancelled", "seq": 7 }
+ *   ← { "type": "error", "seq": 7, "error": "...", "message": "..." }
+ *
+ * La evaluación completa espera DEBOUNCE_MS sin estados nuevos y solo se
+ * entrega si sigue siendo el último estado: las obsoletas se descartan.
+ * CERO PERSISTENCIA: la conexión solo guarda el último estado pendiente y lo
+ * suelta al evaluarlo, al cancelarlo o al cerrarse; nada de su contenido se
+ * registra. Los logs de la sesión llevan el X-Request-Id de la conexión.
+ *
+ * API key desde el navegador (no puede enviar cabeceras en el WebSocket):
+ * como subprotocolo, new WebSocket(url, ['password-meter', 'apikey.<clave>']).
+ * El servidor solo responde con 'password-meter'; la clave no va en la URL,
+ * que acaba en los logs de acceso de los proxies.
+ */
+export class StreamController {
+
+  static PATH = '/api/v1/password/stream';
+  static DEBOUNCE_MS = parseInt(process.env.STREAM_DEBOUNCE_MS) || 250;
+  static IDLE_TIMEOUT_MS = parseInt(process.env.STREAM_IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+  static MAX_MESSAGE_BYTES = 4096;
+
+  static PROTOCOL = 'password-meter';
+  static KEY_PROTOCOL_PREFIX = 'apikey.';
+
+  /**
+   * @param {http.Server} server
+   * @param {express.Application} app - Su "trust proxy" decide la IP del cliente
+   */
+  static attach(server, app) {
+    const wss = new WebSocketServer({
+      noServer: true,
+      maxPayload: this.MAX_MESSAGE_BYTES,
+      // Nunca se elige (ni se devuelve) el subprotocolo con la clave
+      handleProtocols: (protocols) => (protocols.has(this.PROTOCOL) ? this.PROTOCOL : false)
+    });
+
+    server.on('upgrade', async (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== this.PATH) {
+        socket.destroy();
+        return;
+      }
+
+      const log = logger.child({ requestId: Logger.resolveRequestId(req.headers['x-request-id']) });
+
+      // Rechazo antes del cambio de protocolo (también cuenta en las métricas de la ruta)
+      const reject = (status, statusLine, reason, headers = '') => {
+        log.warn('stream.rejected', { status, reason });
+        Metrics.observeUpgrade(url.pathname, status);
+        socket.end(`HTTP/1.1 ${status} ${statusLine}\r\n${headers}Connection: close\r\n\r\n`);
+      };
+
+      if (!this.isOriginAllowed(req)) {
+        return reject(403, 'Forbidden', 'originNotAllowed');
+      }
+
+      let apiKey = null;
+      if (ApiKeyAuth.enabled) {
+        apiKey = ApiKeyAuth.verify(ApiKeyAuth.extractKey(req.headers) ?? this.extractProtocolKey(req.headers));
+        if (!apiKey) {
+          return reject(401, 'Unauthorized', 'invalidKey');
+        }
+        if (!ApiKeyAuth.isAllowed(apiKey, 'stream')) {
+          return reject(403, 'Forbidden', 'endpointNotAllowed');
+        }
+        const quota = await ApiKeyAuth.consumeQuota(apiKey).catch(() => null);
+        if (quota && !quota.allowed) {
+          return reject(429, 'Too Many Requests', 'quotaExceeded', `Retry-After: ${quota.retryAfterSeconds}\r\n`);
+        }
+      }
+
+      // Límite de conexiones nuevas por IP (regla "stream"), la misma IP que req.ip en REST
+      if (RateLimiter.enabled) {
+        const result = await RateLimiter.consume('stream', this.clientIp(req, app) || 'unknown').catch(() => null);
+        if (result && !result.allowed) {
+          return reject(429, 'Too Many Requests', 'rateLimitExceeded', `Retry-After: ${result.retryAfterSeconds}\r\n`);
+        }
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        Metrics.observeUpgrade(url.pathname, 101);
+        const lang = url.searchParams.get('lang') ?? undefined;
+        new MeterSession(ws, { lang, acceptLanguage: req.headers['accept-language'], defaultLang: apiKey?.lang, log });
+      });
+    });
+
+    return wss;
+  }
+
+  /**
+   * Clave enviada como subprotocolo "apikey.<clave>" (Sec-WebSocket-Protocol)
+   */
+  static extractProtocolKey(headers) {
+    const protocols = (headers['sec-websocket-protocol'] ?? '').split(',').map(protocol => protocol.trim());
+    const protocol = protocols.find(value => value.startsWith(this.KEY_PROTOCOL_PREFIX));
+    return protocol ? protocol.slice(this.KEY_PROTOCOL_PREFIX.length) || null : null;
+  }
+
+  /**
+   * IP del cliente como req.ip de Express: con TRUST_PROXY, de X-Forwarded-For.
+   * El upgrade no pasa por la app, así que se le aplica el mismo prototipo
+   * de petición que Express aplica a las demás.
+   */
+  static clientIp(req, app) {
+    return Object.setPrototypeOf(req, app.request).ip;
+  }
+
+  /**
+   * Mismo criterio que CORS: mismo origen o uno de ALLOWED_ORIGINS
+   */
+  static isOriginAllowed(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+
+    const allowed = process.env.ALLOWED_ORIGINS?.split(',') || [];
+    if (allowed.includes(origin)) return true;
+
+    try {
+      return new URL(origin).host === req.headers.host;
+    } catch {
+      return false;
+    }
+  }
+}
+
+class MeterSession {
+
+  static nextId = 1;
+
+  constructor(ws, { lang, acceptLanguage, defaultLang, log }) {
+    this.ws = ws;
+    this.id = `stream_${MeterSession.nextId++}`;
+    this.log = log.child({ sessionId: this.id });
+    this.lang = lang;
+    this.acceptLanguage = acceptLanguage;
+    this.defaultLang = defaultLang;
+
+    // Último estado recibido (el único que se conserva) y su turno
+    this.pending = null;
+    this.turn = 0;
+    this.latestSeq = null;
+    this.timer = null;
+    this.running = false;
+    this.closed = false;
+    this.stats = { states: 0, evaluations: 0, discarded: 0 };
+
+    this.log.info('stream.opened');
+
+    ws.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+    ws.on('close', () => this.close());
+    ws.on('error', (error) => this.log.error('stream.failed', { error }));
+    this.resetIdleTimer();
+  }
+
+  async handleMessage(data, isBinary) {
+    this.resetIdleTimer();
+
+    let message;
+    try {
+      message = isBinary ? null : JSON.parse(data.toString('utf8'));
+    } catch {
+      message = null;
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return this.sendProtocolError(null, 'INVALID_JSON');
+    }
+
+    const seq = message.seq ?? null;
+    if (seq !== null && !Number.isInteger(seq)) {
+      return this.sendProtocolError(null, 'INVALID_MESSAGE');
+    }
+
+    if (message.type === 'cancel') {
+      this.cancelPending();
+      return this.send({ type: 'cancelled', seq: this.latestSeq });
+    }
+    if (message.type !== 'evaluate' || !Object.hasOwn(message, 'password')) {
+      return this.sendProtocolError(seq, 'INVALID_MESSAGE');
+    }
+
+    const { password, userInputs, hashAlgorithm, attemptsPerSecond, lang } = message;
+    const locale = I18n.resolveLocale(lang ?? this.lang, this.acceptLanguage, this.defaultLang);
+    const turn = ++this.turn;
+    this.latestSeq = seq;
+    this.stats.states++;
+
+    // El estado anterior queda obsoleto aunque este no llegue a ser válido
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending = null;
+
+    try {
+      UserInputDictionary.validate(userInputs);
+      AttackScenarios.validate({ hashAlgorithm, attemptsPerSecond });
+      const result = await PasswordEvaluator.quickEvaluate(password, { locale });
+
+      // Un estado más nuevo ya ha respondido su adelanto
+      if (turn !== this.turn) return;
+      this.send({ type: 'quick', seq, locale, result });
+    } catch (error) {
+      if (turn === this.turn) this.sendError(seq, error, locale);
+      return;
+    }
+
+    this.pending = { turn, seq, password, locale, options: { userInputs, hashAlgorithm, attemptsPerSecond } };
+    this.timer = setTimeout(() => this.evaluatePending(), StreamController.DEBOUNCE_MS);
+  }
+
+  /**
+   * EVALUACIÓN COMPLETA del último estado (una a la vez por conexión)
+   */
+  async evaluatePending() {
+    this.timer = null;
+    if (this.running || !this.pending) return;
+
+    const state = this.pending;
+    this.pending = null;
+    this.running = true;
+
+    try {
+      const evaluation = await PasswordEvaluator.evaluatePasswordSecurely(state.password, {
+        ...state.options,
+        locale: state.locale
+      });
+
+      if (PasswordController.leaksPassword(state.password, evaluation)) {
+        throw new Error('SECURITY_BREACH: Password in response (unexpected location)');
+      }
+
+      if (this.closed || state.turn !== this.turn) {
+        this.stats.discarded++;
+      } else {
+        this.stats.evaluations++;
+        this.send({ type: 'result', seq: state.seq, locale: state.locale, evaluation });
+      }
+    } catch (error) {
+      if (state.turn === this.turn) {
+        this.sendError(state.seq, error, state.locale);
+      }
+    } finally {
+      this.running = false;
+    }
+
+    // Llegó un estado nuevo mientras se evaluaba y su espera ya terminó
+    if (this.pending && !this.timer) this.evaluatePending();
+  }
+
+  cancelPending() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending = null;
+    // Invalida también la evaluación en curso, si la hay
+    this.turn++;
+  }
+
+  resetIdleTimer() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.ws.close(1000, 'idle'), StreamController.IDLE_TIMEOUT_MS);
+  }
+
+  send(payload) {
+    if (this.closed || this.ws.readyState !== this.ws.OPEN) return;
+    this.ws.send(JSON.stringify({ ...payload, timestamp: new Date().toISOString() }));
+  }
+
+  // Errores de evaluación: mismos tipos y mensajes saneados que la API REST
+  sendError(seq, error, locale) {
+    this.send({
+      type: 'error',
+      seq,
+      error: PasswordController.sanitizeErrorType(error),
+      message: PasswordController.sanitizeErrorMessage(error, locale)
+    });
+  }
+
+  sendProtocolError(seq, error) {
+    const locale = I18n.resolveLocale(this.lang, this.acceptLanguage, this.defaultLang);
+    this.send({ type: 'error', seq, error, message: I18n.t(`error.${error}`, {}, locale) });
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    clearTimeout(this.timer);
+    clearTimeout(this.idleTimer);
+    this.pending = null;
+
+    const { states, evaluations, discarded } = this.stats;
+    this.log.info('stream.closed', { states, evaluations, discarded });
+  }
+}
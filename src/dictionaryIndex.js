@@ -0,0 +1,408 @@
+/**
+ * ÍNDICE COMPACTO DEL DICCIONARIO
+ *
+ * Alternativa binaria al CSV: las entradas se guardan ordenadas por bytes
+ * UTF-8 y comprimidas por prefijo en bloques ("front coding"). La búsqueda
+ * es binaria sobre las cabeceras de bloque y lineal dentro del bloque, sin
+ * reconstruir un Set de JavaScript.
+ *
+ * Formato (little-endian):
+ *   0   magic 'PWDX'
+ *   4   versión (uint32)
+ *   8   número de entradas (uint32)
+ *   12  entradas por bloque (uint32)
+ *   16  número de bloques (uint32)
+ *   20  offsets de bloque (uint32 × bloques, relativos a la zona de datos)
+ *   ..  orden de carga (uint32 × entradas: índice ordenado de cada entrada en el orden del CSV)
+ *   ..  datos: por bloque, la primera entrada completa (varint longitud + bytes)
+ *       y el resto como (varint prefijo compartido, varint longitud sufijo, sufijo)
+ */
+export class DictionaryIndex {
+
+  static MAGIC = 'PWDX';
+  static VERSION = 1;
+  static BLOCK_SIZE = 16;
+  static HEADER_SIZE = 20;
+
+  // Mismos límites que la carga del CSV
+  static MIN_ENTRY_LENGTH = 3;
+  static MAX_ENTRY_LENGTH = 50;
+
+  // Primera columna de la cabecera del CSV ("rank,password")
+  static CSV_HEADER = /^rank$/i;
+
+  constructor(buffer) {
+    if (buffer.toString('latin1', 0, 4) !== DictionaryIndex.MAGIC) {
+      throw new Error('INVALID_INDEX: Cabecera de índice no reconocida');
+    }
+
+    const version = buffer.readUInt32LE(4);
+    if (version !== DictionaryIndex.VERSION) {
+      throw new Error(`INVALID_INDEX: Versión de índice no soportada (${version})`);
+    }
+
+    // Las vistas Uint32Array necesitan un offset alineado a 4 bytes
+    if (buffer.byteOffset % 4 !== 0) {
+      buffer = Buffer.from(new Uint8Array(buffer).buffer);
+    }
+
+    this.buffer = buffer;
+    this.size = buffer.readUInt32LE(8);
+    this.blockSize = buffer.readUInt32LE(12);
+    this.blockCount = buffer.readUInt32LE(16);
+
+    const offsetsStart = DictionaryIndex.HEADER_SIZE;
+    const orderStart = offsetsStart + this.blockCount * 4;
+    this.dataStart = orderStart + this.size * 4;
+
+    // Vistas sin copia sobre el mismo buffer
+    this.blockOffsets = new Uint32Array(buffer.buffer, buffer.byteOffset + offsetsStart, this.blockCount);
+    this.order = new Uint32Array(buffer.buffer, buffer.byteOffset + orderStart, this.size);
+  }
+
+  /**
+   * CSV: Extrae { password, rank } de una línea "rank,password", o null si no es válida
+   *
+   * rank es la columna 1 si es un entero (null si no); la cabecera no es una entrada.
+   */
+  static parseCSVRecord(line) {
+    if (line.trim() === '') return null;
+
+    const columns = line.split(',');
+    if (columns.length < 2 || !columns[1]) return null;
+
+    const rankColumn = columns[0].trim();
+    if (this.CSV_HEADER.test(rankColumn)) return null;
+
+    // Limpiar la contraseña (remover comillas, espacios)
+    const password = columns[1].trim().replace(/^["']|["']$/g, '');
+    if (password.length < this.MIN_ENTRY_LENGTH || password.length > this.MAX_ENTRY_LENGTH) {
+      return null;
+    }
+
+    return {
+      password: password.toLowerCase(),
+      rank: /^\d+$/.test(rankColumn) ? Number(rankColumn) : null
+    };
+  }
+
+  /**
+   * CSV: Extrae la contraseña de una línea (columna 2), o null si no es válida
+   */
+  static parseCSVEntry(line) {
+    return this.parseCSVRecord(line)?.password ?? null;
+  }
+
+  /**
+   * ORDEN DE FRECUENCIA: Contraseñas de la más común a la menos común
+   *
+   * Si todos los registros tienen rango se ordenan por él (orden estable: en
+   * empate, el del fichero); si no, se respeta el orden del fichero. La
+   * posición resultante es el rango de cada entrada (ver EditDistanceIndex.rankOf).
+   */
+  static frequencyOrder(records) {
+    const isRanked = records.every(record => record.rank !== null);
+    const isSorted = records.every((record, k) => k === 0 || records[k - 1].rank <= record.rank);
+
+    const ordered = isRanked && !isSorted
+      ? [...records].sort((a, b) => a.rank - b.rank)
+      : records;
+    return ordered.map(record => record.password);
+  }
+
+  /**
+   * CONSTRUCCIÓN: Entradas únicas (en orden de carga) → buffer del índice
+   */
+  static build(entries) {
+    const unique = [...new Set(entries)];
+    const encoded = unique.map((entry, loadPosition) => ({ bytes: Buffer.from(entry, 'utf8'), loadPosition }));
+    encoded.sort((a, b) => Buffer.compare(a.bytes, b.bytes));
+
+    const order = new Uint32Array(encoded.length);
+    encoded.forEach(({ loadPosition }, sortedIndex) => {
+      order[loadPosition] = sortedIndex;
+    });
+
+    const blockCount = Math.ceil(encoded.length / this.BLOCK_SIZE);
+    const blockOffsets = new Uint32Array(blockCount);
+    const chunks = [];
+    let dataLength = 0;
+
+    const push = (chunk) => {
+      chunks.push(chunk);
+      dataLength += chunk.length;
+    };
+
+    for (let k = 0; k < encoded.length; k++) {
+      const { bytes } = encoded[k];
+
+      if (k % this.BLOCK_SIZE === 0) {
+        blockOffsets[k / this.BLOCK_SIZE] = dataLength;
+        push(this.encodeVarint(bytes.length));
+        push(bytes);
+        continue;
+      }
+
+      const previous = encoded[k - 1].bytes;
+      let shared = 0;
+      while (shared < previous.length && shared < bytes.length && previous[shared] === bytes[shared]) {
+        shared++;
+      }
+
+      push(this.encodeVarint(shared));
+      push(this.encodeVarint(bytes.length - shared));
+      push(bytes.subarray(shared));
+    }
+
+    const header = Buffer.alloc(this.HEADER_SIZE);
+    header.write(this.MAGIC, 0, 'latin1');
+    header.writeUInt32LE(this.VERSION, 4);
+    header.writeUInt32LE(encoded.length, 8);
+    header.writeUInt32LE(this.BLOCK_SIZE, 12);
+    header.writeUInt32LE(blockCount, 16);
+
+    return Buffer.concat([
+      header,
+      Buffer.from(blockOffsets.buffer),
+      Buffer.from(order.buffer),
+      ...chunks
+    ]);
+  }
+
+  /**
+   * CARGA: Lee el índice de disco en un único buffer
+   */
+  static async load(indexPath) {
+    const fs = await import('fs/promises');
+    const buffer = await fs.readFile(indexPath);
+    return new DictionaryIndex(buffer);
+  }
+
+  /**
+   * BÚSQUEDA: Misma semántica que Set.has() sobre el diccionario en minúsculas
+   */
+  has(word) {
+    if (typeof word !== 'string' || this.blockCount === 0) return false;
+
+    const target = Buffer.from(word, 'utf8');
+
+    // Último bloque cuya primera entrada es <= target
+    let low = 0;
+    let high = this.blockCount - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (Buffer.compare(this.blockHead(mid), target) <= 0) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    for (const entry of this.decodeBlock(low)) {
+      const comparison = Buffer.compare(entry, target);
+      if (comparison === 0) return true;
+      if (comparison > 0) return false;
+    }
+    return false;
+  }
+
+  /**
+   * ITERACIÓN: En el orden original del CSV (como el Set anterior)
+   */
+  *[Symbol.iterator]() {
+    const { bytes, offsets } = this.decodeAll();
+    for (let k = 0; k < this.size; k++) {
+      const sortedIndex = this.order[k];
+      yield bytes.toString('utf8', offsets[sortedIndex], offsets[sortedIndex + 1]);
+    }
+  }
+
+  values() {
+    return this[Symbol.iterator]();
+  }
+
+  /**
+   * ITERACIÓN: En orden de bytes (recorrido secuencial, sin acceso aleatorio)
+   */
+  *sortedEntries() {
+    for (let block = 0; block < this.blockCount; block++) {
+      for (const entry of this.decodeBlock(block)) {
+        yield entry.toString('utf8');
+      }
+    }
+  }
+
+  /**
+   * DECODIFICACIÓN COMPLETA: Las entradas ordenadas, una tras otra, en un
+   * único buffer (offsets: inicio de cada una, size + 1). Se hace una vez y
+   * sin crear un objeto por entrada.
+   */
+  decodeAll() {
+    if (this.decoded) return this.decoded;
+
+    // 1ª pasada: solo las longitudes
+    const offsets = new Uint32Array(this.size + 1);
+    let k = 0;
+    this.scanBlocks((shared, suffixLength) => {
+      offsets[k + 1] = offsets[k] + shared + suffixLength;
+      k++;
+    });
+
+    // 2ª pasada: el prefijo compartido se copia de la entrada anterior
+    const bytes = Buffer.alloc(offsets[this.size]);
+    k = 0;
+    this.scanBlocks((shared, suffixLength, suffixStart) => {
+      const start = offsets[k];
+      if (shared > 0) bytes.copy(bytes, start, offsets[k - 1], offsets[k - 1] + shared);
+      this.buffer.copy(bytes, start + shared, suffixStart, suffixStart + suffixLength);
+      k++;
+    });
+
+    this.decoded = { bytes, offsets };
+    return this.decoded;
+  }
+
+  scanBlocks(onEntry) {
+    for (let block = 0; block < this.blockCount; block++) {
+      const end = block + 1 < this.blockCount
+        ? this.dataStart + this.blockOffsets[block + 1]
+        : this.buffer.length;
+      let offset = this.dataStart + this.blockOffsets[block];
+      let first = true;
+
+      while (offset < end) {
+        let shared = 0;
+        if (!first) {
+          const [value, read] = DictionaryIndex.decodeVarint(this.buffer, offset);
+          shared = value;
+          offset += read;
+        }
+        const [suffixLength, read] = DictionaryIndex.decodeVarint(this.buffer, offset);
+        offset += read;
+
+        onEntry(shared, suffixLength, offset);
+        offset += suffixLength;
+        first = false;
+      }
+    }
+  }
+
+  /**
+   * LISTA ORDENADA como texto: lo que necesita EditDistanceIndex
+   *
+   * text: las entradas concatenadas; offsets en unidades UTF-16 (size + 1);
+   * loadOrder: posición en el orden de carga de cada entrada ordenada.
+   */
+  sortedText() {
+    const { bytes, offsets: byteOffsets } = this.decodeAll();
+
+    const offsets = new Uint32Array(this.size + 1);
+    let units = 0;
+    let k = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      while (byteOffsets[k + 1] === i) offsets[++k] = units;
+      const byte = bytes[i];
+      // Un carácter por byte inicial; los de 4 bytes son dos unidades UTF-16
+      if ((byte & 0xc0) !== 0x80) units += byte >= 0xf0 ? 2 : 1;
+    }
+    while (k < this.size) offsets[++k] = units;
+
+    const loadOrder = new Uint32Array(this.size);
+    for (let position = 0; position < this.size; position++) {
+      loadOrder[this.order[position]] = position;
+    }
+
+    return { text: bytes.toString('utf8'), offsets, loadOrder };
+  }
+
+  /**
+   * LÍNEAS: Cada entrada, en el orden de carga, seguida de "\n" (bytes UTF-8).
+   * Es el texto que resume la versión del diccionario.
+   */
+  linesInLoadOrder() {
+    const { bytes, offsets } = this.decodeAll();
+    const lines = Buffer.alloc(bytes.length + this.size);
+    let position = 0;
+
+    for (let k = 0; k < this.size; k++) {
+      const sortedIndex = this.order[k];
+      position += bytes.copy(lines, position, offsets[sortedIndex], offsets[sortedIndex + 1]);
+      lines[position++] = 0x0a;
+    }
+    return lines;
+  }
+
+  entryAt(sortedIndex) {
+    const block = Math.floor(sortedIndex / this.blockSize);
+    const position = sortedIndex % this.blockSize;
+
+    let k = 0;
+    for (const entry of this.decodeBlock(block)) {
+      if (k++ === position) return entry.toString('utf8');
+    }
+    return undefined;
+  }
+
+  blockHead(block) {
+    let offset = this.dataStart + this.blockOffsets[block];
+    const [length, read] = DictionaryIndex.decodeVarint(this.buffer, offset);
+    offset += read;
+    return this.buffer.subarray(offset, offset + length);
+  }
+
+  *decodeBlock(block) {
+    const end = block + 1 < this.blockCount
+      ? this.dataStart + this.blockOffsets[block + 1]
+      : this.buffer.length;
+    let offset = this.dataStart + this.blockOffsets[block];
+
+    const [headLength, headRead] = DictionaryIndex.decodeVarint(this.buffer, offset);
+    offset += headRead;
+    let previous = this.buffer.subarray(offset, offset + headLength);
+    offset += headLength;
+    yield previous;
+
+    while (offset < end) {
+      const [shared, sharedRead] = DictionaryIndex.decodeVarint(this.buffer, offset);
+      offset += sharedRead;
+      const [suffixLength, suffixRead] = DictionaryIndex.decodeVarint(this.buffer, offset);
+      offset += suffixRead;
+
+      const entry = Buffer.concat([
+        previous.subarray(0, shared),
+        this.buffer.subarray(offset, offset + suffixLength)
+      ]);
+      offset += suffixLength;
+
+      previous = entry;
+      yield entry;
+    }
+  }
+
+  /**
+   * UTILIDADES: Enteros de longitud variable (7 bits por byte)
+   */
+  static encodeVarint(value) {
+    const bytes = [];
+    do {
+      let byte = value & 0x7f;
+      value >>>= 7;
+      if (value > 0) byte |= 0x80;
+      bytes.push(byte);
+    } while (value > 0);
+    return Buffer.from(bytes);
+  }
+
+  static decodeVarint(buffer, offset) {
+    let value = 0;
+    let shift = 0;
+    let read = 0;
+    let byte;
+    do {
+      byte = buffer[offset + read++];
+      value |= (byte & 0x7f) << shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return [value, read];
+  }
+}
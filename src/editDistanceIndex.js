@@ -0,0 +1,290 @@
+/**
+ * BÚSQUEDA POR DISTANCIA DE EDICIÓN (Damerau-Levenshtein acotada)
+ *
+ * Las entradas se ordenan y se guarda el prefijo común con la anterior
+ * (lcp). Recorrer la lista ordenada equivale a recorrer un trie implícito:
+ * las filas de la matriz de distancias se reutilizan para el prefijo común
+ * y, en cuanto una fila supera la distancia máxima, se salta de una vez
+ * (con skip) a la primera entrada que ya no comparte ese prefijo. Así el
+ * coste de una consulta depende de los prefijos "vivos", no del tamaño
+ * del diccionario.
+ *
+ * Las entradas ordenadas van concatenadas en un único string (text) con
+ * sus offsets: sin un objeto por entrada, 1M de entradas ocupan lo que sus
+ * caracteres. El orden es por punto de código, el mismo que el de los bytes
+ * UTF-8 de DictionaryIndex, que entrega su lista ya ordenada (sortedText()).
+ *
+ * Operaciones: inserción, borrado, sustitución y transposición de
+ * caracteres adyacentes (distancia de alineamiento óptimo de cadenas).
+ */
+export class EditDistanceIndex {
+
+  // El lcp se guarda en un byte
+  static MAX_LCP = 255;
+
+  /**
+   * @param {string} text - Entradas ordenadas, concatenadas
+   * @param {Uint32Array} offsets - Inicio de cada entrada en text (size + 1)
+   * @param {Uint32Array} loadOrder - Posición en el orden de carga de cada entrada ordenada
+   */
+  constructor(text, offsets, loadOrder) {
+    this.text = text;
+    this.offsets = offsets;
+    this.loadOrder = loadOrder;
+    this.size = offsets.length - 1;
+    this.lcp = new Uint8Array(this.size);
+    this.skip = new Int32Array(this.size);
+
+    let maxLength = 0;
+    for (let k = 0; k < this.size; k++) {
+      const length = offsets[k + 1] - offsets[k];
+      if (length > maxLength) maxLength = length;
+      if (k === 0) continue;
+
+      const previous = offsets[k - 1];
+      const current = offsets[k];
+      const limit = Math.min(current - previous, length, EditDistanceIndex.MAX_LCP);
+      let shared = 0;
+      while (shared < limit && text.charCodeAt(previous + shared) === text.charCodeAt(current + shared)) {
+        shared++;
+      }
+      this.lcp[k] = shared;
+    }
+    this.maxLength = maxLength;
+
+    // skip[k]: siguiente entrada con un lcp menor que el de k. Todas las
+    // intermedias comparten al menos lcp[k] caracteres con la anterior a k.
+    const stack = [];
+    for (let k = this.size - 1; k >= 0; k--) {
+      while (stack.length > 0 && this.lcp[stack[stack.length - 1]] >= this.lcp[k]) stack.pop();
+      this.skip[k] = stack.length > 0 ? stack[stack.length - 1] : this.size;
+      stack.push(k);
+    }
+  }
+
+  /**
+   * CONSTRUCCIÓN: Entradas en orden de carga (más comunes primero)
+   *
+   * Un DictionaryIndex entrega directamente su lista ordenada; cualquier otra
+   * colección (Set, array) se ordena aquí.
+   */
+  static build(entries) {
+    if (typeof entries.sortedText === 'function') {
+      const { text, offsets, loadOrder } = entries.sortedText();
+      return new EditDistanceIndex(text, offsets, loadOrder);
+    }
+
+    const list = Array.from(entries);
+    const positions = new Uint32Array(list.length).map((_, index) => index);
+    positions.sort((a, b) => EditDistanceIndex.compare(list[a], list[b]));
+
+    const sorted = Array.from(positions, index => list[index]);
+    const offsets = new Uint32Array(sorted.length + 1);
+    for (let k = 0; k < sorted.length; k++) {
+      offsets[k + 1] = offsets[k] + sorted[k].length;
+    }
+
+    return new EditDistanceIndex(sorted.join(''), offsets, positions);
+  }
+
+  /**
+   * ORDEN: Por punto de código. Las unidades UTF-16 solo difieren de él
+   * entre los sustitutos (U+D800-DFFF) y U+E000-FFFF.
+   */
+  static compare(a, b) {
+    const limit = Math.min(a.length, b.length);
+    for (let i = 0; i < limit; i++) {
+      const x = a.charCodeAt(i);
+      const y = b.charCodeAt(i);
+      if (x !== y) return EditDistanceIndex.codePointRank(x) - EditDistanceIndex.codePointRank(y);
+    }
+    return a.length - b.length;
+  }
+
+  static codePointRank(unit) {
+    if (unit >= 0xe000) return unit - 0x800;
+    if (unit >= 0xd800) return unit + 0x2000;
+    return unit;
+  }
+
+  entry(k) {
+    return this.text.slice(this.offsets[k], this.offsets[k + 1]);
+  }
+
+  /**
+   * RANGO: Posición de la entrada en el orden de carga (1 = la más común) o null
+   *
+   * Búsqueda binaria sobre la lista ordenada, con la misma comparación que build().
+   */
+  rankOf(word) {
+    let low = 0;
+    let high = this.size - 1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const comparison = EditDistanceIndex.compare(this.entry(mid), word);
+      if (comparison === 0) return this.rankAt(this.loadOrder[mid]);
+      if (comparison < 0) {
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return null;
+  }
+
+  rankAt(loadPosition) {
+    return loadPosition >= 0 && loadPosition < this.size ? loadPosition + 1 : null;
+  }
+
+  /**
+   * FUNCIÓN PRINCIPAL: Entrada más cercana a distancia <= maxDistance
+   *
+   * En empate gana la entrada cargada antes (la más común del CSV).
+   * @returns {{ match: string, distance: number, operations: Array }|null}
+   */
+  findClosest(query, maxDistance = 2) {
+    const n = query.length;
+    // Ninguna entrada queda a menos de maxDistance de una consulta más larga que todas
+    if (n - this.maxLength > maxDistance) return null;
+
+    const width = n + 1;
+    const rows = new Int32Array((this.maxLength + 1) * width);
+    for (let j = 0; j <= n; j++) rows[j] = j;
+
+    let best = null;
+    let k = 0;
+
+    while (k < this.size) {
+      const start = this.offsets[k];
+      const length = this.offsets[k + 1] - start;
+      let depth = Math.min(this.lcp[k], length);
+      let deadLength = 0;
+
+      for (; depth < length; depth++) {
+        const rowMin = this.computeRow(rows, width, query, start, depth);
+        if (rowMin > maxDistance) {
+          deadLength = depth + 1;
+          break;
+        }
+      }
+
+      if (deadLength > 0) {
+        k = this.nextOutsidePrefix(k, deadLength);
+        continue;
+      }
+
+      const distance = rows[length * width + n];
+      const order = this.loadOrder[k];
+      if (distance <= maxDistance && (!best || distance < best.distance || (distance === best.distance && order < best.order))) {
+        best = { index: k, distance, order };
+        if (distance === 0) break;
+      }
+      k++;
+    }
+
+    if (!best) return null;
+
+    const match = this.entry(best.index);
+    return {
+      match,
+      distance: best.distance,
+      operations: EditDistanceIndex.editOperations(query, match)
+    };
+  }
+
+  /**
+   * SALTO: Primera entrada después de k que no empieza por sus primeros
+   * prefixLength caracteres. Cada salto baja el lcp, así que son pocos.
+   */
+  nextOutsidePrefix(k, prefixLength) {
+    let next = k + 1;
+    while (next < this.size && this.lcp[next] >= prefixLength) {
+      next = this.skip[next];
+    }
+    return next;
+  }
+
+  /**
+   * Fila depth + 1 de la matriz (prefijo de la entrada de longitud depth + 1).
+   * Devuelve el mínimo de la fila para poder podar.
+   */
+  computeRow(rows, width, query, start, depth) {
+    const c = this.text.charCodeAt(start + depth);
+    const current = (depth + 1) * width;
+    const previous = depth * width;
+    const beforePrevious = (depth - 1) * width;
+
+    rows[current] = depth + 1;
+    let rowMin = depth + 1;
+
+    for (let j = 1; j < width; j++) {
+      const q = query.charCodeAt(j - 1);
+      let value = rows[previous + j - 1] + (q === c ? 0 : 1);
+
+      const deletion = rows[previous + j] + 1;
+      if (deletion < value) value = deletion;
+      const insertion = rows[current + j - 1] + 1;
+      if (insertion < value) value = insertion;
+
+      if (depth > 0 && j > 1 && c === query.charCodeAt(j - 2) && this.text.charCodeAt(start + depth - 1) === q) {
+        const transposition = rows[beforePrevious + j - 2] + 1;
+        if (transposition < value) value = transposition;
+      }
+
+      rows[current + j] = value;
+      if (value < rowMin) rowMin = value;
+    }
+
+    return rowMin;
+  }
+
+  /**
+   * OPERACIONES: Cómo transformar la consulta en la entrada encontrada.
+   * Solo tipos y posiciones (1-based, sobre la consulta), nunca caracteres.
+   */
+  static editOperations(query, target) {
+    const n = query.length;
+    const m = target.length;
+    const d = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+
+    for (let i = 0; i <= n; i++) d[i][0] = i;
+    for (let j = 0; j <= m; j++) d[0][j] = j;
+
+    for (let i = 1; i <= n; i++) {
+      for (let j = 1; j <= m; j++) {
+        const cost = query[i - 1] === target[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && query[i - 1] === target[j - 2] && query[i - 2] === target[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    const operations = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+      if (i > 1 && j > 1 && query[i - 1] === target[j - 2] && query[i - 2] === target[j - 1] &&
+          query[i - 1] !== target[j - 1] && d[i][j] === d[i - 2][j - 2] + 1) {
+        operations.unshift({ type: 'transposition', position: i - 1 });
+        i -= 2;
+        j -= 2;
+      } else if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + (query[i - 1] === target[j - 1] ? 0 : 1)) {
+        if (query[i - 1] !== target[j - 1]) {
+          operations.unshift({ type: 'substitution', position: i });
+        }
+        i--;
+        j--;
+      } else if (i > 0 && d[i][j] === d[i - 1][j] + 1) {
+        operations.unshift({ type: 'deletion', position: i });
+        i--;
+      } else {
+        operations.unshift({ type: 'insertion', position: i + 1 });
+        j--;
+      }
+    }
+
+    return operations;
+  }
+}
@@ -0,0 +1,151 @@
+import { createHash } from 'crypto';
+import { DictionaryIndex } from './dictionaryIndex.js';
+import { logger } from './logger.js';
+
+/**
+ * PROVEEDOR DE DICCIONARIO: Ficheros locales (solo Node)
+ *
+ * Carga el índice compilado si existe y no es más antiguo que el CSV; si no,
+ * el CSV. Sin ninguno de los dos, un diccionario básico de respaldo.
+ *
+ * Un proveedor es cualquier objeto con load() que resuelve a una colección
+ * con has(), size e iteración en orden de frecuencia (la más común primero).
+ * En el navegador se usa HttpDictionaryProvider.
+ *
+ * Opcionales: checksum ("sha256:<hex>" del fichero leído en la última carga,
+ * null con el respaldo) y watch(onChange), que avisa cuando cambia el CSV o
+ * el índice y devuelve la función para dejar de vigilar.
+ */
+export class FileDictionaryProvider {
+
+  static BASIC_PASSWORDS = [
+    'password', 'password123', '123456', '123456789', 'qwerty',
+    'abc123', 'password1', 'admin', 'letmein', 'welcome',
+    'monkey', '1234567890', 'dragon', 'sunshine', 'princess',
+    'administrator', 'root', 'test', 'guest', 'user'
+  ];
+
+  static WATCH_INTERVAL_MS = 2000;
+
+  constructor({ csvPath, indexPath }) {
+    this.name = 'file';
+    this.csvPath = csvPath;
+    this.indexPath = indexPath;
+    this.checksum = null;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.reload=false] - En una recarga, un fichero ilegible es un
+   *   error (se conserva el diccionario en uso) en lugar del diccionario básico
+   */
+  async load({ reload = false } = {}) {
+    try {
+      if (await this.isIndexUsable()) {
+        try {
+          const index = await DictionaryIndex.load(this.indexPath);
+          this.checksum = FileDictionaryProvider.checksumOf(index.buffer);
+          logger.info('dictionary.indexLoaded', { size: index.size });
+          return index;
+        } catch (indexError) {
+          logger.warn('dictionary.indexInvalid', { error: indexError });
+        }
+      }
+
+      return await this.loadPasswordsFromCSV();
+
+    } catch (error) {
+      if (reload) throw error;
+
+      logger.warn('dictionary.fallback', { error, size: FileDictionaryProvider.BASIC_PASSWORDS.length });
+
+      // Fallback: diccionario básico si no existe el archivo
+      this.checksum = null;
+      return new Set(FileDictionaryProvider.BASIC_PASSWORDS.map(pwd => pwd.toLowerCase()));
+    }
+  }
+
+  static checksumOf(buffer) {
+    return `sha256:${createHash('sha256').update(buffer).digest('hex')}`;
+  }
+
+  /**
+   * VIGILANCIA: Sondeo de la fecha de modificación del CSV y del índice
+   *
+   * Sondeo (fs.watchFile) y no fs.watch: funciona con ficheros reemplazados
+   * por rename y en volúmenes montados. No mantiene vivo el proceso.
+   */
+  async watch(onChange, { intervalMs = FileDictionaryProvider.WATCH_INTERVAL_MS } = {}) {
+    const fs = await import('fs');
+    const paths = [this.csvPath, this.indexPath];
+
+    const listener = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) onChange();
+    };
+    for (const path of paths) {
+      fs.watchFile(path, { interval: intervalMs, persistent: false }, listener);
+    }
+
+    return () => {
+      for (const path of paths) fs.unwatchFile(path, listener);
+    };
+  }
+
+  /**
+   * ÍNDICE: Se usa si existe y no es más antiguo que el CSV del que se compiló
+   */
+  async isIndexUsable() {
+    const fs = await import('fs/promises');
+
+    let indexStat;
+    try {
+      indexStat = await fs.stat(this.indexPath);
+    } catch {
+      return false;
+    }
+
+    try {
+      const csvStat = await fs.stat(this.csvPath);
+      if (csvStat.mtimeMs > indexStat.mtimeMs) {
+        logger.warn('dictionary.indexStale');
+        return false;
+      }
+    } catch {
+      // Sin CSV el índice es la única fuente
+    }
+
+    return true;
+  }
+
+  /**
+   * CARGA CSV: Columna 2, limpia y validada (mismas reglas que el índice
+   * compilado), en el orden de la columna de rango
+   */
+  async loadPasswordsFromCSV() {
+    const fs = await import('fs/promises');
+
+    const csvBuffer = await fs.readFile(this.csvPath);
+    const lines = csvBuffer.toString('utf8').split('\n');
+    const records = [];
+
+    let processedLines = 0;
+
+    for (const line of lines) {
+      processedLines++;
+
+      const record = DictionaryIndex.parseCSVRecord(line);
+
+      if (record !== null) {
+        records.push(record);
+      }
+    }
+
+    // Set en orden de frecuencia: en minúsculas repetidas se queda la más común
+    const passwords = new Set(DictionaryIndex.frequencyOrder(records));
+
+    this.checksum = FileDictionaryProvider.checksumOf(csvBuffer);
+    logger.info('dictionary.csvLoaded', { lines: processedLines, size: passwords.size });
+
+    return passwords;
+  }
+}
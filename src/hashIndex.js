@@ -0,0 +1,235 @@
+import { createHash } from 'crypto';
+
+/**
+ * ÍNDICE DE HASHES DEL DICCIONARIO
+ *
+ * Guarda el digest de cada entrada en un único buffer ordenado, junto con
+ * la posición de la entrada en el orden de carga del CSV. Permite:
+ *   - consultas por rango de prefijo (k-anonimato, formato Pwned Passwords)
+ *   - búsqueda exacta de un digest (evaluación por hash)
+ * sin conservar relación alguna con texto enviado por el cliente.
+ *
+ * Algoritmos: SHA-1, SHA-256 y NTLM (MD4 sobre UTF-16LE, como Active
+ * Directory). MD4 ya no está disponible en OpenSSL 3, así que se calcula aquí.
+ */
+export class HashIndex {
+
+  static ALGORITHMS = {
+    sha1: {
+      digestLength: 20,
+      hash: (entry) => createHash('sha1').update(entry, 'utf8').digest()
+    },
+    sha256: {
+      digestLength: 32,
+      hash: (entry) => createHash('sha256').update(entry, 'utf8').digest()
+    },
+    ntlm: {
+      digestLength: 16,
+      hash: (entry) => HashIndex.md4(Buffer.from(entry, 'utf16le'))
+    }
+  };
+
+  // Caracteres hexadecimales del prefijo de rango (20 bits, como Pwned Passwords)
+  static RANGE_PREFIX_LENGTH = 5;
+  static RANGE_KEYS = 1 << 20;
+
+  // Entradas por paso de buildSteps()
+  static CHUNK_SIZE = 10000;
+
+  constructor(algorithm, digests, ids, keys) {
+    this.algorithm = algorithm;
+    this.digestLength = HashIndex.ALGORITHMS[algorithm].digestLength;
+    this.digests = digests;
+    this.ids = ids;
+    this.keys = keys;
+    this.size = ids.length;
+  }
+
+  /**
+   * CONSTRUCCIÓN: Entradas en orden de carga → digests ordenados
+   *
+   * @param {Set<string>|DictionaryIndex|string[]} entries
+   */
+  static build(entries, algorithm) {
+    const steps = this.buildSteps(entries, algorithm);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+  }
+
+  /**
+   * CONSTRUCCIÓN POR PASOS: Generador que se detiene cada CHUNK_SIZE
+   * entradas, para construir sin bloquear el servidor (ver buildHashIndexes).
+   * El último paso devuelve el índice.
+   */
+  static *buildSteps(entries, algorithm) {
+    const definition = this.ALGORITHMS[algorithm];
+    if (!definition) {
+      throw new Error(`INVALID_ALGORITHM: Algoritmo no soportado '${algorithm}'`);
+    }
+
+    const { digestLength, hash } = definition;
+    const size = entries.size ?? entries.length;
+    const unsorted = Buffer.alloc(size * digestLength);
+    const unsortedKeys = new Uint32Array(size);
+
+    let id = 0;
+    for (const entry of entries) {
+      const digest = hash(entry);
+      digest.copy(unsorted, id * digestLength);
+      unsortedKeys[id] = this.rangeKey(digest, 0);
+      if (++id % this.CHUNK_SIZE === 0) yield;
+    }
+
+    // Orden por los primeros 20 bits (por conteo: son ~1 entrada por clave)...
+    const bucketStart = new Uint32Array(this.RANGE_KEYS + 1);
+    for (let k = 0; k < size; k++) bucketStart[unsortedKeys[k] + 1]++;
+    for (let key = 0; key < this.RANGE_KEYS; key++) bucketStart[key + 1] += bucketStart[key];
+
+    const ids = new Uint32Array(size);
+    const next = bucketStart.slice(0, this.RANGE_KEYS);
+    for (let k = 0; k < size; k++) ids[next[unsortedKeys[k]]++] = k;
+    yield;
+
+    // ...y, en empate, por el digest completo (inserción dentro de cada clave)
+    const isAfter = (a, b) => unsorted.compare(unsorted, b * digestLength, (b + 1) * digestLength, a * digestLength, (a + 1) * digestLength) > 0;
+    for (let key = 0; key < this.RANGE_KEYS; key++) {
+      for (let position = bucketStart[key] + 1; position < bucketStart[key + 1]; position++) {
+        const current = ids[position];
+        let target = position;
+        while (target > bucketStart[key] && isAfter(ids[target - 1], current)) {
+          ids[target] = ids[target - 1];
+          target--;
+        }
+        ids[target] = current;
+      }
+    }
+
+    const digests = Buffer.alloc(unsorted.length);
+    const keys = new Uint32Array(size);
+    ids.forEach((original, position) => {
+      unsorted.copy(digests, position * digestLength, original * digestLength, (original + 1) * digestLength);
+      keys[position] = unsortedKeys[original];
+    });
+
+    return new HashIndex(algorithm, digests, ids, keys);
+  }
+
+  /**
+   * Primeros 20 bits del digest (los 5 caracteres hex del prefijo)
+   */
+  static rangeKey(buffer, offset) {
+    return (buffer[offset] << 12) | (buffer[offset + 1] << 4) | (buffer[offset + 2] >> 4);
+  }
+
+  static isValidRangePrefix(prefix) {
+    return typeof prefix === 'string' && new RegExp(`^[0-9a-fA-F]{${this.RANGE_PREFIX_LENGTH}}$`).test(prefix);
+  }
+
+  lowerBound(key) {
+    let low = 0;
+    let high = this.size;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.keys[mid] < key) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  /**
+   * RANGO: Sufijos (hex en mayúsculas) de los digests que empiezan por el prefijo
+   *
+   * @returns {Array<{ suffix: string, id: number }>}
+   */
+  range(prefix) {
+    if (!HashIndex.isValidRangePrefix(prefix)) {
+      throw new Error('INVALID_PREFIX: Se requieren 5 caracteres hexadecimales');
+    }
+
+    const key = parseInt(prefix, 16);
+    const results = [];
+
+    for (let position = this.lowerBound(key); position < this.size && this.keys[position] === key; position++) {
+      const hex = this.digests
+        .toString('hex', position * this.digestLength, (position + 1) * this.digestLength)
+        .toUpperCase();
+      results.push({ suffix: hex.slice(HashIndex.RANGE_PREFIX_LENGTH), id: this.ids[position] });
+    }
+
+    return results;
+  }
+
+  /**
+   * BÚSQUEDA EXACTA: Posición de carga de la entrada con ese digest, o -1
+   */
+  find(digest) {
+    if (!Buffer.isBuffer(digest) || digest.length !== this.digestLength) return -1;
+
+    const key = HashIndex.rangeKey(digest, 0);
+    for (let position = this.lowerBound(key); position < this.size && this.keys[position] === key; position++) {
+      const offset = position * this.digestLength;
+      if (digest.compare(this.digests, offset, offset + this.digestLength) === 0) {
+        return this.ids[position];
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * MD4 (RFC 1320), necesario para los hashes NTLM
+   */
+  static md4(input) {
+    const bitLength = input.length * 8;
+    const paddedLength = (((input.length + 8) >> 6) + 1) << 6;
+    const message = Buffer.alloc(paddedLength);
+    input.copy(message);
+    message[input.length] = 0x80;
+    message.writeUInt32LE(bitLength >>> 0, paddedLength - 8);
+    message.writeUInt32LE(Math.floor(bitLength / 0x100000000), paddedLength - 4);
+
+    const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+    const F = (x, y, z) => (x & y) | (~x & z);
+    const G = (x, y, z) => (x & y) | (x & z) | (y & z);
+    const H = (x, y, z) => x ^ y ^ z;
+
+    let a = 0x67452301;
+    let b = 0xefcdab89;
+    let c = 0x98badcfe;
+    let d = 0x10325476;
+    const X = new Int32Array(16);
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+      for (let i = 0; i < 16; i++) X[i] = message.readInt32LE(offset + i * 4);
+      const [aa, bb, cc, dd] = [a, b, c, d];
+
+      for (const i of [0, 4, 8, 12]) {
+        a = rotl(a + F(b, c, d) + X[i], 3);
+        d = rotl(d + F(a, b, c) + X[i + 1], 7);
+        c = rotl(c + F(d, a, b) + X[i + 2], 11);
+        b = rotl(b + F(c, d, a) + X[i + 3], 19);
+      }
+      for (const i of [0, 1, 2, 3]) {
+        a = rotl(a + G(b, c, d) + X[i] + 0x5a827999, 3);
+        d = rotl(d + G(a, b, c) + X[i + 4] + 0x5a827999, 5);
+        c = rotl(c + G(d, a, b) + X[i + 8] + 0x5a827999, 9);
+        b = rotl(b + G(c, d, a) + X[i + 12] + 0x5a827999, 13);
+      }
+      for (const i of [0, 2, 1, 3]) {
+        a = rotl(a + H(b, c, d) + X[i] + 0x6ed9eba1, 3);
+        d = rotl(d + H(a, b, c) + X[i + 8] + 0x6ed9eba1, 9);
+        c = rotl(c + H(d, a, b) + X[i + 4] + 0x6ed9eba1, 11);
+        b = rotl(b + H(c, d, a) + X[i + 12] + 0x6ed9eba1, 15);
+      }
+
+      a = (a + aa) | 0;
+      b = (b + bb) | 0;
+      c = (c + cc) | 0;
+      d = (d + dd) | 0;
+    }
+
+    const digest = Buffer.alloc(16);
+    [a, b, c, d].forEach((word, i) => digest.writeInt32LE(word, i * 4));
+    return digest;
+  }
+}
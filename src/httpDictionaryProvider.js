@@ -0,0 +1,73 @@
+/**
+ * PROVEEDOR DE DICCIONARIO: Descarga desde este servidor (navegador o Node)
+ *
+ * Lee el manifiesto (data) de GET /api/v1/password/dictionary y descarga los
+ * fragmentos (shards) en orden: cada uno es texto con una entrada por línea,
+ * de la más común a la menos común. Con maxShards solo se descargan los
+ * primeros, es decir, las contraseñas más frecuentes: un diccionario más
+ * pequeño a cambio de detectar menos.
+ */
+export class HttpDictionaryProvider {
+
+  static MANIFEST_PATH = '/api/v1/password/dictionary';
+
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl=''] - Origen del servidor ('' = el mismo origen)
+   * @param {number} [options.maxShards] - Máximo de fragmentos a descargar (por defecto, todos)
+   * @param {Function} [options.fetch] - Implementación de fetch (por defecto, la global)
+   * @param {Object} [options.headers] - Cabeceras de cada petición (p. ej. { 'X-API-Key': ... })
+   */
+  constructor({ baseUrl = '', maxShards = Infinity, fetch = globalThis.fetch?.bind(globalThis), headers = {} } = {}) {
+    if (typeof fetch !== 'function') {
+      throw new Error('INVALID_PROVIDER: Se requiere fetch');
+    }
+    if (maxShards !== Infinity && (!Number.isInteger(maxShards) || maxShards < 1)) {
+      throw new Error('INVALID_PROVIDER: maxShards debe ser un entero positivo');
+    }
+
+    this.name = 'http';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.maxShards = maxShards;
+    this.fetch = fetch;
+    this.headers = headers;
+    this.manifest = null;
+    this.checksum = null;
+  }
+
+  async load() {
+    const { data: manifest } = await this.request(HttpDictionaryProvider.MANIFEST_PATH)
+      .then(response => response.json());
+
+    // El parámetro de versión evita mezclar fragmentos de dos diccionarios en caché
+    const shards = manifest.shards.slice(0, this.maxShards);
+    const texts = await Promise.all(shards.map(shard =>
+      this.request(`${HttpDictionaryProvider.MANIFEST_PATH}/shards/${shard.index}?v=${manifest.version}`)
+        .then(response => response.text())));
+
+    const dictionary = new Set();
+    for (const text of texts) {
+      for (const entry of text.split('\n')) {
+        if (entry !== '') dictionary.add(entry);
+      }
+    }
+
+    this.manifest = manifest;
+    this.checksum = manifest.checksum ?? null;
+    return dictionary;
+  }
+
+  async request(path) {
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}${path}`, { headers: this.headers });
+    } catch (error) {
+      throw new Error(`DICTIONARY_UNAVAILABLE: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`DICTIONARY_UNAVAILABLE: ${path} respondió ${response.status}`);
+    }
+    return response;
+  }
+}
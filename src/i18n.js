@@ -0,0 +1,130 @@
+/**
+ * INTERNACIONALIZACIÓN DE LAS RESPUESTAS
+ *
+ * Cada idioma es un catálogo JSON plano en src/locales/<código>.json. Las
+ * claves son los códigos estables de la respuesta (STRENGTH_VERY_WEAK,
+ * REC_INCREASE_LENGTH... ver ResultCodes) o claves internas del tipo
+ * "time.minutes", con parámetros entre llaves:
+ *
+ *   { "REC_INCREASE_LENGTH": "📏 Aumentar longitud a mínimo {minLength} caracteres" }
+ *
+ * AÑADIR UN IDIOMA: copiar src/locales/es.json como src/locales/<código>.json
+ * (código ISO 639-1: "fr", "pt"...) y traducir los valores. En Node se detecta
+ * al arrancar, sin registrar nada en el código; en el navegador los catálogos
+ * se descargan del servidor y se añaden con register(). Las claves que falten
+ * en un catálogo se muestran en el idioma por defecto.
+ *
+ * El idioma se elige por el parámetro `lang` (query o body) y, si no hay,
+ * por la cabecera Accept-Language; si ninguno está disponible, el de por defecto.
+ */
+export class I18n {
+
+  static DEFAULT_LOCALE = 'es';
+  static LOCALES_DIRECTORY = new URL('./locales/', import.meta.url);
+  static catalogues = new Map();
+
+  static register(locale, catalogue) {
+    this.catalogues.set(locale.toLowerCase(), catalogue);
+  }
+
+  /**
+   * Catálogos de src/locales (solo Node: recibe readdirSync y readFileSync de fs)
+   */
+  static loadCatalogues({ readdirSync, readFileSync }) {
+    for (const file of readdirSync(this.LOCALES_DIRECTORY)) {
+      if (!file.endsWith('.json')) continue;
+      const locale = file.slice(0, -'.json'.length);
+      this.register(locale, JSON.parse(readFileSync(new URL(file, this.LOCALES_DIRECTORY), 'utf8')));
+    }
+  }
+
+  static get supportedLocales() {
+    return [...this.catalogues.keys()];
+  }
+
+  /**
+   * SELECCIÓN: `lang` explícito > Accept-Language (por peso q) > fallback (p. ej. el de la API key) > idioma por defecto
+   */
+  static resolveLocale(lang, acceptLanguage, fallback = null) {
+    const explicit = this.matchLocale(lang);
+    if (explicit) return explicit;
+
+    if (typeof acceptLanguage === 'string') {
+      const ranges = acceptLanguage.split(',')
+        .map((part, order) => {
+          const [tag, ...parameters] = part.trim().split(';');
+          const quality = parameters.map(parameter => parameter.trim())
+            .find(parameter => parameter.startsWith('q='));
+          return { tag, q: quality ? Number(quality.slice(2)) : 1, order };
+        })
+        .filter(range => range.tag && range.q > 0)
+        .sort((a, b) => (b.q - a.q) || (a.order - b.order));
+
+      for (const { tag } of ranges) {
+        const locale = this.matchLocale(tag);
+        if (locale) return locale;
+      }
+    }
+
+    return this.matchLocale(fallback) ?? this.DEFAULT_LOCALE;
+  }
+
+  /**
+   * "en-GB" → "en" si solo existe el catálogo genérico
+   */
+  static matchLocale(tag) {
+    if (typeof tag !== 'string' || tag === '' || tag === '*') return null;
+
+    const normalized = tag.trim().toLowerCase();
+    if (this.catalogues.has(normalized)) return normalized;
+
+    const primary = normalized.split('-')[0];
+    return this.catalogues.has(primary) ? primary : null;
+  }
+
+  /**
+   * TRADUCCIÓN: Clave + parámetros → texto
+   *
+   * Un parámetro puede ser a su vez un mensaje { key, params } (se traduce
+   * en el mismo idioma) o una lista de ellos (se une con comas).
+   */
+  static t(key, params = {}, locale = this.DEFAULT_LOCALE) {
+    const template = this.catalogues.get(locale)?.[key]
+      ?? this.catalogues.get(this.DEFAULT_LOCALE)?.[key]
+      ?? key;
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      name in params ? this.renderParam(params[name], locale) : placeholder);
+  }
+
+  static format(message, locale = this.DEFAULT_LOCALE) {
+    return this.t(message.key, message.params, locale);
+  }
+
+  /**
+   * Mensaje → { code, params, text } para las respuestas: los parámetros que
+   * son a su vez mensajes se entregan ya traducidos
+   */
+  static localize(message, locale = this.DEFAULT_LOCALE) {
+    const params = Object.fromEntries(Object.entries(message.params || {})
+      .map(([name, value]) => [name, typeof value === 'object' && value !== null ? this.renderParam(value, locale) : value]));
+
+    return {
+      code: message.key,
+      params,
+      text: this.format(message, locale)
+    };
+  }
+
+  static renderParam(value, locale) {
+    if (Array.isArray(value)) return value.map(item => this.renderParam(item, locale)).join(', ');
+    if (value && typeof value === 'object' && 'key' in value) return this.format(value, locale);
+    return String(value);
+  }
+}
+
+// En Node los catálogos se leen del disco al importar el módulo; en el
+// navegador (sin fs) los registra el punto de entrada src/browser.js
+if (globalThis.process?.versions?.node) {
+  I18n.loadCatalogues(await import('fs'));
+}
@@ -0,0 +1,266 @@
+/**
+ * PATRONES DE TECLADO: Recorridos espaciales sobre distintas distribuciones
+ *
+ * Detecta contraseñas que son "caminos" sobre teclas vecinas ("qwertyuiop",
+ * "1qaz2wsx", "asdfñlkj"), incluyendo giros, teclas con Shift y filas
+ * repetidas. Solo se reportan posiciones y la distribución, nunca el texto.
+ */
+export class KeyboardPatterns {
+
+  // Longitud mínima de un recorrido
+  static MIN_WALK_LENGTH = 3;
+
+  // Cobertura mínima para considerar la contraseña un patrón de teclado
+  static MIN_COVERAGE = 0.75;
+  static MIN_COVERED_CHARACTERS = 4;
+
+  /**
+   * DISTRIBUCIONES: Cada fila es una lista de teclas "normal+shift" separadas
+   * por espacios. `offset` desplaza la fila (tecla ISO extra a la izquierda),
+   * una tecla repetida ocupa varias celdas (el 0 del teclado numérico).
+   * Las distribuciones inclinadas tienen 6 vecinos por tecla, las rectas 8.
+   */
+  static LAYOUTS = {
+    qwerty: {
+      name: 'QWERTY (US)',
+      slanted: true,
+      rows: [
+        { offset: 0, keys: '`~ 1! 2@ 3# 4$ 5% 6^ 7& 8* 9( 0) -_ =+' },
+        { offset: 0, keys: 'qQ wW eE rR tT yY uU iI oO pP [{ ]} \\|' },
+        { offset: 0, keys: 'aA sS dD fF gG hH jJ kK lL ;: \'"' },
+        { offset: 0, keys: 'zZ xX cC vV bB nN mM ,< .> /?' }
+      ]
+    },
+    qwerty_es: {
+      name: 'QWERTY Español (ISO)',
+      slanted: true,
+      rows: [
+        { offset: 0, keys: 'ºª 1! 2" 3· 4$ 5% 6& 7/ 8( 9) 0= \'? ¡¿' },
+        { offset: 0, keys: 'qQ wW eE rR tT yY uU iI oO pP `^ +*' },
+        { offset: 0, keys: 'aA sS dD fF gG hH jJ kK lL ñÑ ´¨ çÇ' },
+        { offset: -1, keys: '<> zZ xX cC vV bB nN mM ,; .: -_' }
+      ]
+    },
+    azerty: {
+      name: 'AZERTY (FR)',
+      slanted: true,
+      rows: [
+        { offset: 0, keys: '² &1 é2 "3 \'4 (5 -6 è7 _8 ç9 à0 )° =+' },
+        { offset: 0, keys: 'aA zZ eE rR tT yY uU iI oO pP ^¨ $£' },
+        { offset: 0, keys: 'qQ sS dD fF gG hH jJ kK lL mM ù% *µ' },
+        { offset: -1, keys: '<> wW xX cC vV bB nN ,? ;. :/ !§' }
+      ]
+    },
+    keypad: {
+      name: 'Teclado numérico',
+      slanted: false,
+      rows: [
+        { offset: 1, keys: '/ * -' },
+        { offset: 0, keys: '7 8 9 +' },
+        { offset: 0, keys: '4 5 6 +' },
+        { offset: 0, keys: '1 2 3' },
+        { offset: 0, keys: '0 0 .' }
+      ]
+    }
+  };
+
+  // Direcciones de vecindad (dx, dy)
+  static SLANTED_DIRECTIONS = [[-1, 0], [0, -1], [1, -1], [1, 0], [0, 1], [-1, 1]];
+  static ALIGNED_DIRECTIONS = [[-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1]];
+
+  // Grafos construidos bajo demanda
+  static graphs = new Map();
+
+  /**
+   * GRAFO DE ADYACENCIA: carácter → tecla, tecla → vecinos por dirección
+   */
+  static getAdjacencyGraph(layoutId) {
+    if (this.graphs.has(layoutId)) return this.graphs.get(layoutId);
+
+    const layout = this.LAYOUTS[layoutId];
+    if (!layout) {
+      throw new Error(`UNKNOWN_LAYOUT: Distribución de teclado desconocida '${layoutId}'`);
+    }
+
+    const directions = layout.slanted ? this.SLANTED_DIRECTIONS : this.ALIGNED_DIRECTIONS;
+    const cells = new Map();      // "x,y" → tecla
+    const positions = new Map();  // tecla → [[x, y], ...]
+    const characters = new Map(); // carácter → { key, shifted }
+
+    layout.rows.forEach(({ offset, keys }, y) => {
+      keys.split(' ').forEach((key, index) => {
+        const x = offset + index;
+        cells.set(`${x},${y}`, key);
+        if (!positions.has(key)) positions.set(key, []);
+        positions.get(key).push([x, y]);
+
+        [...key].forEach((char, charIndex) => {
+          if (!characters.has(char)) {
+            characters.set(char, { key, shifted: charIndex > 0 });
+          }
+        });
+      });
+    });
+
+    const neighbours = new Map();
+    for (const [key, keyPositions] of positions) {
+      const byDirection = directions.map(([dx, dy]) => {
+        for (const [x, y] of keyPositions) {
+          const neighbour = cells.get(`${x + dx},${y + dy}`);
+          if (neighbour && neighbour !== key) return neighbour;
+        }
+        return null;
+      });
+      neighbours.set(key, byDirection);
+    }
+
+    const degrees = [...neighbours.values()].map(list => list.filter(Boolean).length);
+    const graph = {
+      id: layoutId,
+      name: layout.name,
+      characters,
+      neighbours,
+      startingPositions: neighbours.size,
+      averageDegree: degrees.reduce((sum, d) => sum + d, 0) / degrees.length
+    };
+
+    this.graphs.set(layoutId, graph);
+    return graph;
+  }
+
+  /**
+   * BÚSQUEDA: Recorridos espaciales en todas las distribuciones
+   *
+   * @returns {Array<{pattern: 'spatial', layout: string, i: number, j: number, turns: number, shiftedCount: number, guesses: number}>}
+   */
+  static spatialMatches(password, layoutIds = Object.keys(this.LAYOUTS)) {
+    return layoutIds.flatMap(layoutId => this.findWalks(password, layoutId));
+  }
+
+  static findWalks(password, layoutId) {
+    const graph = this.getAdjacencyGraph(layoutId);
+    const matches = [];
+
+    let i = 0;
+    while (i < password.length - 1) {
+      let j = i + 1;
+      let lastDirection = null;
+      let turns = 0;
+      let shiftedCount = graph.characters.get(password[i])?.shifted ? 1 : 0;
+
+      while (j < password.length) {
+        const direction = this.getDirection(graph, password[j - 1], password[j]);
+        if (direction === -1) break;
+
+        if (direction !== lastDirection) {
+          turns++;
+          lastDirection = direction;
+        }
+        if (graph.characters.get(password[j]).shifted) shiftedCount++;
+        j++;
+      }
+
+      if (j - i >= this.MIN_WALK_LENGTH) {
+        matches.push({
+          pattern: 'spatial',
+          layout: layoutId,
+          i,
+          j: j - 1,
+          turns,
+          shiftedCount,
+          guesses: this.spatialGuesses(graph, j - i, turns, shiftedCount)
+        });
+      }
+
+      i = j;
+    }
+
+    return matches;
+  }
+
+  static getDirection(graph, fromChar, toChar) {
+    const from = graph.characters.get(fromChar);
+    const to = graph.characters.get(toChar);
+    if (!from || !to) return -1;
+
+    return graph.neighbours.get(from.key).indexOf(to.key);
+  }
+
+  /**
+   * DETECCIÓN: ¿La contraseña es (casi entera) un patrón de teclado?
+   *
+   * Elige la distribución con mayor cobertura; en empate, la primera declarada.
+   */
+  static detectKeyboardWalk(password, layoutIds = Object.keys(this.LAYOUTS)) {
+    const length = password.length;
+    let best = null;
+
+    for (const layoutId of layoutIds) {
+      const walks = this.findWalks(password, layoutId);
+      const covered = walks.reduce((sum, walk) => sum + (walk.j - walk.i + 1), 0);
+
+      if (!best || covered > best.covered) {
+        best = { layoutId, walks, covered };
+      }
+    }
+
+    if (!best || best.covered < this.MIN_COVERED_CHARACTERS) {
+      return { isKeyboardWalk: false };
+    }
+
+    const coverage = best.covered / length;
+    if (coverage < this.MIN_COVERAGE) {
+      return { isKeyboardWalk: false };
+    }
+
+    return {
+      isKeyboardWalk: true,
+      layout: best.layoutId,
+      layoutName: this.LAYOUTS[best.layoutId].name,
+      coverage: Math.round(coverage * 100) / 100,
+      walks: best.walks.map(({ i, j, turns, shiftedCount }) => ({ i, j, length: j - i + 1, turns, shiftedCount })),
+      turns: best.walks.reduce((sum, walk) => sum + walk.turns, 0)
+    };
+  }
+
+  /**
+   * INTENTOS: Número de recorridos posibles de esa longitud y giros
+   */
+  static spatialGuesses(graph, length, turns, shiftedCount) {
+    const s = graph.startingPositions;
+    const d = graph.averageDegree;
+    let guesses = 0;
+
+    for (let i = 2; i <= length; i++) {
+      const possibleTurns = Math.min(turns, i - 1);
+      for (let j = 1; j <= possibleTurns; j++) {
+        guesses += this.binomial(i - 1, j - 1) * s * Math.pow(d, j);
+      }
+    }
+
+    // Variaciones por Shift
+    const unshiftedCount = length - shiftedCount;
+    if (shiftedCount > 0) {
+      if (unshiftedCount === 0) {
+        guesses *= 2;
+      } else {
+        let variations = 0;
+        for (let k = 1; k <= Math.min(shiftedCount, unshiftedCount); k++) {
+          variations += this.binomial(length, k);
+        }
+        guesses *= variations;
+      }
+    }
+
+    return Math.max(1, guesses);
+  }
+
+  static binomial(n, k) {
+    if (k > n) return 0;
+    let result = 1;
+    for (let d = 1; d <= k; d++) {
+      result = result * (n - k + d) / d;
+    }
+    return Math.round(result);
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * NORMALIZACIÓN LEET SPEAK CON AMBIGÜEDAD
+ *
+ * Cada carácter sustituible puede ser él mismo o cualquiera de sus
+ * lecturas ('1' → 'l' o 'i', '0' → 'o' o un cero real). Se enumeran las
+ * variantes de menos a más sustituciones, con un tope, y se devuelve la
+ * primera que está en el diccionario junto con las posiciones sustituidas.
+ *
+ * Las lecturas de una letra corriente (a-z) como otra letra (n → ñ, v → b)
+ * aparecen en casi cualquier palabra: se prueban después de las variantes
+ * solo leet y con su propio tope, para no agotar el de las sustituciones reales.
+ *
+ * La tabla es configurable: se puede ampliar o reemplazar por completo.
+ */
+export class LeetSubstitution {
+
+  // Sustituciones leet clásicas (símbolos y dígitos que imitan letras)
+  static LEET_TABLE = {
+    '4': ['a'], '@': ['a', 'o'], '^': ['a'],
+    '8': ['b'], '6': ['g', 'b'], '9': ['g'],
+    '(': ['c'], '{': ['c'], '[': ['c'], '<': ['c'], '¢': ['c'],
+    '3': ['e'], '€': ['e'], '&': ['e'],
+    '#': ['h'],
+    '1': ['i', 'l'], '!': ['i', 'l'], '|': ['l', 'i'], '¡': ['i'],
+    '0': ['o'], 'ø': ['o'], '*': ['o'],
+    '5': ['s'], '$': ['s'], '§': ['s'],
+    '7': ['t', 'l'], '+': ['t'],
+    '2': ['z'], '%': ['x']
+  };
+
+  // Hábitos frecuentes de hispanohablantes: tildes añadidas, ñ escrita
+  // como n (o al revés) y confusiones ortográficas de una sola letra
+  static SPANISH_TABLE = {
+    'á': ['a'], 'é': ['e'], 'í': ['i'], 'ó': ['o'], 'ú': ['u'], 'ü': ['u'],
+    'ñ': ['n'], 'n': ['ñ'],
+    'k': ['c'], 'v': ['b'], 'b': ['v'], 'z': ['s']
+  };
+
+  static DEFAULT_TABLE = LeetSubstitution.mergeTables(LeetSubstitution.LEET_TABLE, LeetSubstitution.SPANISH_TABLE);
+
+  // Tope de variantes comprobadas por contraseña (solo leet / con lecturas de letra a letra)
+  static MAX_VARIANTS = 2000;
+  static MAX_LETTER_VARIANTS = 500;
+
+  constructor({
+    table = LeetSubstitution.DEFAULT_TABLE,
+    maxVariants = LeetSubstitution.MAX_VARIANTS,
+    maxLetterVariants = LeetSubstitution.MAX_LETTER_VARIANTS
+  } = {}) {
+    LeetSubstitution.validateTable(table);
+    this.table = table;
+    this.maxVariants = maxVariants;
+    this.maxLetterVariants = maxLetterVariants;
+  }
+
+  static isOrdinaryLetter(char) {
+    return /^[a-z]$/i.test(char);
+  }
+
+  /**
+   * CONFIGURACIÓN: Une tablas; las lecturas de un mismo carácter se acumulan
+   */
+  static mergeTables(...tables) {
+    const merged = {};
+    for (const table of tables) {
+      for (const [char, readings] of Object.entries(table)) {
+        merged[char] = [...new Set([...(merged[char] || []), ...readings])];
+      }
+    }
+    return merged;
+  }
+
+  static validateTable(table) {
+    if (!table || typeof table !== 'object' || Array.isArray(table)) {
+      throw new Error('INVALID_LEET_TABLE: La tabla debe ser un objeto { carácter: [lecturas] }');
+    }
+
+    for (const [char, readings] of Object.entries(table)) {
+      if ([...char].length !== 1) {
+        throw new Error('INVALID_LEET_TABLE: Cada clave debe ser un único carácter');
+      }
+      if (!Array.isArray(readings) || readings.some(reading => typeof reading !== 'string')) {
+        throw new Error('INVALID_LEET_TABLE: Las lecturas deben ser una lista de cadenas');
+      }
+    }
+  }
+
+  /**
+   * FUNCIÓN PRINCIPAL: Primera variante (con menos sustituciones) que está en el diccionario
+   *
+   * @returns {{ match: string, substitutions: Array<{position: number}>, variantsChecked: number }|null}
+   */
+  findInDictionary(password, dictionary) {
+    const chars = [...password];
+    const leet = [];
+    const letters = [];
+
+    chars.forEach((char, index) => {
+      const readings = (this.table[char] || []).filter(reading => reading !== char);
+      if (readings.length === 0) return;
+      (LeetSubstitution.isOrdinaryLetter(char) ? letters : leet).push({ index, readings });
+    });
+
+    if (leet.length === 0 && letters.length === 0) return null;
+
+    const checked = { count: 0 };
+    return this.firstInDictionary(this.enumerateVariants(chars, leet), dictionary, this.maxVariants, checked) ??
+      this.firstInDictionary(this.enumerateLetterVariants(chars, leet, letters), dictionary, this.maxLetterVariants, checked);
+  }
+
+  firstInDictionary(variants, dictionary, limit, checked) {
+    let phaseChecked = 0;
+
+    for (const variant of variants) {
+      if (phaseChecked >= limit) break;
+      phaseChecked++;
+      checked.count++;
+      if (dictionary.has(variant.text)) {
+        return {
+          match: variant.text,
+          substitutions: variant.positions.map(index => ({ position: index + 1 })),
+          variantsChecked: checked.count
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * ENUMERACIÓN: Variantes con 1, 2, 3... posiciones sustituidas
+   */
+  *enumerateVariants(chars, candidates) {
+    for (let count = 1; count <= candidates.length; count++) {
+      for (const chosen of this.combinations(candidates, count)) {
+        yield* this.readingsProduct(chars, chosen, 0, chars.slice());
+      }
+    }
+  }
+
+  /**
+   * ENUMERACIÓN: Variantes con 1, 2... letras cambiadas y, para cada
+   * elección de letras, 0, 1, 2... sustituciones leet
+   */
+  *enumerateLetterVariants(chars, leet, letters) {
+    for (let letterCount = 1; letterCount <= letters.length; letterCount++) {
+      for (const chosenLetters of this.combinations(letters, letterCount)) {
+        for (let leetCount = 0; leetCount <= leet.length; leetCount++) {
+          for (const chosenLeet of this.combinations(leet, leetCount)) {
+            const chosen = [...chosenLetters, ...chosenLeet].sort((a, b) => a.index - b.index);
+            yield* this.readingsProduct(chars, chosen, 0, chars.slice());
+          }
+        }
+      }
+    }
+  }
+
+  *combinations(candidates, remaining, from = 0, chosen = []) {
+    if (remaining === 0) {
+      yield chosen.slice();
+      return;
+    }
+
+    for (let k = from; k <= candidates.length - remaining; k++) {
+      chosen.push(candidates[k]);
+      yield* this.combinations(candidates, remaining - 1, k + 1, chosen);
+      chosen.pop();
+    }
+  }
+
+  *readingsProduct(chars, chosen, depth, current) {
+    if (depth === chosen.length) {
+      yield {
+        text: current.join(''),
+        positions: chosen.map(candidate => candidate.index)
+      };
+      return;
+    }
+
+    const { index, readings } = chosen[depth];
+    for (const reading of readings) {
+      current[index] = reading;
+      yield* this.readingsProduct(chars, chosen, depth + 1, current);
+    }
+    current[index] = chars[index];
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * LOGS ESTRUCTURADOS (una línea JSON por evento)
+ *
+ *   logger.info('request.completed', { method: 'POST', route: '/api/v1/password/evaluate', status: 200 });
+ *   → {"time":"...","level":"info","event":"request.completed","method":"POST",...}
+ *
+ * REDACCIÓN OBLIGATORIA: el evento es un nombre fijo (request.completed),
+ * nunca texto libre, y solo se escriben los campos de Logger.FIELDS cuyo
+ * valor cumple su formato. Un campo desconocido (password, matchedPassword,
+ * userInputs, hash...) se descarta y un valor con otro formato se sustituye
+ * por "[REDACTED]"; los errores quedan en su código (INVALID_HASH) y su tipo,
+ * nunca en su mensaje. Ningún texto recibido en la petición puede llegar al log.
+ *
+ * LOG_LEVEL: debug, info (por defecto), warn, error o silent.
+ * LOG_FORMAT: json (por defecto) o pretty (línea legible para desarrollo).
+ * Sin dependencias de Node: el evaluador también se ejecuta en el navegador.
+ */
+
+const env = globalThis.process?.env ?? {};
+
+const matches = (pattern) => (value) => typeof value === 'string' && pattern.test(value);
+const count = (value) => Number.isInteger(value) && value >= 0;
+const number = (value) => typeof value === 'number' && Number.isFinite(value);
+const boolean = (value) => typeof value === 'boolean';
+
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+const ERROR_CODE = /^[A-Z][A-Z0-9_]{1,63}$/;
+
+export class Logger {
+
+  static LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+  static REDACTED = '[REDACTED]';
+
+  static EVENT = /^[a-z][a-zA-Z]*(\.[a-z][a-zA-Z]*)+$/;
+
+  /**
+   * CAMPOS PERMITIDOS: nombre → formato admitido. Solo identificadores,
+   * códigos y cifras de la operación; ninguno describe la contraseña.
+   */
+  static FIELDS = {
+    requestId: matches(REQUEST_ID),
+    sessionId: matches(/^stream_\d+$/),
+    method: matches(/^[A-Z]{3,7}$/),
+    route: (value) => Logger.routes.has(value),
+    status: (value) => Number.isInteger(value) && value >= 100 && value <= 599,
+    ip: matches(/^[0-9a-fA-F.:]{2,45}$/),
+    durationMs: number,
+    errorCode: matches(ERROR_CODE),
+    errorType: matches(/^[A-Z][A-Za-z]{0,63}$/),
+    keyId: matches(/^[\w.-]{1,64}$/),
+    endpoint: matches(/^[a-z]+(\/[a-z]+)?$/),
+    rule: matches(/^[a-z][a-zA-Z]{0,31}$/),
+    reason: matches(/^[a-z][a-zA-Z]{0,63}$/),
+    operationId: matches(/^[a-z][a-zA-Z]{0,63}$/),
+    algorithm: matches(/^[a-z0-9]{1,16}$/),
+    source: matches(/^[a-z]{1,16}$/),
+    signal: matches(/^SIG[A-Z]{1,8}$/),
+    version: matches(/^[0-9a-f]{16}$/),
+    port: count,
+    size: count,
+    lines: count,
+    items: count,
+    evaluated: count,
+    failed: count,
+    errors: count,
+    patterns: count,
+    keys: count,
+    states: count,
+    evaluations: count,
+    discarded: count,
+    retryAfterSeconds: count,
+    authentication: boolean,
+    rateLimiting: boolean,
+    metrics: boolean
+  };
+
+  // Plantillas de ruta admitidas en "route" (las de /openapi.json, ver app.js)
+  static routes = new Set(['unmatched']);
+
+  static allowRoutes(routes) {
+    for (const route of routes) this.routes.add(route);
+  }
+
+  /**
+   * X-Request-Id: se respeta el recibido si tiene un formato seguro; si no, uno nuevo
+   */
+  static resolveRequestId(header) {
+    return typeof header === 'string' && REQUEST_ID.test(header) ? header : Logger.generateRequestId();
+  }
+
+  static generateRequestId() {
+    return globalThis.crypto?.randomUUID?.() ?? `req_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+
+  constructor({ level = env.LOG_LEVEL, format = env.LOG_FORMAT, write, bindings = {} } = {}) {
+    this.level = Object.hasOwn(Logger.LEVELS, level) ? level : 'info';
+    this.format = format === 'pretty' ? 'pretty' : 'json';
+    this.write = write ?? Logger.defaultWrite;
+    this.bindings = bindings;
+  }
+
+  static defaultWrite(line) {
+    if (globalThis.process?.stdout) {
+      globalThis.process.stdout.write(`${line}\n`);
+    } else {
+      console.log(line);
+    }
+  }
+
+  /**
+   * Logger con campos fijos (p. ej. { requestId }) en todos sus eventos
+   */
+  child(bindings) {
+    return new Logger({ level: this.level, format: this.format, write: this.write, bindings: { ...this.bindings, ...bindings } });
+  }
+
+  /**
+   * Cambia nivel, formato o destino en todos los módulos que importan logger
+   */
+  configure({ level, format, write } = {}) {
+    if (level !== undefined) this.level = Object.hasOwn(Logger.LEVELS, level) ? level : 'info';
+    if (format !== undefined) this.format = format === 'pretty' ? 'pretty' : 'json';
+    if (write !== undefined) this.write = write ?? Logger.defaultWrite;
+  }
+
+  isLevelEnabled(level) {
+    return Logger.LEVELS[level] >= Logger.LEVELS[this.level];
+  }
+
+  debug(event, fields) { this.log('debug', event, fields); }
+  info(event, fields) { this.log('info', event, fields); }
+  warn(event, fields) { this.log('warn', event, fields); }
+  error(event, fields) { this.log('error', event, fields); }
+
+  log(level, event, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const record = {
+      time: new Date().toISOString(),
+      level,
+      event: Logger.EVENT.test(event) ? event : 'log.invalidEvent',
+      ...Logger.redact({ ...this.bindings, ...fields })
+    };
+    this.write(this.format === 'pretty' ? Logger.pretty(record) : JSON.stringify(record));
+  }
+
+  /**
+   * REDACCIÓN: solo campos conocidos con su formato; "error" se reduce a código y tipo
+   */
+  static redact(fields) {
+    const safe = {};
+    const dropped = [];
+
+    for (const [name, value] of Object.entries(fields)) {
+      if (value === undefined) continue;
+
+      if (name === 'error') {
+        Object.assign(safe, Logger.redact(Logger.describeError(value)));
+        continue;
+      }
+
+      const isValid = Logger.FIELDS[name];
+      if (!isValid) {
+        dropped.push(name);
+        continue;
+      }
+      safe[name] = isValid(value) ? value : Logger.REDACTED;
+    }
+
+    // Solo cuántos: ni siquiera el nombre del campo descartado
+    if (dropped.length > 0) safe.droppedFields = dropped.length;
+    return safe;
+  }
+
+  // Código del mensaje ("INVALID_HASH: ...") si lo tiene; el resto del mensaje nunca
+  static describeError(error) {
+    const prefix = typeof error?.message === 'string' ? error.message.split(':')[0] : '';
+    return {
+      errorCode: ERROR_CODE.test(prefix) ? prefix : error?.code,
+      errorType: error?.constructor?.name
+    };
+  }
+
+  static pretty({ time, level, event, ...fields }) {
+    const details = Object.entries(fields).map(([name, value]) => `${name}=${value}`).join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} ${event}${details ? ` ${details}` : ''}`;
+  }
+}
+
+export const logger = new Logger();
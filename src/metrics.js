@@ -0,0 +1,207 @@
+import { ResultCodes } from './resultCodes.js';
+import { OpenApiSpec } from './openApiSpec.js';
+
+/**
+ * MÉTRICAS (formato de texto de Prometheus, GET /metrics)
+ *
+ * Peticiones y latencia por ruta, tiempos de cada fase de la evaluación y
+ * contadores de resultados. PRIVACIDAD: las etiquetas son solo plantillas de
+ * ruta de /openapi.json (/range/{prefix}, nunca el prefijo enviado), métodos, estados y
+ * códigos estables de ResultCodes. Nada derivado de la contraseña (ni su
+ * longitud) llega a una métrica.
+ *
+ * Se desactiva con METRICS_ENABLED=false (GET /metrics responde 404).
+ */
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.series = new Map();
+  }
+
+  // Misma serie para las mismas etiquetas (en el orden declarado por quien las usa)
+  get(labels, create) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) this.series.set(key, { labels, value: create() });
+    return this.series.get(key);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.lines()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.get(labels, () => 0).value += amount;
+  }
+
+  lines() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+// Valor leído en cada consulta con collect() (null: sin dato todavía)
+class Gauge extends Metric {
+  constructor(name, help, collect, type = 'gauge') {
+    super(name, help, type);
+    this.collect = collect;
+  }
+
+  lines() {
+    const value = this.collect();
+    return value === null ? [] : [`${this.name} ${value}`];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super(name, help, 'histogram');
+    this.buckets = buckets;
+  }
+
+  observe(labels, seconds) {
+    const series = this.get(labels, () => ({ counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 })).value;
+    const index = this.buckets.findIndex(bound => seconds <= bound);
+    if (index !== -1) series.counts[index]++;
+    series.sum += seconds;
+    series.count++;
+  }
+
+  lines() {
+    return [...this.series.values()].flatMap(({ labels, value }) => {
+      let cumulative = 0;
+      const buckets = this.buckets.map((bound, index) => {
+        cumulative += value.counts[index];
+        return `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`;
+      });
+      return [
+        ...buckets,
+        `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+        `${this.name}_sum${formatLabels(labels)} ${value.sum}`,
+        `${this.name}_count${formatLabels(labels)} ${value.count}`
+      ];
+    });
+  }
+}
+
+export class Metrics {
+
+  static PREFIX = 'password_api_';
+  static CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+  static enabled = process.env.METRICS_ENABLED !== 'false';
+
+  static HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+  static STAGE_BUCKETS = [0.0001, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+  static dictionary = { size: null, loadSeconds: null, loads: 0 };
+  static streamServer = null;
+
+  static metrics = Metrics.createMetrics();
+
+  static createMetrics() {
+    const name = (suffix) => `${this.PREFIX}${suffix}`;
+
+    return {
+      httpRequests: new Counter(name('http_requests_total'), 'Peticiones HTTP por método, ruta (plantilla) y estado'),
+      httpDuration: new Histogram(name('http_request_duration_seconds'), 'Latencia de las peticiones HTTP por método y ruta (plantilla)', this.HTTP_BUCKETS),
+      stageDuration: new Histogram(name('evaluation_stage_duration_seconds'), 'Tiempo de cada fase de la evaluación (pattern, similarity, removal, substring, evaluation)', this.STAGE_BUCKETS),
+      evaluations: new Counter(name('evaluations_total'), 'Evaluaciones completas por categoría final (ResultCodes.STRENGTH)'),
+      similarity: new Counter(name('similarity_total'), 'Evaluaciones por tipo de similitud (ResultCodes.SIMILARITY o NONE)'),
+      dictionaryLookups: new Counter(name('dictionary_lookups_total'), 'Consultas al diccionario por origen (password, hash) y resultado (hit, miss)'),
+      streamSessions: new Gauge(name('stream_sessions'), 'Sesiones WebSocket abiertas del medidor en tiempo real', () => this.streamServer?.clients.size ?? null),
+      dictionarySize: new Gauge(name('dictionary_size'), 'Entradas del diccionario cargado', () => this.dictionary.size),
+      dictionaryLoadDuration: new Gauge(name('dictionary_load_duration_seconds'), 'Duración de la última carga del diccionario (incluidos sus índices)', () => this.dictionary.loadSeconds),
+      dictionaryLoads: new Gauge(name('dictionary_loads_total'), 'Cargas del diccionario desde el arranque', () => this.dictionary.loads, 'counter'),
+      uptime: new Gauge(name('uptime_seconds'), 'Segundos desde el arranque del proceso', () => process.uptime())
+    };
+  }
+
+  static reset() {
+    this.dictionary = { size: null, loadSeconds: null, loads: 0 };
+    this.metrics = this.createMetrics();
+  }
+
+  /**
+   * INSTRUMENTACIÓN DE LA EVALUACIÓN (PasswordEvaluator.setInstrumentation)
+   */
+  static evaluationInstrumentation = {
+    observeStage(stage, seconds) {
+      Metrics.metrics.stageDuration.observe({ stage }, seconds);
+    },
+
+    observeEvaluation({ categoryCode, similarityCode, isCommonPassword }) {
+      // Solo códigos conocidos: una etiqueta nunca puede llevar texto de la petición
+      Metrics.metrics.evaluations.inc({ category: ResultCodes.STRENGTH.includes(categoryCode) ? categoryCode : 'UNKNOWN' });
+      Metrics.metrics.similarity.inc({ type: ResultCodes.SIMILARITY.includes(similarityCode) ? similarityCode : 'NONE' });
+      Metrics.metrics.dictionaryLookups.inc({ source: 'password', result: isCommonPassword ? 'hit' : 'miss' });
+    },
+
+    observeHashLookup({ isCommonPassword }) {
+      Metrics.metrics.dictionaryLookups.inc({ source: 'hash', result: isCommonPassword ? 'hit' : 'miss' });
+    },
+
+    observeDictionaryLoad({ size, seconds }) {
+      Metrics.dictionary = { size, loadSeconds: seconds, loads: Metrics.dictionary.loads + 1 };
+    }
+  };
+
+  /**
+   * MEDIDOR EN TIEMPO REAL: sesiones abiertas del WebSocketServer y cada
+   * intento de conexión (101 o el rechazo) como petición a su ruta
+   */
+  static trackStreamSessions(wss) {
+    this.streamServer = wss;
+  }
+
+  static observeUpgrade(pathname, status) {
+    if (!this.enabled) return;
+    this.metrics.httpRequests.inc({ method: 'GET', route: this.routeOf(pathname), status });
+  }
+
+  // Plantilla de la especificación o "unmatched": nunca la URL recibida
+  static routeOf(pathname) {
+    return OpenApiSpec.matchRoute(pathname) ?? 'unmatched';
+  }
+
+  /**
+   * MIDDLEWARE: Cuenta y mide cada petición al terminar (también las rechazadas por auth o límites)
+   */
+  static middleware(req, res, next) {
+    if (!Metrics.enabled) return next();
+
+    const started = process.hrtime.bigint();
+    const route = Metrics.routeOf(req.path);
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+
+      Metrics.metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      Metrics.metrics.httpDuration.observe({ method: req.method, route }, seconds);
+    });
+    next();
+  }
+
+  static render() {
+    return Object.values(this.metrics).map(metric => metric.render()).join('\n') + '\n';
+  }
+
+  static serve(req, res, next) {
+    if (!Metrics.enabled) return next();
+
+    res.set('Cache-Control', 'no-store');
+    res.type(Metrics.CONTENT_TYPE).status(200).send(Metrics.render());
+  }
+}
@@ -0,0 +1,1253 @@
+import { SchemaValidator } from './schemaValidator.js';
+import { PasswordEvaluator } from './passwordEvaluator.js';
+import { PasswordPolicy } from './passwordPolicy.js';
+import { PassphraseGenerator } from './passphraseGenerator.js';
+import { UserInputDictionary } from './userInputDictionary.js';
+import { AttackScenarios } from './attackScenarios.js';
+import { HashIndex } from './hashIndex.js';
+import { PatternEstimator } from './patternEstimator.js';
+import { ResultCodes } from './resultCodes.js';
+import { RateLimiter } from './rateLimiter.js';
+import { ApiKeyAuth } from './apiKeyAuth.js';
+import { I18n } from './i18n.js';
+import { PasswordController } from './controllers/passwordController.js';
+import { StreamController } from './controllers/streamController.js';
+import { DictionaryController } from './controllers/dictionaryController.js';
+
+/**
+ * ESPECIFICACIÓN OPENAPI 3.1 (GET /openapi.json)
+ *
+ * Es la fuente única del contrato: las rutas validan sus parámetros y su
+ * body con estos esquemas (validate), y /info y la lista de endpoints del
+ * 404 se generan a partir de ella. Los límites salen de las mismas
+ * constantes que usa el código (longitud máxima, presets, algoritmos...).
+ *
+ * Extensiones por operación:
+ *   - x-endpoint: nombre del endpoint para los permisos de las API keys
+ *   - x-rate-limit: regla de RateLimiter
+ *   - x-websocket: la operación abre un WebSocket (mensajes en la descripción)
+ */
+export class OpenApiSpec {
+
+  static VERSION = '1.1.0';
+  static VALIDATE_RESPONSES = process.env.OPENAPI_VALIDATE_RESPONSES === 'true';
+
+  // Códigos de validación con un estado distinto de 400
+  static ERROR_STATUS = { BATCH_TOO_LARGE: 413 };
+
+  static cachedDocument = null;
+  static cachedValidator = null;
+  static cachedRoutes = null;
+
+  static get document() {
+    this.cachedDocument ??= this.build();
+    return this.cachedDocument;
+  }
+
+  static get validator() {
+    this.cachedValidator ??= new SchemaValidator(this.document);
+    return this.cachedValidator;
+  }
+
+  /**
+   * Alternativas sin distinguir mayúsculas (como resuelve el código los algoritmos y presets)
+   */
+  static caseInsensitivePattern(values) {
+    const escape = (char) => /[a-z]/i.test(char) ? `[${char.toLowerCase()}${char.toUpperCase()}]` : char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return `^(?:${values.map(value => [...value].map(escape).join('')).join('|')})$`;
+  }
+
+  static build() {
+    const hashAlgorithms = Object.keys(AttackScenarios.HASH_ALGORITHMS);
+    const digestAlgorithms = Object.keys(HashIndex.ALGORITHMS);
+    const presets = Object.keys(PasswordPolicy.PRESETS);
+    const ruleSchemas = {
+      integer: { type: 'integer', minimum: 0 },
+      number: { type: 'number', minimum: 0 },
+      boolean: { type: 'boolean' },
+      strings: { type: 'array', items: { type: 'string', minLength: 1 } },
+      classes: { type: 'array', items: { enum: Object.keys(PasswordPolicy.CHARACTER_CLASSES) } }
+    };
+
+    const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+    const json = (schema) => ({ 'application/json': { schema } });
+    const text = (description) => ({ description, content: { 'text/plain': { schema: { type: 'string' } } } });
+    const errors = (...statuses) => Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/${status}` }]));
+    const langParameter = { $ref: '#/components/parameters/lang' };
+    const requestIdParameter = { $ref: '#/components/parameters/requestId' };
+
+    const operation = ({ endpoint, rateLimit, isPublic, parameters = [], ...rest }) => ({
+      ...rest,
+      parameters: isPublic ? [requestIdParameter, ...parameters] : [requestIdParameter, langParameter, ...parameters],
+      ...(isPublic ? { security: [] } : { 'x-endpoint': endpoint, 'x-rate-limit': rateLimit })
+    });
+
+    return {
+      openapi: '3.1.0',
+      info: {
+        title: 'Password Entropy Evaluation API',
+        version: this.VERSION,
+        description: 'Evaluación de la fuerza de contraseñas: entropía E = L × log₂(N), diccionario de contraseñas comunes, ' +
+          'similitud, políticas y generadores CSPRNG. CERO PERSISTENCIA: las contraseñas nunca se almacenan ni se registran.'
+      },
+      servers: [{ url: '/' }],
+      tags: [
+        { name: 'evaluation', description: 'Evaluación de contraseñas y hashes' },
+        { name: 'generation', description: 'Generadores CSPRNG' },
+        { name: 'browser', description: 'Recursos para evaluar en el navegador' },
+        { name: 'service', description: 'Estado y documentación del servicio' },
+        { name: 'admin', description: 'Administración (claves con "admin" en endpoints)' }
+      ],
+      security: [{ apiKey: [] }, { bearer: [] }],
+
+      paths: {
+        '/health': {
+          get: operation({
+            operationId: 'getHealth',
+            tags: ['service'],
+            summary: 'Estado del servicio',
+            isPublic: true,
+            responses: { 200: { description: 'Servicio activo', content: json(ref('HealthResponse')) } }
+          })
+        },
+        '/': {
+          get: operation({
+            operationId: 'getRoot',
+            tags: ['service'],
+            summary: 'Información principal',
+            isPublic: true,
+            responses: { 200: { description: 'Resumen del servicio', content: json({ type: 'object' }) } }
+          })
+        },
+        '/openapi.json': {
+          get: operation({
+            operationId: 'getOpenApi',
+            tags: ['service'],
+            summary: 'Esta especificación OpenAPI',
+            isPublic: true,
+            responses: { 200: { description: 'Documento OpenAPI 3.1', content: json({ type: 'object' }) } }
+          })
+        },
+        '/metrics': {
+          get: operation({
+            operationId: 'getMetrics',
+            tags: ['service'],
+            summary: 'Métricas en formato Prometheus (peticiones, latencias, fases de la evaluación y diccionario)',
+            description: 'Sin datos derivados de las contraseñas: solo plantillas de ruta, estados y códigos estables. METRICS_ENABLED=false lo desactiva.',
+            isPublic: true,
+            responses: {
+              200: { description: 'Formato de texto de Prometheus 0.0.4', content: { 'text/plain': { schema: { type: 'string' } } } },
+              404: { $ref: '#/components/responses/404' }
+            }
+          })
+        },
+        '/api/v1/password/evaluate': {
+          post: operation({
+            operationId: 'evaluatePassword',
+            endpoint: 'evaluate',
+            rateLimit: 'evaluate',
+            tags: ['evaluation'],
+            summary: 'Evalúa la fuerza de una contraseña con análisis de similitud',
+            description: 'Si la contraseña coincide exactamente con una del diccionario, aparecerá en similarityAnalysis.matchedPassword.',
+            requestBody: { required: true, content: json(ref('EvaluateRequest')) },
+            responses: {
+              200: { description: 'Evaluación completa', content: json(ref('EvaluateResponse')) },
+              ...errors(400, 401, 403, 429, 500)
+            }
+          })
+        },
+        '/api/v1/password/evaluate/batch': {
+          post: operation({
+            operationId: 'evaluateBatch',
+            endpoint: 'evaluate/batch',
+            rateLimit: 'evaluateBatch',
+            tags: ['evaluation'],
+            summary: 'Evalúa un lote de contraseñas con agregados por categoría, diccionario y similitud',
+            description: `Array JSON, { items: [...] } o NDJSON (una entrada por línea). Máximo ${PasswordController.BATCH_MAX_ITEMS} entradas ` +
+              `y ${PasswordController.BATCH_BODY_LIMIT} por lote (BATCH_MAX_ITEMS, BATCH_BODY_LIMIT). Los errores de una entrada van en su resultado.`,
+            requestBody: {
+              required: true,
+              content: {
+                ...json(ref('BatchRequest')),
+                ...Object.fromEntries(PasswordController.NDJSON_TYPES.map(type => [type, {
+                  schema: { type: 'string', description: 'Una entrada BatchItem (JSON) por línea' }
+                }]))
+              }
+            },
+            responses: {
+              200: { description: 'Resultados por id y agregados', content: json(ref('BatchResponse')) },
+              ...errors(400, 401, 403, 413, 429)
+            }
+          })
+        },
+        '/api/v1/password/evaluate/hash': {
+          post: operation({
+            operationId: 'evaluateHash',
+            endpoint: 'evaluate/hash',
+            rateLimit: 'evaluateHash',
+            tags: ['evaluation'],
+            summary: `Comprueba un hash (${digestAlgorithms.join(', ')}) contra el diccionario y devuelve su rango`,
+            description: 'Sin análisis de entropía; los hashes se calculan sobre las entradas del diccionario en minúsculas.',
+            requestBody: { required: true, content: json(ref('HashRequest')) },
+            responses: {
+              200: { description: 'Coincidencia en el diccionario', content: json(ref('HashEvaluationResponse')) },
+              ...errors(400, 401, 403, 429, 500)
+            }
+          })
+        },
+        '/api/v1/password/validate': {
+          post: operation({
+            operationId: 'validatePassword',
+            endpoint: 'validate',
+            rateLimit: 'validate',
+            tags: ['evaluation'],
+            summary: 'Valida una contraseña contra una política de reglas con resultado por regla',
+            description: `Sin "policy" se usa la de la API key o el preset ${PasswordPolicy.DEFAULT_PRESET}. ` +
+              'Responde 200 tanto si pasa como si no: el veredicto va en data.validation.passed.',
+            requestBody: { required: true, content: json(ref('ValidateRequest')) },
+            responses: {
+              200: { description: 'Resultado por regla', content: json(ref('ValidateResponse')) },
+              ...errors(400, 401, 403, 429, 500)
+            }
+          })
+        },
+        '/api/v1/password/generate': {
+          post: operation({
+            operationId: 'generatePassword',
+            endpoint: 'generate',
+            rateLimit: 'generate',
+            tags: ['generation'],
+            summary: 'Genera una contraseña segura con CSPRNG y su evaluación',
+            requestBody: { required: false, content: json(ref('GenerateRequest')) },
+            responses: {
+              200: { description: 'Contraseña generada', content: json(ref('GenerateResponse')) },
+              ...errors(400, 401, 403, 429, 500)
+            }
+          })
+        },
+        '/api/v1/password/passphrase': {
+          post: operation({
+            operationId: 'generatePassphrase',
+            endpoint: 'passphrase',
+            rateLimit: 'generate',
+            tags: ['generation'],
+            summary: 'Genera una frase de paso Diceware con la entropía exacta del generador',
+            requestBody: { required: false, description: 'Opcional: sin body se usan los valores por defecto', content: json(ref('PassphraseRequest')) },
+            responses: {
+              200: { description: 'Frase de paso generada', content: json(ref('PassphraseResponse')) },
+              ...errors(400, 401, 403, 429, 500)
+            }
+          })
+        },
+        '/api/v1/password/range/{prefix}': {
+          get: operation({
+            operationId: 'getHashRange',
+            endpoint: 'range',
+            rateLimit: 'range',
+            tags: ['evaluation'],
+            summary: 'Sufijos SHA-1 del diccionario para un prefijo (k-anonimato, formato Pwned Passwords)',
+            description: 'Los hashes corresponden a las entradas del diccionario en minúsculas.',
+            parameters: [
+              {
+                name: 'prefix',
+                in: 'path',
+                required: true,
+                description: `${HashIndex.RANGE_PREFIX_LENGTH} primeros caracteres hexadecimales del SHA-1`,
+                schema: { type: 'string', pattern: `^[0-9a-fA-F]{${HashIndex.RANGE_PREFIX_LENGTH}}$`, 'x-error': 'INVALID_PREFIX' }
+              },
+              {
+                name: 'Add-Padding',
+                in: 'header',
+                required: false,
+                description: 'Con "true" se añaden sufijos de relleno (:0) para ocultar el tamaño de la respuesta',
+                schema: { type: 'string' }
+              }
+            ],
+            responses: {
+              200: text('Líneas SUFIJO:CUENTA separadas por CRLF. La cuenta es siempre 1 (el diccionario no guarda apariciones; el rango está en POST /evaluate/hash)'),
+              ...errors(400, 401, 403, 429, 500)
+            }
+          })
+        },
+        '/api/v1/password/dictionary': {
+          get: operation({
+            operationId: 'getDictionaryManifest',
+            endpoint: 'dictionary',
+            rateLimit: 'dictionary',
+            tags: ['browser'],
+            summary: 'Manifiesto del diccionario (versión, tamaño y fragmentos) para evaluar en el navegador',
+            responses: {
+              200: { description: 'Manifiesto (en data)', content: json(ref('DictionaryManifestResponse')) },
+              ...errors(401, 403, 429, 500)
+            }
+          })
+        },
+        '/api/v1/password/dictionary/shards/{shard}': {
+          get: operation({
+            operationId: 'getDictionaryShard',
+            endpoint: 'dictionary',
+            rateLimit: 'dictionary',
+            tags: ['browser'],
+            summary: `Fragmento del diccionario (${DictionaryController.SHARD_SIZE} entradas, DICTIONARY_SHARD_SIZE)`,
+            description: 'Texto plano, una entrada por línea, de la más común a la menos común. Admite gzip, ETag e If-None-Match.',
+            parameters: [
+              { name: 'shard', in: 'path', required: true, description: 'Índice del fragmento (ver manifiesto)', schema: { type: 'string', pattern: '^\\d+$' } },
+              { name: 'v', in: 'query', required: false, description: 'Versión del manifiesto (evita mezclar fragmentos en caché)', schema: { type: 'string' } }
+            ],
+            responses: {
+              200: text('Entradas del fragmento'),
+              304: { description: 'Sin cambios (If-None-Match)' },
+              404: { $ref: '#/components/responses/404' },
+              ...errors(400, 401, 403, 429, 500)
+            }
+          })
+        },
+        '/api/v1/password/locales/{locale}': {
+          get: operation({
+            operationId: 'getLocaleCatalogue',
+            endpoint: 'locales',
+            rateLimit: 'default',
+            tags: ['browser'],
+            summary: 'Catálogo de mensajes de un idioma para I18n.register() en el navegador',
+            parameters: [
+              { name: 'locale', in: 'path', required: true, description: `Idioma (${I18n.supportedLocales.join(', ')})`, schema: { type: 'string', minLength: 1 } }
+            ],
+            responses: {
+              200: { description: 'Clave → texto', content: json({ type: 'object', additionalProperties: { type: 'string' } }) },
+              404: { $ref: '#/components/responses/404' },
+              ...errors(400, 401, 403, 429)
+            }
+          })
+        },
+        '/api/v1/password/info': {
+          get: operation({
+            operationId: 'getApiInfo',
+            endpoint: 'info',
+            rateLimit: 'default',
+            tags: ['service'],
+            summary: 'Información técnica: endpoints, idiomas, códigos, límites y autenticación',
+            responses: {
+              200: { description: 'Información de la API', content: json(ref('InfoResponse')) },
+              ...errors(400, 401, 403, 429)
+            }
+          })
+        },
+        '/api/v1/password/stream': {
+          get: operation({
+            operationId: 'openStream',
+            endpoint: 'stream',
+            rateLimit: 'stream',
+            'x-websocket': true,
+            tags: ['evaluation'],
+            summary: 'Medidor de fuerza en tiempo real (WebSocket)',
+            description: 'Envíe StreamClientMessage en cada cambio; recibe un adelanto "quick" (longitud, clases, coincidencia exacta) ' +
+              'y, tras una pausa de escritura, el "result" completo (misma evaluación que /evaluate). Los estados obsoletos se descartan; ' +
+              '{ type: "cancel" } anula el pendiente. Los navegadores no envían cabeceras en el WebSocket: la API key va como subprotocolo, ' +
+              `new WebSocket(url, ['${StreamController.PROTOCOL}', '${StreamController.KEY_PROTOCOL_PREFIX}<clave>']); la respuesta solo confirma '${StreamController.PROTOCOL}'.`,
+            parameters: [
+              {
+                name: 'Sec-WebSocket-Protocol',
+                in: 'header',
+                required: false,
+                description: `"${StreamController.PROTOCOL}, ${StreamController.KEY_PROTOCOL_PREFIX}<clave>" (alternativa a X-API-Key)`,
+                schema: { type: 'string' }
+              }
+            ],
+            responses: {
+              101: {
+                description: 'Cambio a WebSocket. Mensajes: StreamClientMessage → StreamServerMessage',
+                content: json({ oneOf: [ref('StreamClientMessage'), ref('StreamServerMessage')] })
+              },
+              401: { description: 'API key ausente o no válida (conexión rechazada)' },
+              403: { description: 'Origen o API key sin permiso (conexión rechazada)' },
+              429: { description: 'Demasiadas conexiones nuevas o cuota agotada (conexión rechazada)' }
+            }
+          })
+        },
+        '/api/v1/admin/dictionary': {
+          get: operation({
+            operationId: 'getDictionaryStatus',
+            endpoint: 'admin',
+            rateLimit: 'admin',
+            tags: ['admin'],
+            summary: 'Diccionario en uso (versión, checksum, fecha de carga) y estado de la recarga y la vigilancia',
+            responses: {
+              200: { description: 'Estado del diccionario', content: json(ref('DictionaryStatusResponse')) },
+              ...errors(401, 403, 429)
+            }
+          })
+        },
+        '/api/v1/admin/dictionary/reload': {
+          post: operation({
+            operationId: 'reloadDictionary',
+            endpoint: 'admin',
+            rateLimit: 'admin',
+            tags: ['admin'],
+            summary: 'Recarga el diccionario desde disco sin reiniciar',
+            description: 'El nuevo diccionario y sus índices se construyen en segundo plano y se cambian de una vez: las evaluaciones en curso ' +
+              'terminan con el anterior. Si la carga falla (500 DICTIONARY_RELOAD_FAILED), el anterior sigue en uso. ' +
+              'Con DICTIONARY_WATCH=true el servidor recarga solo al cambiar el CSV o el índice.',
+            responses: {
+              200: { description: 'Diccionario anterior y nuevo', content: json(ref('DictionaryReloadResponse')) },
+              ...errors(401, 403, 429, 500)
+            }
+          })
+        }
+      },
+
+      components: {
+        securitySchemes: {
+          apiKey: { type: 'apiKey', in: 'header', name: ApiKeyAuth.HEADER, description: 'Obligatoria solo si el servidor tiene claves configuradas (API_KEYS_FILE)' },
+          bearer: { type: 'http', scheme: 'bearer', description: 'La misma API key en Authorization: Bearer' }
+        },
+
+        parameters: {
+          lang: {
+            name: 'lang',
+            in: 'query',
+            required: false,
+            description: `Idioma de la respuesta (${I18n.supportedLocales.join(', ')}); también en el body o con Accept-Language`,
+            schema: { type: 'string' }
+          },
+          requestId: {
+            name: 'X-Request-Id',
+            in: 'header',
+            required: false,
+            description: 'Identificador de la petición para correlacionar logs; se devuelve en la cabecera X-Request-Id de la respuesta ' +
+              '(y en requestId de los errores). Si falta o no cumple el patrón, el servidor genera uno.',
+            schema: { type: 'string', pattern: '^[A-Za-z0-9._:-]{1,128}$' }
+          }
+        },
+
+        responses: {
+          400: { description: 'Petición no válida (errores por campo en details)', content: json(ref('ErrorResponse')) },
+          401: { description: 'API key ausente (MISSING_API_KEY) o no válida (INVALID_API_KEY)', content: json(ref('ErrorResponse')) },
+          403: { description: 'La API key no permite este endpoint (ENDPOINT_NOT_ALLOWED) o administración sin claves configuradas (ADMIN_DISABLED)', content: json(ref('ErrorResponse')) },
+          404: { description: 'Recurso no encontrado', content: json(ref('ErrorResponse')) },
+          413: { description: 'Body o lote demasiado grande', content: json(ref('ErrorResponse')) },
+          429: {
+            description: 'Límite por IP (RATE_LIMIT_EXCEEDED) o cuota de la API key (QUOTA_EXCEEDED) superados',
+            headers: {
+              'Retry-After': { schema: { type: 'integer' } },
+              'RateLimit-Limit': { schema: { type: 'integer' } },
+              'RateLimit-Remaining': { schema: { type: 'integer' } },
+              'RateLimit-Reset': { schema: { type: 'integer' } },
+              'RateLimit-Policy': { schema: { type: 'string' } }
+            },
+            content: json(ref('ErrorResponse'))
+          },
+          500: { description: 'Error interno', content: json(ref('ErrorResponse')) }
+        },
+
+        schemas: {
+          // ── Peticiones ───────────────────────────────────────────────
+          Password: {
+            type: 'string',
+            minLength: 1,
+            maxLength: PasswordEvaluator.MAX_PASSWORD_LENGTH,
+            description: 'Nunca se almacena ni se registra',
+            'x-errors': { type: 'INVALID_TYPE', minLength: 'EMPTY_INPUT', maxLength: 'TOO_LONG' }
+          },
+          UserInputs: {
+            type: 'array',
+            maxItems: UserInputDictionary.MAX_INPUTS,
+            items: { type: 'string', maxLength: UserInputDictionary.MAX_INPUT_LENGTH },
+            description: 'Datos del usuario (usuario, email, nombre, fecha de nacimiento...) usados como diccionario de la petición',
+            'x-error': 'INVALID_USER_INPUTS'
+          },
+          HashAlgorithm: {
+            type: 'string',
+            pattern: this.caseInsensitivePattern(hashAlgorithms),
+            description: `Hash del sistema del cliente (${hashAlgorithms.join(', ')}): elige el escenario titular del tiempo de crackeo`,
+            'x-error': 'INVALID_HASH_ALGORITHM'
+          },
+          AttemptsPerSecond: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            maximum: AttackScenarios.MAX_CUSTOM_RATE,
+            description: 'Ritmo de ataque personalizado (escenario CUSTOM, pasa a ser el titular)',
+            'x-error': 'INVALID_ATTACK_RATE'
+          },
+          Lang: { type: 'string', description: 'Idioma de la respuesta' },
+          EvaluateRequest: {
+            type: 'object',
+            required: ['password'],
+            additionalProperties: false,
+            properties: {
+              password: ref('Password'),
+              userInputs: ref('UserInputs'),
+              hashAlgorithm: ref('HashAlgorithm'),
+              attemptsPerSecond: ref('AttemptsPerSecond'),
+              lang: ref('Lang')
+            }
+          },
+          PolicyDefinition: {
+            type: 'object',
+            required: ['rules'],
+            additionalProperties: false,
+            properties: {
+              name: { type: 'string' },
+              rules: {
+                type: 'object',
+                minProperties: 1,
+                additionalProperties: false,
+                properties: Object.fromEntries(Object.entries(PasswordPolicy.RULE_TYPES).map(([rule, type]) => [rule, ruleSchemas[type]]))
+              }
+            },
+            'x-error': 'INVALID_POLICY'
+          },
+          ValidateRequest: {
+            type: 'object',
+            required: ['password'],
+            additionalProperties: false,
+            properties: {
+              password: ref('Password'),
+              policy: {
+                oneOf: [
+                  { type: 'string', pattern: this.caseInsensitivePattern(presets), description: `Preset: ${presets.join(', ')}` },
+                  ref('PolicyDefinition')
+                ],
+                'x-error': 'INVALID_POLICY'
+              },
+              lang: ref('Lang')
+            }
+          },
+          BatchItem: {
+            oneOf: [
+              { type: 'string', description: 'Solo la contraseña (el id es su posición, desde 1)' },
+              {
+                type: 'object',
+                required: ['password'],
+                additionalProperties: false,
+                properties: {
+                  id: { type: ['string', 'number'] },
+                  password: { description: 'Se valida por entrada: un error va en el resultado de esa entrada' },
+                  userInputs: { description: 'Como en /evaluate, validado por entrada' },
+                  hashAlgorithm: { description: 'Como en /evaluate, validado por entrada' },
+                  attemptsPerSecond: { description: 'Como en /evaluate, validado por entrada' }
+                }
+              }
+            ],
+            'x-error': 'INVALID_ITEM'
+          },
+          BatchItems: {
+            type: 'array',
+            minItems: 1,
+            maxItems: PasswordController.BATCH_MAX_ITEMS,
+            items: ref('BatchItem'),
+            'x-errors': { type: 'INVALID_BATCH', minItems: 'INVALID_BATCH', maxItems: 'BATCH_TOO_LARGE' }
+          },
+          BatchRequest: {
+            oneOf: [
+              ref('BatchItems'),
+              {
+                type: 'object',
+                required: ['items'],
+                additionalProperties: false,
+                properties: { items: ref('BatchItems'), lang: ref('Lang') }
+              }
+            ],
+            'x-error': 'INVALID_BATCH'
+          },
+          HashRequest: {
+            type: 'object',
+            required: ['hash', 'algorithm'],
+            additionalProperties: false,
+            properties: {
+              hash: {
+                type: 'string',
+                pattern: `^(?:${Object.values(HashIndex.ALGORITHMS).map(({ digestLength }) => `[0-9a-fA-F]{${digestLength * 2}}`).join('|')})$`,
+                description: 'Digest en hexadecimal (su longitud debe corresponder al algoritmo)',
+                'x-error': 'INVALID_HASH'
+              },
+              algorithm: {
+                type: 'string',
+                pattern: this.caseInsensitivePattern(digestAlgorithms),
+                description: digestAlgorithms.join(', '),
+                'x-error': 'INVALID_ALGORITHM'
+              },
+              lang: ref('Lang')
+            }
+          },
+          GenerateRequest: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              length: { type: 'integer', minimum: 4, maximum: 100, default: 16, 'x-error': 'INVALID_LENGTH' },
+              includeLowercase: { type: 'boolean', default: true },
+              includeUppercase: { type: 'boolean', default: true },
+              includeNumbers: { type: 'boolean', default: true },
+              includeSymbols: { type: 'boolean', default: true },
+              lang: ref('Lang')
+            }
+          },
+          PassphraseRequest: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              wordCount: { type: 'integer', minimum: PassphraseGenerator.MIN_WORDS, maximum: PassphraseGenerator.MAX_WORDS, default: 6, 'x-error': 'INVALID_WORD_COUNT' },
+              language: { enum: Object.keys(PassphraseGenerator.WORDLISTS), default: 'es', 'x-error': 'INVALID_LANGUAGE' },
+              separator: { type: 'string', maxLength: PassphraseGenerator.MAX_SEPARATOR_LENGTH, default: '-', 'x-error': 'INVALID_SEPARATOR' },
+              capitalization: { enum: PassphraseGenerator.CAPITALIZATION_MODES, default: 'none', 'x-error': 'INVALID_CAPITALIZATION' },
+              includeNumber: { type: 'boolean', default: false, 'x-error': 'INVALID_OPTION' },
+              includeSymbol: { type: 'boolean', default: false, 'x-error': 'INVALID_OPTION' },
+              lang: ref('Lang')
+            }
+          },
+          StreamClientMessage: {
+            oneOf: [
+              {
+                type: 'object',
+                required: ['type', 'password'],
+                properties: {
+                  type: { const: 'evaluate' },
+                  seq: { type: 'integer' },
+                  password: ref('Password'),
+                  userInputs: ref('UserInputs'),
+                  hashAlgorithm: ref('HashAlgorithm'),
+                  attemptsPerSecond: ref('AttemptsPerSecond'),
+                  lang: ref('Lang')
+                }
+              },
+              { type: 'object', required: ['type'], properties: { type: { const: 'cancel' } } }
+            ]
+          },
+          StreamServerMessage: {
+            type: 'object',
+            required: ['type', 'timestamp'],
+            properties: {
+              type: { enum: ['quick', 'result', 'cancelled', 'error'] },
+              seq: { type: ['integer', 'null'] },
+              locale: { type: 'string' },
+              result: { type: 'object', description: 'Adelanto (type "quick")' },
+              evaluation: ref('Evaluation'),
+              error: { type: 'string' },
+              message: { type: 'string' },
+              timestamp: { type: 'string' }
+            }
+          },
+
+          // ── Respuestas ───────────────────────────────────────────────
+          ErrorResponse: {
+            type: 'object',
+            required: ['success', 'error', 'message', 'timestamp'],
+            properties: {
+              success: { const: false },
+              error: { type: 'string', description: 'Código estable del error' },
+              message: { type: 'string', description: 'Texto en el idioma negociado' },
+              details: { type: 'array', items: ref('FieldError') },
+              requestId: { type: 'string' },
+              retryAfter: { type: 'integer' },
+              timestamp: { type: 'string' }
+            }
+          },
+          FieldError: {
+            type: 'object',
+            required: ['location', 'field', 'code', 'message'],
+            properties: {
+              location: { enum: ['body', 'query', 'path', 'header'] },
+              field: { type: 'string', description: 'Ruta del campo (p. ej. userInputs[2]); vacío si es el body completo' },
+              code: { type: 'string', description: 'Palabra clave del esquema que falla (type, required, maxLength...)' },
+              params: { type: 'object' },
+              message: { type: 'string' }
+            }
+          },
+          RiskLevel: { enum: ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'] },
+          Recommendation: {
+            type: 'object',
+            required: ['code', 'text'],
+            properties: {
+              code: { enum: Object.keys(ResultCodes.RECOMMENDATIONS) },
+              params: { type: 'object' },
+              text: { type: 'string' }
+            }
+          },
+          Evaluation: {
+            type: 'object',
+            required: ['passwordMetadata', 'entropyAnalysis', 'strengthEvaluation', 'dictionaryAnalysis', 'similarityAnalysis', 'securityMetrics', 'recommendations'],
+            properties: {
+              passwordMetadata: {
+                type: 'object',
+                required: ['length', 'keyspace', 'characterTypes'],
+                properties: {
+                  length: { type: 'integer' },
+                  keyspace: { type: 'integer' },
+                  characterTypes: { type: 'object', additionalProperties: { type: 'boolean' } }
+                }
+              },
+              entropyAnalysis: {
+                type: 'object',
+                required: ['value', 'estimated'],
+                properties: {
+                  value: { type: 'number', description: 'E = L × log₂(N) en bits' },
+                  formula: { type: 'string' },
+                  estimated: {
+                    type: 'object',
+                    required: ['value', 'guesses'],
+                    description: `Estimación por descomposición en patrones (diccionario, teclado, secuencias, fechas...) de los primeros ${PatternEstimator.MAX_ANALYSED_LENGTH} caracteres; el resto cuenta como un segmento de fuerza bruta`,
+                    properties: {
+                      value: { type: 'number' },
+                      guesses: { type: 'number' },
+                      guessesLog10: { type: 'number' },
+                      method: { type: 'string' },
+                      segments: { type: 'array', items: { type: 'object', required: ['pattern', 'i', 'j'] } }
+                    }
+                  }
+                }
+              },
+              strengthEvaluation: {
+                type: 'object',
+                required: ['baseCategoryCode', 'finalCategoryCode', 'level'],
+                properties: {
+                  baseCategory: { type: 'string' },
+                  baseCategoryCode: { enum: ResultCodes.STRENGTH },
+                  finalCategory: { type: 'string' },
+                  finalCategoryCode: { enum: ResultCodes.STRENGTH },
+                  level: { type: 'integer', minimum: 1, maximum: 5 },
+                  penalized: { type: 'boolean' },
+                  description: { type: 'string' }
+                }
+              },
+              dictionaryAnalysis: {
+                type: 'object',
+                required: ['riskLevel', 'riskLevelCode'],
+                properties: {
+                  isCommonPassword: { type: 'boolean', description: 'Solo presente si la contraseña está en el diccionario' },
+                  dictionaryRank: {
+                    type: ['integer', 'null'],
+                    description: 'Posición en el orden de frecuencia (1 = la más común) de la entrada con la que coincide o a la que se parece; ' +
+                      'null sin coincidencia. Estima los intentos y ajusta penalización, confianza y riesgo'
+                  },
+                  dictionarySize: { type: 'integer' },
+                  dictionaryVersion: ref('DictionaryVersion'),
+                  dictionaryChecksum: ref('DictionaryChecksum'),
+                  dictionaryLoadedAt: { type: 'string', description: 'Carga del diccionario con el que se evaluó' },
+                  riskLevel: ref('RiskLevel'),
+                  riskLevelCode: { enum: ResultCodes.RISK },
+                  riskLevelText: { type: 'string' }
+                }
+              },
+              similarityAnalysis: {
+                type: 'object',
+                required: ['isSimilar', 'riskLevel', 'riskLevelCode'],
+                properties: {
+                  isSimilar: { type: 'boolean' },
+                  exactMatch: { type: 'boolean' },
+                  confidence: { type: 'number' },
+                  similarityType: { type: ['string', 'null'] },
+                  similarityCode: { type: ['string', 'null'] },
+                  similarityDescription: { type: ['string', 'null'] },
+                  matchedPassword: { type: ['string', 'null'], description: 'Solo con coincidencia exacta del diccionario' },
+                  riskLevel: ref('RiskLevel'),
+                  riskLevelCode: { enum: ResultCodes.RISK },
+                  riskLevelText: { type: 'string' },
+                  userInputsChecked: { type: 'integer' },
+                  datasetUsed: { type: 'integer' }
+                }
+              },
+              securityMetrics: {
+                type: 'object',
+                required: ['estimatedCrackingTime', 'headlineScenario', 'scenarios'],
+                properties: {
+                  estimatedCrackingTime: { type: 'string' },
+                  estimatedCrackingSeconds: { type: 'number' },
+                  attemptsPerSecond: { type: 'string', description: 'Ritmo del escenario titular (notación exponencial)' },
+                  headlineScenario: { type: 'string' },
+                  hashAlgorithm: { type: ['string', 'null'] },
+                  scenarios: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      required: ['id', 'attemptsPerSecond', 'seconds', 'formatted'],
+                      properties: {
+                        id: { type: 'string' },
+                        attemptsPerSecond: { type: 'number' },
+                        seconds: { type: 'number' },
+                        formatted: { type: 'string' },
+                        description: { type: 'string' }
+                      }
+                    }
+                  }
+                }
+              },
+              recommendations: { type: 'array', items: ref('Recommendation') },
+              timestamp: { type: 'string' }
+            }
+          },
+          EvaluateResponse: {
+            type: 'object',
+            required: ['success', 'data', 'metadata', 'timestamp'],
+            properties: {
+              success: { const: true },
+              data: { type: 'object', required: ['evaluation'], properties: { evaluation: ref('Evaluation') } },
+              metadata: { type: 'object', required: ['requestId', 'locale'], properties: { requestId: { type: 'string' }, locale: { type: 'string' } } },
+              timestamp: { type: 'string' }
+            }
+          },
+          ValidateResponse: {
+            type: 'object',
+            required: ['success', 'data', 'timestamp'],
+            properties: {
+              success: { const: true },
+              data: {
+                type: 'object',
+                required: ['validation'],
+                properties: {
+                  validation: {
+                    type: 'object',
+                    required: ['policy', 'passed', 'rules', 'failedRules'],
+                    properties: {
+                      policy: { type: 'string' },
+                      passed: { type: 'boolean' },
+                      rules: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          required: ['id', 'passed'],
+                          properties: { id: { type: 'string', description: 'MIN_LENGTH, REQUIRED_CLASSES...' }, passed: { type: 'boolean' }, limit: {}, actual: {} }
+                        }
+                      },
+                      failedRules: { type: 'array', items: { type: 'string' } }
+                    }
+                  }
+                }
+              },
+              timestamp: { type: 'string' }
+            }
+          },
+          BatchResponse: {
+            type: 'object',
+            required: ['success', 'data', 'timestamp'],
+            properties: {
+              success: { const: true },
+              data: {
+                type: 'object',
+                required: ['results', 'aggregates'],
+                properties: {
+                  results: {
+                    type: 'object',
+                    description: 'Por id de entrada',
+                    additionalProperties: {
+                      oneOf: [
+                        { type: 'object', required: ['success', 'evaluation'], properties: { success: { const: true }, evaluation: ref('Evaluation') } },
+                        { type: 'object', required: ['success', 'error', 'message'], properties: { success: { const: false }, error: { type: 'string' }, message: { type: 'string' } } }
+                      ]
+                    }
+                  },
+                  aggregates: {
+                    type: 'object',
+                    required: ['total', 'evaluated', 'failed'],
+                    properties: {
+                      total: { type: 'integer' },
+                      evaluated: { type: 'integer' },
+                      failed: { type: 'integer' },
+                      categoryDistribution: { type: 'object', description: 'Contraseñas por finalCategoryCode', additionalProperties: { type: 'integer' } },
+                      dictionaryHits: ref('BatchCount'),
+                      similarPasswords: ref('BatchCount'),
+                      similarityTypes: { type: 'object', additionalProperties: { type: 'integer' } }
+                    }
+                  }
+                }
+              },
+              timestamp: { type: 'string' }
+            }
+          },
+          BatchCount: {
+            type: 'object',
+            required: ['count', 'percentage'],
+            properties: { count: { type: 'integer' }, percentage: { type: 'number' } }
+          },
+          HashEvaluationResponse: {
+            type: 'object',
+            required: ['success', 'data', 'timestamp'],
+            properties: {
+              success: { const: true },
+              data: {
+                type: 'object',
+                required: ['evaluation'],
+                properties: {
+                  evaluation: {
+                    type: 'object',
+                    required: ['hashMetadata', 'dictionaryAnalysis', 'recommendations'],
+                    properties: {
+                      hashMetadata: { type: 'object', properties: { algorithm: { type: 'string' }, digestLength: { type: 'integer' } } },
+                      dictionaryAnalysis: {
+                        type: 'object',
+                        required: ['isCommonPassword', 'riskLevelCode'],
+                        properties: {
+                          isCommonPassword: { type: 'boolean' },
+                          dictionaryRank: { type: ['integer', 'null'], description: 'Posición en el diccionario (1 = la más común)' },
+                          dictionarySize: { type: 'integer' },
+                          dictionaryVersion: ref('DictionaryVersion'),
+                          dictionaryChecksum: ref('DictionaryChecksum'),
+                          dictionaryLoadedAt: { type: 'string' },
+                          riskLevel: ref('RiskLevel'),
+                          riskLevelCode: { enum: ResultCodes.RISK },
+                          riskLevelText: { type: 'string' }
+                        }
+                      },
+                      recommendations: { type: 'array', items: ref('Recommendation') }
+                    }
+                  }
+                }
+              },
+              timestamp: { type: 'string' }
+            }
+          },
+          GenerateResponse: {
+            type: 'object',
+            required: ['success', 'data', 'timestamp'],
+            properties: {
+              success: { const: true },
+              data: {
+                type: 'object',
+                required: ['generatedPassword', 'evaluation', 'parameters'],
+                properties: { generatedPassword: { type: 'string' }, evaluation: ref('Evaluation'), parameters: { type: 'object' }, generator: { type: 'string' } }
+              },
+              timestamp: { type: 'string' }
+            }
+          },
+          PassphraseResponse: {
+            type: 'object',
+            required: ['success', 'data', 'timestamp'],
+            properties: {
+              success: { const: true },
+              data: {
+                type: 'object',
+                required: ['generatedPassphrase', 'generatorEntropy', 'evaluation', 'parameters'],
+                properties: {
+                  generatedPassphrase: { type: 'string' },
+                  generatorEntropy: {
+                    type: 'object',
+                    required: ['value'],
+                    properties: { value: { type: 'number' }, formula: { type: 'string' }, wordlist: { type: 'object' }, components: { type: 'array' } }
+                  },
+                  evaluation: ref('Evaluation'),
+                  parameters: { type: 'object' },
+                  generator: { type: 'string' }
+                }
+              },
+              timestamp: { type: 'string' }
+            }
+          },
+          DictionaryManifest: {
+            type: 'object',
+            required: ['version', 'size', 'shardSize', 'shards'],
+            properties: {
+              version: ref('DictionaryVersion'),
+              checksum: ref('DictionaryChecksum'),
+              loadedAt: { type: 'string' },
+              size: { type: 'integer' },
+              shardSize: { type: 'integer' },
+              format: { type: 'string' },
+              shards: {
+                type: 'array',
+                items: { type: 'object', required: ['index', 'entries'], properties: { index: { type: 'integer' }, entries: { type: 'integer' }, bytes: { type: 'integer' } } }
+              }
+            }
+          },
+          DictionaryManifestResponse: {
+            type: 'object',
+            required: ['success', 'data', 'timestamp'],
+            properties: {
+              success: { const: true },
+              data: ref('DictionaryManifest'),
+              metadata: { type: 'object', properties: { requestId: { type: 'string' } } },
+              timestamp: { type: 'string' }
+            }
+          },
+          DictionaryVersion: {
+            type: 'string',
+            pattern: '^[0-9a-f]{16}$',
+            description: 'SHA-256 de las entradas en orden (16 caracteres): cambia si cambia el contenido, sea cual sea el fichero'
+          },
+          DictionaryChecksum: {
+            type: ['string', 'null'],
+            pattern: '^sha256:[0-9a-f]{64}$',
+            description: 'SHA-256 del fichero de origen (CSV o índice); null con el diccionario básico de respaldo'
+          },
+          DictionaryInfo: {
+            type: 'object',
+            required: ['version', 'checksum', 'source', 'size', 'loadedAt', 'loadDurationMs'],
+            properties: {
+              version: ref('DictionaryVersion'),
+              checksum: ref('DictionaryChecksum'),
+              source: { type: 'string', description: 'Proveedor (file, http...)' },
+              size: { type: 'integer' },
+              loadedAt: { type: 'string' },
+              loadDurationMs: { type: 'integer', description: 'Carga e índices de búsqueda' }
+            }
+          },
+          DictionaryStatusResponse: {
+            type: 'object',
+            required: ['success', 'data', 'timestamp'],
+            properties: {
+              success: { const: true },
+              data: {
+                type: 'object',
+                required: ['loaded', 'dictionary', 'reloading', 'watching'],
+                properties: {
+                  loaded: { type: 'boolean' },
+                  dictionary: { oneOf: [ref('DictionaryInfo'), { type: 'null' }] },
+                  reloading: { type: 'boolean' },
+                  watching: { type: 'boolean', description: 'DICTIONARY_WATCH: recarga al cambiar el fichero' }
+                }
+              },
+              metadata: { type: 'object', properties: { requestId: { type: 'string' } } },
+              timestamp: { type: 'string' }
+            }
+          },
+          DictionaryReloadResponse: {
+            type: 'object',
+            required: ['success', 'data', 'timestamp'],
+            properties: {
+              success: { const: true },
+              data: {
+                type: 'object',
+                required: ['previous', 'current', 'changed'],
+                properties: {
+                  previous: { oneOf: [ref('DictionaryInfo'), { type: 'null' }], description: 'null si no había diccionario cargado' },
+                  current: ref('DictionaryInfo'),
+                  changed: { type: 'boolean', description: 'La versión (contenido) es distinta de la anterior' }
+                }
+              },
+              metadata: { type: 'object', properties: { requestId: { type: 'string' } } },
+              timestamp: { type: 'string' }
+            }
+          },
+          HealthResponse: {
+            type: 'object',
+            required: ['success', 'status'],
+            properties: {
+              success: { const: true },
+              status: { type: 'string' },
+              service: { type: 'string' },
+              version: { type: 'string' },
+              dictionary: {
+                type: 'object',
+                properties: {
+                  loaded: { type: 'boolean' },
+                  size: { type: 'integer' },
+                  version: { oneOf: [ref('DictionaryVersion'), { type: 'null' }] },
+                  checksum: ref('DictionaryChecksum'),
+                  loadedAt: { type: ['string', 'null'] },
+                  reloading: { type: 'boolean' }
+                }
+              },
+              uptime: { type: 'number' },
+              timestamp: { type: 'string' }
+            }
+          },
+          InfoResponse: {
+            type: 'object',
+            required: ['name', 'version', 'endpoints'],
+            properties: {
+              name: { type: 'string' },
+              version: { type: 'string' },
+              specification: { type: 'string' },
+              endpoints: { type: 'object', additionalProperties: { type: 'object', required: ['method', 'path', 'description'] } }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * OPERACIONES: [{ operationId, method, path, operation }] en el orden del documento
+   */
+  static operations() {
+    return Object.entries(this.document.paths).flatMap(([path, methods]) =>
+      Object.entries(methods).map(([method, operation]) => ({ operationId: operation.operationId, method, path, operation })));
+  }
+
+  static getOperation(operationId) {
+    const found = this.operations().find(entry => entry.operationId === operationId);
+    if (!found) throw new Error(`INVALID_OPERATION: ${operationId} no está en la especificación`);
+    return found;
+  }
+
+  /**
+   * Lista del 404: "MÉTODO /ruta" de cada operación ("WS" para el WebSocket)
+   */
+  static listEndpoints({ publicOnly = false } = {}) {
+    return this.operations()
+      .filter(({ operation }) => !publicOnly || operation.security?.length === 0)
+      .map(({ method, path, operation }) => `${operation['x-websocket'] ? 'WS' : method.toUpperCase()} ${path}`);
+  }
+
+  /**
+   * PLANTILLA de la ruta de una URL (/api/v1/password/range/{prefix}) o null si no es del contrato
+   */
+  static matchRoute(pathname) {
+    this.cachedRoutes ??= Object.keys(this.document.paths).map(path => ({
+      path,
+      pattern: new RegExp(`^${path.split('/').map(segment => /^\{.+\}$/.test(segment)
+        ? '[^/]+'
+        : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('/')}$`)
+    }));
+
+    const normalized = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+    return this.cachedRoutes.find(({ pattern }) => pattern.test(normalized))?.path ?? null;
+  }
+
+  /**
+   * Resumen por operación para /info
+   */
+  static describeEndpoints() {
+    return Object.fromEntries(this.operations()
+      .filter(({ path }) => path.startsWith('/api/'))
+      .map(({ operationId, method, path, operation }) => {
+        const body = operation.requestBody?.content?.['application/json']?.schema?.$ref;
+        return [operationId, {
+          method: operation['x-websocket'] ? 'WS' : method.toUpperCase(),
+          path,
+          description: operation.summary,
+          ...(operation.description && { note: operation.description }),
+          ...(body && { requestSchema: `/openapi.json${body}` }),
+          apiKeyEndpoint: operation['x-endpoint'],
+          rateLimit: operation['x-rate-limit']
+        }];
+      }));
+  }
+
+  static serve(req, res) {
+    res.set('Cache-Control', 'no-cache');
+    res.status(200).json(OpenApiSpec.document);
+  }
+
+  /**
+   * VALIDACIÓN: Errores de un valor contra un esquema de components.schemas
+   */
+  static validateSchema(schemaName, value, location = 'body') {
+    return this.validator.validate({ $ref: `#/components/schemas/${schemaName}` }, value)
+      .map(error => ({ location, ...error }));
+  }
+
+  /**
+   * MIDDLEWARE: Parámetros (ruta y query) y body de la operación
+   */
+  static validate(operationId) {
+    const { operation } = OpenApiSpec.getOperation(operationId);
+    const parameters = (operation.parameters ?? []).map(parameter => OpenApiSpec.validator.resolve(parameter));
+
+    return (req, res, next) => {
+      const errors = [];
+
+      for (const parameter of parameters) {
+        const source = { path: req.params, query: req.query }[parameter.in];
+        if (!source) continue;
+
+        if (source[parameter.name] === undefined) {
+          if (parameter.required) errors.push({ location: parameter.in, field: parameter.name, code: 'required', params: {}, errorCode: null });
+          continue;
+        }
+        errors.push(...OpenApiSpec.validator.validate(parameter.schema, source[parameter.name], parameter.name)
+          .map(error => ({ location: parameter.in, ...error })));
+      }
+
+      errors.push(...OpenApiSpec.validateBody(operation.requestBody, req));
+
+      if (errors.length > 0) {
+        return OpenApiSpec.sendValidationError(req, res, errors);
+      }
+
+      if (OpenApiSpec.VALIDATE_RESPONSES) OpenApiSpec.checkResponses(operationId, operation, req, res);
+      next();
+    };
+  }
+
+  static validateBody(requestBody, req) {
+    if (!requestBody) return [];
+
+    const contentType = req.get('Content-Type');
+    const types = Object.keys(requestBody.content);
+
+    // Cuerpo opcional sin datos: da igual el Content-Type (curl -X POST, fetch sin body...)
+    if (!requestBody.required && !OpenApiSpec.hasBody(req)) return [];
+
+    if (!contentType) {
+      return requestBody.required
+        ? [{ location: 'header', field: 'Content-Type', code: 'contentType', params: { expected: types }, errorCode: null }]
+        : [];
+    }
+
+    const type = types.find(candidate => req.is(candidate));
+    if (!type) {
+      return [{ location: 'header', field: 'Content-Type', code: 'contentType', params: { expected: types }, errorCode: null }];
+    }
+
+    // Solo los bodies JSON se validan aquí (el NDJSON lo valida el controlador por entrada)
+    if (type !== 'application/json') return [];
+
+    return OpenApiSpec.validator.validate(requestBody.content[type].schema, req.body)
+      .map(error => ({ location: 'body', ...error }));
+  }
+
+  static hasBody(req) {
+    return req.get('Transfer-Encoding') !== undefined || Number(req.get('Content-Length')) > 0;
+  }
+
+  /**
+   * RESPUESTA 400: El código del primer error con código propio (x-errors) o INVALID_REQUEST
+   */
+  static sendValidationError(req, res, errors) {
+    const locale = PasswordController.negotiateLocale(req, res);
+    const code = errors.find(error => error.errorCode)?.errorCode ?? 'INVALID_REQUEST';
+
+    req.log.info('validation.failed', { errorCode: code, errors: errors.length });
+
+    res.status(this.ERROR_STATUS[code] ?? 400).json({
+      success: false,
+      error: code,
+      message: I18n.t(`error.${code}`, this.errorParams(), locale),
+      details: errors.map(({ location, field, code: keyword, params }) => ({
+        location,
+        field,
+        code: keyword,
+        params,
+        message: I18n.t(`validation.${keyword}`, { ...params, field: field || location }, locale)
+      })),
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Valores que citan los mensajes de error de los catálogos
+  static errorParams() {
+    return {
+      algorithms: Object.keys(AttackScenarios.HASH_ALGORITHMS),
+      digestAlgorithms: Object.keys(HashIndex.ALGORITHMS),
+      presets: Object.keys(PasswordPolicy.PRESETS),
+      maxItems: PasswordController.BATCH_MAX_ITEMS,
+      minWords: PassphraseGenerator.MIN_WORDS,
+      maxWords: PassphraseGenerator.MAX_WORDS,
+      languages: Object.keys(PassphraseGenerator.WORDLISTS),
+      capitalizations: PassphraseGenerator.CAPITALIZATION_MODES,
+      maxSeparator: PassphraseGenerator.MAX_SEPARATOR_LENGTH,
+      prefixLength: HashIndex.RANGE_PREFIX_LENGTH
+    };
+  }
+
+  /**
+   * DESARROLLO (OPENAPI_VALIDATE_RESPONSES=true): avisa si una respuesta JSON no cumple su esquema
+   */
+  static checkResponses(operationId, operation, req, res) {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      const schema = operation.responses[res.statusCode]?.content?.['application/json']?.schema
+        ?? OpenApiSpec.validator.resolve(operation.responses[res.statusCode] ?? {})?.content?.['application/json']?.schema;
+
+      if (schema) {
+        const errors = OpenApiSpec.validator.validate(schema, JSON.parse(JSON.stringify(body)));
+        if (errors.length > 0) {
+          req.log.error('openapi.responseMismatch', { operationId, status: res.statusCode, errors: errors.length });
+        }
+      } else {
+        req.log.error('openapi.responseUndocumented', { operationId, status: res.statusCode });
+      }
+      return json(body);
+    };
+  }
+}
@@ -0,0 +1,168 @@
+import { PasswordEvaluator } from './passwordEvaluator.js';
+import { I18n } from './i18n.js';
+
+/**
+ * GENERADOR DE FRASES DE PASO (estilo Diceware)
+ *
+ * Elige N palabras de una lista incluida usando CSPRNG. La entropía del
+ * generador es exacta: palabras × log₂(tamaño de la lista), más los bits
+ * de las opciones aleatorias (mayúsculas, dígito, símbolo).
+ *
+ * Listas incluidas:
+ *   - en: EFF Large Wordlist (7.776 palabras)
+ *   - es: lista BIP39 en español sin tildes (2.048 palabras)
+ */
+export class PassphraseGenerator {
+
+  static WORDLISTS = {
+    es: { file: 'es.txt', name: 'BIP39 Español (sin tildes)' },
+    en: { file: 'en.txt', name: 'EFF Large Wordlist' }
+  };
+
+  static CAPITALIZATION_MODES = ['none', 'first', 'all', 'random'];
+
+  static MIN_WORDS = 3;
+  static MAX_WORDS = 20;
+  static MAX_SEPARATOR_LENGTH = 3;
+
+  // Listas cargadas bajo demanda
+  static wordlists = new Map();
+
+  /**
+   * CARGA: Lista de palabras de un idioma
+   */
+  static async loadWordlist(language) {
+    if (this.wordlists.has(language)) return this.wordlists.get(language);
+
+    const source = this.WORDLISTS[language];
+    if (!source) {
+      throw new Error(`INVALID_LANGUAGE: Idioma no soportado '${language}'`);
+    }
+
+    const fs = await import('fs/promises');
+    const content = await fs.readFile(new URL(`./wordlists/${source.file}`, import.meta.url), 'utf8');
+    const words = content.split('\n').map(word => word.trim()).filter(Boolean);
+
+    this.wordlists.set(language, words);
+    return words;
+  }
+
+  /**
+   * CSPRNG: Índice uniforme en [0, max) sin sesgo de módulo
+   */
+  static randomIndex(max) {
+    const limit = Math.floor(0x100000000 / max) * max;
+    const array = new Uint32Array(1);
+
+    do {
+      crypto.getRandomValues(array);
+    } while (array[0] >= limit);
+
+    return array[0] % max;
+  }
+
+  /**
+   * VALIDACIÓN: Opciones del generador
+   */
+  static validateOptions({ wordCount, language, separator, capitalization, includeNumber, includeSymbol }) {
+    if (!Number.isInteger(wordCount) || wordCount < this.MIN_WORDS || wordCount > this.MAX_WORDS) {
+      throw new Error(`INVALID_WORD_COUNT: El número de palabras debe ser un entero entre ${this.MIN_WORDS} y ${this.MAX_WORDS}`);
+    }
+    if (!this.WORDLISTS[language]) {
+      throw new Error(`INVALID_LANGUAGE: Idiomas soportados: ${Object.keys(this.WORDLISTS).join(', ')}`);
+    }
+    if (typeof separator !== 'string' || separator.length > this.MAX_SEPARATOR_LENGTH) {
+      throw new Error(`INVALID_SEPARATOR: El separador debe ser una cadena de máximo ${this.MAX_SEPARATOR_LENGTH} caracteres`);
+    }
+    if (!this.CAPITALIZATION_MODES.includes(capitalization)) {
+      throw new Error(`INVALID_CAPITALIZATION: Valores permitidos: ${this.CAPITALIZATION_MODES.join(', ')}`);
+    }
+    if (typeof includeNumber !== 'boolean' || typeof includeSymbol !== 'boolean') {
+      throw new Error('INVALID_OPTION: includeNumber e includeSymbol deben ser booleanos');
+    }
+  }
+
+  /**
+   * FUNCIÓN PRINCIPAL: Genera una frase de paso y su entropía exacta
+   * (la fórmula, en el idioma de la respuesta: options.locale)
+   */
+  static async generate(options = {}) {
+    const {
+      wordCount = 6,
+      language = 'es',
+      separator = '-',
+      capitalization = 'none',
+      includeNumber = false,
+      includeSymbol = false,
+      locale = I18n.DEFAULT_LOCALE
+    } = options;
+
+    this.validateOptions({ wordCount, language, separator, capitalization, includeNumber, includeSymbol });
+
+    const wordlist = await this.loadWordlist(language);
+    const words = [];
+    for (let i = 0; i < wordCount; i++) {
+      words.push(wordlist[this.randomIndex(wordlist.length)]);
+    }
+
+    // Componentes de entropía del generador
+    const components = [{
+      source: 'words',
+      bits: wordCount * Math.log2(wordlist.length)
+    }];
+
+    const capitalized = words.map((word, index) => {
+      switch (capitalization) {
+        case 'first':
+          return index === 0 ? this.capitalize(word) : word;
+        case 'all':
+          return this.capitalize(word);
+        case 'random':
+          return this.randomIndex(2) === 1 ? this.capitalize(word) : word;
+        default:
+          return word;
+      }
+    });
+    if (capitalization === 'random') {
+      components.push({ source: 'capitalization', bits: wordCount });
+    }
+
+    // Dígito y símbolo se añaden al final de una palabra elegida al azar
+    if (includeNumber) {
+      const digits = PasswordEvaluator.CHARACTER_SETS.NUMBERS;
+      const target = this.randomIndex(wordCount);
+      capitalized[target] += digits[this.randomIndex(digits.length)];
+      components.push({ source: 'number', bits: Math.log2(digits.length * wordCount) });
+    }
+    if (includeSymbol) {
+      const symbols = PasswordEvaluator.CHARACTER_SETS.SYMBOLS;
+      const target = this.randomIndex(wordCount);
+      capitalized[target] += symbols[this.randomIndex(symbols.length)];
+      components.push({ source: 'symbol', bits: Math.log2(symbols.length * wordCount) });
+    }
+
+    const totalBits = components.reduce((sum, component) => sum + component.bits, 0);
+
+    return {
+      passphrase: capitalized.join(separator),
+      generatorEntropy: {
+        value: Math.round(totalBits * 100) / 100,
+        formula: I18n.t('formula.PASSPHRASE_WORDS', {
+          words: wordCount,
+          size: wordlist.length,
+          bits: Math.round(components[0].bits * 100) / 100
+        }, locale),
+        wordlist: {
+          language,
+          name: this.WORDLISTS[language].name,
+          size: wordlist.length
+        },
+        components: components.map(({ source, bits }) => ({ source, bits: Math.round(bits * 100) / 100 }))
+      }
+    };
+  }
+
+  static capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  }
+}
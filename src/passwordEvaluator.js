@@ -1,8 +1,65 @@
+import { PatternEstimator } from './patternEstimator.js';
+import { KeyboardPatterns } from './keyboardPatterns.js';
+import { EditDistanceIndex } from './editDistanceIndex.js';
+import { AhoCorasickAutomaton } from './ahoCorasick.js';
+import { LeetSubstitution } from './leetSubstitution.js';
+import { PasswordPolicy } from './passwordPolicy.js';
+import { UserInputDictionary } from './userInputDictionary.js';
+import { AttackScenarios } from './attackScenarios.js';
+import { I18n } from './i18n.js';
+import { ResultCodes } from './resultCodes.js';
+import { logger } from './logger.js';
+
 export class PasswordEvaluator {
   
   // Diccionario de contraseñas comunes 
   static commonPasswords = new Set();
   static isDictionaryLoaded = false;
+  static dictionaryLoading = null;
+
+  // Diccionario en uso: { version, checksum, source, size, loadedAt, loadDurationMs }
+  static dictionaryInfo = null;
+  static dictionaryReloading = null;
+  static dictionaryWatching = false;
+  static DICTIONARY_WATCH_DEBOUNCE_MS = 500;
+
+  // De dónde sale el diccionario (ver setDictionaryProvider); sin configurar, los ficheros locales
+  static dictionaryProvider = null;
+
+  // Índice de búsqueda por distancia de edición (se construye al cargar el diccionario)
+  static editDistanceIndex = null;
+  static MAX_EDIT_DISTANCE = 2;
+
+  // Autómata de subcadenas sobre todo el diccionario (entradas de 4+ caracteres)
+  static substringAutomaton = null;
+  static substringSample = null;
+  static SUBSTRING_SAMPLE_SIZE = 10000;
+  static MAX_SUBSTRING_MATCHES = 100;
+
+  // Índices de hashes del diccionario (k-anonimato), por algoritmo; solo en el servidor
+  static hashIndexes = null;
+  static hashIndexesLoading = null;
+
+  // Motor de sustituciones leet (tabla configurable con configureLeetSubstitutions)
+  static leetSubstitution = new LeetSubstitution();
+
+  static MAX_PASSWORD_LENGTH = 1000;
+
+  // Rango en el diccionario (1 = la más común): más penalización en las primeras, menos en las raras
+  static TOP_RANK = 100;
+  static OBSCURE_RANK = 100000;
+  static MIN_RANK_CONFIDENCE_FACTOR = 0.5;
+
+  // Instrumentación opcional (métricas del servidor): recibe solo tiempos y códigos, nunca la contraseña
+  static instrumentation = null;
+
+  // Parámetros de las recomendaciones REC_INCREASE_LENGTH y REC_ROTATE_PERIODICALLY
+  static RECOMMENDED_MIN_LENGTH = 12;
+  static ROTATION_DAYS = 90;
+
+  // Fuentes del diccionario: índice compilado (preferido) y CSV original
+  static DICTIONARY_CSV_PATH = './data/1millionPasswords.csv';
+  static DICTIONARY_INDEX_PATH = './data/1millionPasswords.idx';
 
   // Conjuntos de caracteres 
   static CHARACTER_SETS = {
@@ -43,11 +100,66 @@ export class PasswordEvaluator {
     const entropy = L * Math.log2(N);  // Fórmula E = L × log₂(N)
     return Math.round(entropy * 100) / 100;
   }
+
+  /**
+   * ESTIMACIÓN REALISTA: Descomposición en patrones (diccionario, repeticiones, secuencias, fechas...)
+   */
+  static estimateGuesses(password, userDictionary = null) {
+    return PatternEstimator.estimate(password, {
+      dictionary: this.commonPasswords,
+      getRank: (word) => this.getDictionaryRank(word),
+      userDictionary
+    });
+  }
+
+  /**
+   * RANGO: Posición de la entrada en el diccionario (1 = la más común) o null
+   *
+   * El diccionario se carga en orden de frecuencia, así que el rango es una
+   * estimación directa de los intentos que necesita un atacante con la lista.
+   */
+  static getDictionaryRank(word) {
+    return this.editDistanceIndex?.rankOf(word) ?? null;
+  }
+
+  /**
+   * RANGO por posición de carga (la que guardan los índices de hashes): el
+   * mismo número que getDictionaryRank() con la entrada en claro. Los índices
+   * de hashes deben ser del mismo diccionario que editDistanceIndex.
+   */
+  static getDictionaryRankAt(loadPosition, editDistanceIndex = this.editDistanceIndex) {
+    return editDistanceIndex?.rankAt(loadPosition) ?? null;
+  }
+
+  /**
+   * RANGO Y PENALIZACIÓN: Las TOP_RANK primeras suben un nivel de penalización;
+   * las que están más allá de OBSCURE_RANK bajan uno (sin bajar de 1)
+   */
+  static rankPenalty(penaltyLevel, rank) {
+    if (rank === null) return penaltyLevel;
+    if (rank <= this.TOP_RANK) return penaltyLevel + 1;
+    if (rank > this.OBSCURE_RANK) return Math.max(1, penaltyLevel - 1);
+    return penaltyLevel;
+  }
+
+  /**
+   * RANGO Y CONFIANZA: 0.1 menos por cada orden de magnitud más allá de TOP_RANK
+   */
+  static rankConfidence(confidence, rank) {
+    const factor = Math.max(this.MIN_RANK_CONFIDENCE_FACTOR, 1 - 0.1 * Math.max(0, Math.log10(rank / this.TOP_RANK)));
+    return Math.round(confidence * factor * 100) / 100;
+  }
+
+  static dictionaryRiskLevel({ isCommon, isSimilar, rank }) {
+    if (isCommon) return rank !== null && rank > this.OBSCURE_RANK ? 'HIGH' : 'CRITICAL';
+    if (isSimilar) return rank !== null && rank <= this.TOP_RANK ? 'CRITICAL' : 'HIGH';
+    return 'LOW';
+  }
   
   /**
    * FUNCIÓN PRINCIPAL: Detecta si una contraseña es similar a alguna del diccionario
    */
-  static checkPasswordSimilarity(password) {
+  static checkPasswordSimilarity(password, userDictionary = null) {
     const passwordLower = password.toLowerCase();
     
     // 1. Verificación exacta
@@ -61,6 +173,14 @@ export class PasswordEvaluator {
       };
     }
 
+    // 1b. Datos personales del usuario (diccionario de esta petición)
+    if (userDictionary) {
+      const userInputSimilarity = this.checkUserInputSimilarity(password, userDictionary);
+      if (userInputSimilarity.isSimilar) {
+        return userInputSimilarity;
+      }
+    }
+
     // 2. Verificación de variaciones simples  
     const simpleVariations = [
       passwordLower + '1',
@@ -84,20 +204,27 @@ export class PasswordEvaluator {
       }
     }
 
-    // 3. Detectar remoción de caracteres
-    const removalSimilarity = this.checkRemovalSimilarity(passwordLower);
-    if (removalSimilarity.isSimilar) {
-      return removalSimilarity;
-    }
-
-    // 4. Detectar substituciones (leet speak)
+    // 3. Detectar substituciones (leet speak): antes que la distancia de edición,
+    // que también alcanza "p4ssw0rd" pero sin decir qué posiciones se sustituyeron
     const substitutionSimilarity = this.checkSubstitutionSimilarity(passwordLower);
     if (substitutionSimilarity.isSimilar) {
       return substitutionSimilarity;
     }
 
-    // 5. Detectar subcadenas
-    const substringMatch = this.checkSubstringMatch(passwordLower);
+    // 4. Detectar ediciones (inserciones, borrados, sustituciones, transposiciones)
+    const editSimilarity = this.timeStage('removal', () => this.checkEditDistanceSimilarity(passwordLower));
+    if (editSimilarity.isSimilar) {
+      return editSimilarity;
+    }
+
+    // 5. Detectar recorridos de teclado (se usa la contraseña original para ver Shift)
+    const keyboardWalk = this.checkKeyboardWalk(password);
+    if (keyboardWalk.isSimilar) {
+      return keyboardWalk;
+    }
+
+    // 6. Detectar subcadenas
+    const substringMatch = this.timeStage('substring', () => this.checkSubstringMatch(passwordLower));
     if (substringMatch.isSimilar) {
       return substringMatch;
     }
@@ -105,26 +232,71 @@ export class PasswordEvaluator {
     return { isSimilar: false };
   }
 
+  /**
+   * DETECCIÓN: Distancia de edición Damerau-Levenshtein sobre todo el diccionario
+   */
+  static checkEditDistanceSimilarity(password) {
+    // Sin índice construido se mantiene la detección clásica por remoción
+    if (!this.editDistanceIndex) {
+      return this.checkRemovalSimilarity(password);
+    }
+
+    // En contraseñas muy cortas dos ediciones las acercan a casi cualquier entrada
+    const maxDistance = password.length <= 4 ? 1 : this.MAX_EDIT_DISTANCE;
+    const result = this.editDistanceIndex.findClosest(password, maxDistance);
+    if (!result || result.distance === 0) return { isSimilar: false };
+
+    const { match, distance, operations } = result;
+    const onlyRemovals = operations.every(operation => operation.type === 'deletion');
+
+    return {
+      isSimilar: true,
+      exactMatch: false,
+      matchedPassword: match,
+      similarityType: onlyRemovals
+        ? (distance === 1 ? 'CHARACTER_REMOVAL' : 'TWO_CHARACTERS_REMOVAL')
+        : 'EDIT_DISTANCE',
+      confidence: this.editDistanceConfidence(distance, password.length, match.length),
+      editDistance: distance,
+      editOperations: operations,
+      detailsMessage: {
+        key: 'details.EDIT_DISTANCE',
+        params: {
+          distance,
+          operations: operations.map(op => ({
+            key: 'details.editOperation',
+            params: { operation: { key: `editOperation.${op.type}` }, position: op.position }
+          }))
+        }
+      }
+    };
+  }
+
+  static editDistanceConfidence(distance, passwordLength, matchLength) {
+    // Una edición sobre 8 caracteres (≈0.88) pesa más que una sobre 4 (0.75)
+    const confidence = 1 - distance / Math.max(passwordLength, matchLength);
+    return Math.round(Math.max(0, confidence) * 100) / 100;
+  }
+
   /**
    * DETECCIÓN: Contraseñas con caracteres removidos
    */
   static checkRemovalSimilarity(password) {
-    console.log(`🔍 Buscando similitud por remoción en ${this.commonPasswords.size} contraseñas del dataset...`);
-    
     // Generar variaciones quitando UN carácter
     for (let i = 0; i < password.length; i++) {
       const withCharRemoved = password.slice(0, i) + password.slice(i + 1);
       
       if (this.commonPasswords.has(withCharRemoved)) {
-        console.log(`✅ ENCONTRADA EN DATASET: "${withCharRemoved}" (removiendo '${password[i]}' en posición ${i + 1})`);
-        
         return {
           isSimilar: true,
           exactMatch: false,
           matchedPassword: withCharRemoved,
           similarityType: 'CHARACTER_REMOVAL',
           confidence: 0.85,
-          details: `Removiendo carácter en posición ${i + 1}: '${password[i]}'`
+          detailsMessage: {
+            key: 'details.CHARACTER_REMOVAL',
+            params: { position: i + 1 }
+          }
         };
       }
     }
@@ -136,15 +308,16 @@ export class PasswordEvaluator {
           const withTwoCharsRemoved = password.slice(0, i) + password.slice(i + 1, j) + password.slice(j + 1);
           
           if (this.commonPasswords.has(withTwoCharsRemoved)) {
-            console.log(`✅ ENCONTRADA EN DATASET: "${withTwoCharsRemoved}" (removiendo '${password[i]}${password[j]}')`);
-            
             return {
               isSimilar: true,
               exactMatch: false,
               matchedPassword: withTwoCharsRemoved,
               similarityType: 'TWO_CHARACTERS_REMOVAL',
               confidence: 0.75,
-              details: `Removiendo caracteres en posiciones ${i + 1} y ${j + 1}: '${password[i]}${password[j]}'`
+              detailsMessage: {
+                key: 'details.TWO_CHARACTERS_REMOVAL',
+                params: { first: i + 1, second: j + 1 }
+              }
             };
           }
         }
@@ -155,40 +328,125 @@ export class PasswordEvaluator {
   }
 
   /**
-   * DETECCIÓN: Substituciones comunes (leet speak)
+   * DETECCIÓN: Substituciones comunes (leet speak), con lecturas ambiguas
    */
   static checkSubstitutionSimilarity(password) {
-    // Mapeo de substituciones comunes
-    const substitutions = {
-      '0': 'o', '1': 'i', '3': 'e', '4': 'a', 
-      '5': 's', '7': 't', '8': 'b', '@': 'a', '$': 's'
-    };
+    const result = this.leetSubstitution.findInDictionary(password, this.commonPasswords);
+    if (!result) return { isSimilar: false };
 
-    let normalizedPassword = password;
-    let substitutionCount = 0;
+    const { match, substitutions, variantsChecked } = result;
 
-    // Aplicar substituciones inversas
-    for (const [leet, normal] of Object.entries(substitutions)) {
-      if (normalizedPassword.includes(leet)) {
-        normalizedPassword = normalizedPassword.replace(new RegExp(leet, 'g'), normal);
-        substitutionCount++;
+    return {
+      isSimilar: true,
+      exactMatch: false,
+      matchedPassword: match,
+      similarityType: 'LEET_SPEAK_SUBSTITUTION',
+      confidence: 0.8,
+      substitutedPositions: substitutions.map(substitution => substitution.position),
+      variantsChecked,
+      detailsMessage: {
+        key: 'details.LEET_SPEAK_SUBSTITUTION',
+        params: { count: substitutions.length, positions: substitutions.map(substitution => substitution.position) }
       }
-    }
+    };
+  }
 
-    if (substitutionCount > 0 && this.commonPasswords.has(normalizedPassword)) {
-      console.log(`✅ LEET SPEAK DETECTADO: "${normalizedPassword}" (${substitutionCount} substituciones)`);
-      
-      return {
-        isSimilar: true,
-        exactMatch: false,
-        matchedPassword: normalizedPassword,
-        similarityType: 'LEET_SPEAK_SUBSTITUTION',
-        confidence: 0.8,
-        details: `${substitutionCount} substituciones leet speak detectadas`
-      };
+  /**
+   * DETECCIÓN: Datos del usuario dentro de la contraseña (directos, al revés o leet)
+   *
+   * Nunca devuelve el dato ni el fragmento: solo posiciones y el índice de
+   * la entrada de userInputs de la que procede.
+   */
+  static checkUserInputSimilarity(password, userDictionary) {
+    const matches = userDictionary.findMatches(password);
+    if (matches.length === 0) return { isSimilar: false };
+
+    // Se prioriza la coincidencia más larga y, en empate, la más literal
+    const best = matches.reduce((a, b) => {
+      const lengthA = a.j - a.i;
+      const lengthB = b.j - b.i;
+      if (lengthA !== lengthB) return lengthB > lengthA ? b : a;
+      return b.substitutions.length < a.substitutions.length ? b : a;
+    });
+
+    const leet = best.substitutions.length > 0;
+    const variant = best.reversed ? (leet ? 'reversed_leet' : 'reversed') : (leet ? 'leet' : 'plain');
+
+    const covered = new Set();
+    for (const match of matches) {
+      for (let k = match.i; k <= match.j; k++) covered.add(k);
     }
 
-    return { isSimilar: false };
+    return {
+      isSimilar: true,
+      exactMatch: false,
+      matchedPassword: null,
+      similarityType: 'USER_INPUT',
+      confidence: Math.round((0.7 + 0.3 * covered.size / password.length) * 100) / 100,
+      userInputMatches: matches.map(({ i, j, inputIndex, reversed, substitutions }) => ({
+        start: i,
+        end: j + 1,
+        inputIndex,
+        reversed,
+        substitutedPositions: substitutions
+      })),
+      detailsMessage: {
+        key: 'details.USER_INPUT',
+        params: {
+          input: best.inputIndex + 1,
+          variant: { key: `userInputVariant.${variant}` },
+          start: best.i + 1,
+          end: best.j + 1
+        }
+      }
+    };
+  }
+
+  /**
+   * CONFIGURACIÓN: Tabla de sustituciones leet
+   *
+   * @param {Object<string, string[]>} table - { carácter: [lecturas posibles] }
+   * @param {Object} options
+   * @param {boolean} [options.extend=true] - Amplía la tabla por defecto en lugar de reemplazarla
+   * @param {number} [options.maxVariants] - Tope de variantes comprobadas por contraseña
+   * @param {number} [options.maxLetterVariants] - Tope aparte para las que cambian letras corrientes (n → ñ...)
+   */
+  static configureLeetSubstitutions(table, {
+    extend = true,
+    maxVariants = LeetSubstitution.MAX_VARIANTS,
+    maxLetterVariants = LeetSubstitution.MAX_LETTER_VARIANTS
+  } = {}) {
+    LeetSubstitution.validateTable(table);
+    this.leetSubstitution = new LeetSubstitution({
+      table: extend ? LeetSubstitution.mergeTables(LeetSubstitution.DEFAULT_TABLE, table) : table,
+      maxVariants,
+      maxLetterVariants
+    });
+  }
+
+  /**
+   * DETECCIÓN: Recorridos de teclado (QWERTY, AZERTY, QWERTY español, numérico)
+   */
+  static checkKeyboardWalk(password) {
+    const walk = KeyboardPatterns.detectKeyboardWalk(password);
+    if (!walk.isKeyboardWalk) return { isSimilar: false };
+
+    return {
+      isSimilar: true,
+      exactMatch: false,
+      similarityType: 'KEYBOARD_WALK',
+      confidence: Math.round((0.6 + 0.3 * walk.coverage) * 100) / 100,
+      keyboardLayout: walk.layout,
+      detailsMessage: {
+        key: 'details.KEYBOARD_WALK',
+        params: {
+          layout: walk.layoutName,
+          walks: walk.walks.length,
+          turns: walk.turns,
+          coverage: Math.round(walk.coverage * 100)
+        }
+      }
+    };
   }
 
   /**
@@ -197,36 +455,59 @@ export class PasswordEvaluator {
   static checkSubstringMatch(password) {
     if (password.length < 4) return { isSimilar: false };
 
-    // Solo buscar en un subconjunto para performance (contraseñas largas)
-    const sampleSize = Math.min(10000, this.commonPasswords.size);
-    const passwordArray = Array.from(this.commonPasswords).slice(0, sampleSize);
+    // 1. Contraseñas comunes contenidas: una pasada del autómata sobre todo el diccionario
+    if (this.substringAutomaton) {
+      const matches = this.substringAutomaton.findAll(password)
+        .filter(match => match.pattern !== password);
+
+      if (matches.length > 0) {
+        // La principal es la más larga (la que más cubre de la contraseña)
+        const primary = matches.reduce((longest, match) =>
+          match.pattern.length > longest.pattern.length ? match : longest);
 
-    for (const commonPassword of passwordArray) {
-      // Si la contraseña actual contiene una contraseña común
-      if (password.includes(commonPassword) && commonPassword.length >= 4) {
-        console.log(`✅ CONTIENE CONTRASEÑA COMÚN: "${commonPassword}"`);
-        
+        return {
+          isSimilar: true,
+          exactMatch: false,
+          matchedPassword: primary.pattern,
+          similarityType: 'CONTAINS_COMMON',
+          confidence: 0.75,
+          detailsMessage: {
+            key: 'details.CONTAINS_COMMON',
+            params: { count: matches.length, start: primary.start + 1, end: primary.end }
+          },
+          substringMatches: matches.slice(0, this.MAX_SUBSTRING_MATCHES).map(({ pattern, start, end }) => ({
+            matchedPassword: pattern,
+            start,
+            end
+          })),
+          totalSubstringMatches: matches.length
+        };
+      }
+    }
+
+    // 2. La contraseña es parte de una común (muestra de las más frecuentes, cacheada)
+    for (const commonPassword of this.getSubstringSample()) {
+      // Sin autómata se mantiene la búsqueda clásica de contraseñas contenidas
+      if (!this.substringAutomaton && password.includes(commonPassword) && commonPassword.length >= 4) {
         return {
           isSimilar: true,
           exactMatch: false,
           matchedPassword: commonPassword,
           similarityType: 'CONTAINS_COMMON',
           confidence: 0.75,
-          details: `Contiene la contraseña común: '${commonPassword}'`
+          detailsMessage: { key: 'details.CONTAINS_COMMON_SAMPLE', params: { commonPassword } }
         };
       }
       
       // Si la contraseña actual es subcadena de una contraseña común
       if (commonPassword.includes(password) && commonPassword !== password) {
-        console.log(`✅ ES SUBCADENA DE: "${commonPassword}"`);
-        
         return {
           isSimilar: true,
           exactMatch: false,
           matchedPassword: commonPassword,
           similarityType: 'SUBSTRING_MATCH',
           confidence: 0.7,
-          details: `Es parte de: '${commonPassword}'`
+          detailsMessage: { key: 'details.SUBSTRING_MATCH', params: { commonPassword } }
         };
       }
     }
@@ -234,17 +515,42 @@ export class PasswordEvaluator {
     return { isSimilar: false };
   }
 
+  static getSubstringSample() {
+    if (!this.substringSample) {
+      // Solo las más frecuentes, por rendimiento (se calcula una vez por diccionario)
+      this.substringSample = [];
+      for (const commonPassword of this.commonPasswords) {
+        if (this.substringSample.length >= this.SUBSTRING_SAMPLE_SIZE) break;
+        this.substringSample.push(commonPassword);
+      }
+    }
+    return this.substringSample;
+  }
+
   /**
    * FUNCIÓN PRINCIPAL: Evaluación de fuerza con análisis de similitud
    */
-  static async check_password_strength(password, entropy) {
+  static async check_password_strength(password, entropy, { userDictionary = null, locale = I18n.DEFAULT_LOCALE } = {}) {
     await this.ensureDictionaryLoaded();
 
-    // 1. Categorización basada en entropía
-    const baseCategory = this.categorizeByEntropy(entropy);
+    // 1. Categorización basada en la entropía estimada por patrones
+    //    (la entropía clásica recibida se conserva solo para comparación)
+    const guessEstimate = this.timeStage('pattern', () => this.estimateGuesses(password, userDictionary));
+    const baseCategory = this.categorizeByEntropy(guessEstimate.entropy, locale);
 
     // 2. Análisis de similitud completo
-    const similarityAnalysis = this.checkPasswordSimilarity(password);
+    const similarityAnalysis = this.timeStage('similarity', () => this.checkPasswordSimilarity(password, userDictionary));
+    if (similarityAnalysis.detailsMessage) {
+      similarityAnalysis.details = I18n.format(similarityAnalysis.detailsMessage, locale);
+    }
+
+    // 2b. Rango de la entrada del diccionario con la que coincide: "123456" no pesa como la 900.000
+    const dictionaryRank = similarityAnalysis.matchedPassword
+      ? this.getDictionaryRank(similarityAnalysis.matchedPassword)
+      : null;
+    if (dictionaryRank !== null) {
+      similarityAnalysis.confidence = this.rankConfidence(similarityAnalysis.confidence, dictionaryRank);
+    }
 
     // 3. Aplicar penalización basada en tipo de similitud
     let finalCategory = baseCategory;
@@ -259,49 +565,97 @@ export class PasswordEvaluator {
         case 'SIMPLE_VARIATION':
         case 'CHARACTER_REMOVAL':
         case 'TWO_CHARACTERS_REMOVAL':
+        case 'EDIT_DISTANCE':
         case 'LEET_SPEAK_SUBSTITUTION':
           penaltyLevel = 2; // Penalización alta
           break;
+        case 'KEYBOARD_WALK':
+          penaltyLevel = 2; // Penalización alta: primeros patrones que prueba un atacante
+          break;
+        case 'USER_INPUT':
+          penaltyLevel = 2; // Penalización alta: un ataque dirigido empieza por los datos personales
+          break;
         case 'CONTAINS_COMMON':
         case 'SUBSTRING_MATCH':
           penaltyLevel = 1; // Penalización moderada
           break;
       }
+      penaltyLevel = this.rankPenalty(penaltyLevel, dictionaryRank);
       
+      const code = baseCategory.level <= penaltyLevel ? 'STRENGTH_VERY_WEAK' : 
+                 baseCategory.level <= penaltyLevel + 1 ? 'STRENGTH_WEAK' : baseCategory.code;
+
       finalCategory = {
         ...baseCategory,
-        category: baseCategory.level <= penaltyLevel ? 'Muy Débil' : 
-                 baseCategory.level <= penaltyLevel + 1 ? 'Débil' : baseCategory.category,
+        code,
+        category: I18n.t(code, {}, locale),
         level: Math.max(1, baseCategory.level - penaltyLevel),
         penalized: true
       };
     }
 
     // 4. Calcular tiempo de crackeo (10^11 intentos/segundo)
-    const crackingTime = this.calculateCrackingTime(entropy, 1e11);
+    const crackingTime = this.calculateCrackingTime(guessEstimate.entropy, 1e11, locale);
 
     return {
       baseCategory,
       finalCategory, 
       isCommon: similarityAnalysis.exactMatch,
+      dictionaryRank,
       similarityAnalysis,
       crackingTime,
-      entropy
+      entropy: guessEstimate.entropy,
+      classicEntropy: entropy,
+      guessEstimate,
+      // Diccionario con el que se evaluó (una recarga posterior no lo cambia)
+      dictionary: this.dictionaryInfo
     };
   }
 
   /**
    * FUNCIÓN PRINCIPAL: Evaluación completa de contraseña
    */
-  static async evaluatePasswordSecurely(password) {
+  static async evaluatePasswordSecurely(password, { userInputs, hashAlgorithm, attemptsPerSecond, locale = I18n.DEFAULT_LOCALE } = {}) {
+    const started = performance.now();
+
     // VALIDACIÓN ROBUSTA 
     this.validateInputRobustly(password);
+    UserInputDictionary.validate(userInputs);
+    AttackScenarios.validate({ hashAlgorithm, attemptsPerSecond });
+
+    // Diccionario de esta petición con los datos del usuario (no se guarda ni se registra)
+    const userDictionary = userInputs?.length > 0
+      ? new UserInputDictionary(userInputs, this.leetSubstitution.table)
+      : null;
 
     // EVALUACIÓN COMPLETA usando funciones 
     const L = this.calculate_L(password);           
     const N = this.calculate_N(password);          
     const entropy = this.calculate_entropy(password);  
-    const strengthEval = await this.check_password_strength(password, entropy);  
+    const strengthEval = await this.check_password_strength(password, entropy, { userDictionary, locale });  
+
+    // Tiempo de crackeo por escenario; el titular depende del hash del cliente
+    const attack = AttackScenarios.evaluate(
+      strengthEval.guessEstimate.entropy,
+      (bits, rate) => this.calculateCrackingTime(bits, rate, locale),
+      { hashAlgorithm, attemptsPerSecond, locale }
+    );
+    const headline = attack.scenarios.find(scenario => scenario.id === attack.headline);
+
+    const dictionaryRisk = this.dictionaryRiskLevel({
+      isCommon: strengthEval.isCommon,
+      isSimilar: strengthEval.similarityAnalysis.isSimilar,
+      rank: strengthEval.dictionaryRank
+    });
+    const similarityRisk = this.getSimilarityRiskLevel(strengthEval.similarityAnalysis);
+    const similarityCode = ResultCodes.similarity(strengthEval.similarityAnalysis.similarityType);
+
+    this.instrumentation?.observeStage('evaluation', (performance.now() - started) / 1000);
+    this.instrumentation?.observeEvaluation({
+      categoryCode: strengthEval.finalCategory.code,
+      similarityCode,
+      isCommonPassword: strengthEval.isCommon === true
+    });
 
     // RESPUESTA JSON COMPLETA - SIN la contraseña original
     return {
@@ -309,15 +663,10 @@ export class PasswordEvaluator {
       passwordMetadata: {
         length: L,
         keyspace: N,
-        characterTypes: {
-          hasLowercase: /[a-z]/.test(password),
-          hasUppercase: /[A-Z]/.test(password), 
-          hasNumbers: /[0-9]/.test(password),
-          hasSymbols: /[^a-zA-Z0-9]/.test(password)
-        }
+        characterTypes: this.describeCharacterTypes(password)
       },
 
-      // Análisis de entropía 
+      // Análisis de entropía (fórmula clásica, se mantiene para comparación)
       entropyAnalysis: {
         value: entropy,
         formula: `E = L × log₂(N) = ${L} × log₂(${N}) = ${entropy} bits`,
@@ -325,24 +674,39 @@ export class PasswordEvaluator {
           L: L,
           N: N,
           result: entropy
+        },
+        // Estimación por patrones: la que se usa para categorizar
+        estimated: {
+          value: strengthEval.guessEstimate.entropy,
+          guesses: strengthEval.guessEstimate.guesses,
+          guessesLog10: strengthEval.guessEstimate.guessesLog10,
+          method: 'PATTERN_DECOMPOSITION',
+          segments: strengthEval.guessEstimate.segments
         }
       },
 
       // Evaluación de fuerza
       strengthEvaluation: {
         baseCategory: strengthEval.baseCategory.category,
+        baseCategoryCode: strengthEval.baseCategory.code,
         finalCategory: strengthEval.finalCategory.category,
+        finalCategoryCode: strengthEval.finalCategory.code,
         level: strengthEval.finalCategory.level,
         penalized: strengthEval.finalCategory.penalized || false,
-        description: this.getStrengthDescription(strengthEval.finalCategory)
+        description: this.getStrengthDescription(strengthEval.finalCategory, locale)
       },
 
       // Análisis de diccionario 
       dictionaryAnalysis: {
         isCommonPassword: strengthEval.isCommon,
-        dictionarySize: this.commonPasswords.size,
-        riskLevel: strengthEval.isCommon ? 'CRITICAL' : 
-                  strengthEval.similarityAnalysis.isSimilar ? 'HIGH' : 'LOW'
+        dictionaryRank: strengthEval.dictionaryRank,
+        dictionarySize: strengthEval.dictionary.size,
+        dictionaryVersion: strengthEval.dictionary.version,
+        dictionaryChecksum: strengthEval.dictionary.checksum,
+        dictionaryLoadedAt: strengthEval.dictionary.loadedAt,
+        riskLevel: dictionaryRisk,
+        riskLevelCode: ResultCodes.risk(dictionaryRisk),
+        riskLevelText: I18n.t(ResultCodes.risk(dictionaryRisk), {}, locale)
       },
 
       // Análisis de similitud detallado
@@ -350,22 +714,38 @@ export class PasswordEvaluator {
         isSimilar: strengthEval.similarityAnalysis.isSimilar,
         exactMatch: strengthEval.similarityAnalysis.exactMatch,
         similarityType: strengthEval.similarityAnalysis.similarityType,
+        similarityCode,
+        similarityDescription: similarityCode ? I18n.t(similarityCode, {}, locale) : null,
         confidence: strengthEval.similarityAnalysis.confidence,
         matchedPassword: strengthEval.similarityAnalysis.matchedPassword,
         details: strengthEval.similarityAnalysis.details,
-        datasetUsed: this.commonPasswords.size,
-        riskLevel: this.getSimilarityRiskLevel(strengthEval.similarityAnalysis)
+        editDistance: strengthEval.similarityAnalysis.editDistance,
+        editOperations: strengthEval.similarityAnalysis.editOperations,
+        substitutedPositions: strengthEval.similarityAnalysis.substitutedPositions,
+        substringMatches: strengthEval.similarityAnalysis.substringMatches,
+        totalSubstringMatches: strengthEval.similarityAnalysis.totalSubstringMatches,
+        keyboardLayout: strengthEval.similarityAnalysis.keyboardLayout,
+        userInputMatches: strengthEval.similarityAnalysis.userInputMatches,
+        userInputsChecked: userInputs?.length || 0,
+        datasetUsed: strengthEval.dictionary.size,
+        riskLevel: similarityRisk,
+        riskLevelCode: ResultCodes.risk(similarityRisk),
+        riskLevelText: I18n.t(ResultCodes.risk(similarityRisk), {}, locale)
       },
 
-      // Métricas de seguridad (10^11 intentos/seg)
+      // Métricas de seguridad (titular: 10^11 intentos/seg salvo que se elija hash o ritmo)
       securityMetrics: {
-        estimatedCrackingTime: strengthEval.crackingTime.formatted,
-        attemptsPerSecond: '1.0e+11',
+        estimatedCrackingTime: headline.formatted,
+        estimatedCrackingSeconds: headline.seconds,
+        attemptsPerSecond: headline.attemptsPerSecond.toExponential(1),
+        headlineScenario: attack.headline,
+        hashAlgorithm: attack.hashAlgorithm,
+        scenarios: attack.scenarios,
         specification: 'Día 2: 10^11 intentos/segundo'
       },
 
-      // Recomendaciones mejoradas
-      recommendations: this.generateEnhancedRecommendations(strengthEval),
+      // Recomendaciones mejoradas: { code, params, text }
+      recommendations: this.generateEnhancedRecommendations(strengthEval, locale),
 
       // Información de cumplimiento 
       compliance: {
@@ -379,6 +759,188 @@ export class PasswordEvaluator {
     };
   }
 
+  /**
+   * EVALUACIÓN RÁPIDA: Longitud, clases de caracteres y coincidencia exacta
+   *
+   * Sin estimación por patrones ni búsqueda de similitud: es el adelanto que
+   * recibe el medidor en tiempo real mientras llega la evaluación completa.
+   */
+  static async quickEvaluate(password, { locale = I18n.DEFAULT_LOCALE } = {}) {
+    this.validateInputRobustly(password);
+    await this.ensureDictionaryLoaded();
+
+    const isCommon = this.commonPasswords.has(password.toLowerCase());
+    const riskLevel = isCommon ? 'CRITICAL' : 'LOW';
+
+    return {
+      passwordMetadata: {
+        length: this.calculate_L(password),
+        keyspace: this.calculate_N(password),
+        characterTypes: this.describeCharacterTypes(password)
+      },
+      entropyAnalysis: {
+        value: this.calculate_entropy(password)
+      },
+      dictionaryAnalysis: {
+        isCommonPassword: isCommon,
+        riskLevel,
+        riskLevelCode: ResultCodes.risk(riskLevel),
+        riskLevelText: I18n.t(ResultCodes.risk(riskLevel), {}, locale)
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  static describeCharacterTypes(password) {
+    return {
+      hasLowercase: /[a-z]/.test(password),
+      hasUppercase: /[A-Z]/.test(password), 
+      hasNumbers: /[0-9]/.test(password),
+      hasSymbols: /[^a-zA-Z0-9]/.test(password)
+    };
+  }
+
+  /**
+   * VALIDACIÓN POR POLÍTICA: Resultado por regla (preset o definición JSON)
+   *
+   * El análisis de diccionario y la estimación solo se ejecutan si alguna
+   * regla de la política los necesita.
+   */
+  static async validatePasswordPolicy(password, policy) {
+    this.validateInputRobustly(password);
+    const resolved = PasswordPolicy.resolve(policy);
+
+    const analysis = resolved.requiresAnalysis()
+      ? await this.check_password_strength(password, this.calculate_entropy(password))
+      : null;
+
+    return {
+      ...resolved.evaluate(password, analysis),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * AGREGADOS: Resumen de varias evaluaciones (lotes y auditorías)
+   *
+   * Sin datos de ninguna contraseña concreta: solo conteos y porcentajes.
+   */
+  static aggregateEvaluations(evaluations, total) {
+    const categoryDistribution = {};
+    const similarityTypes = {};
+    let dictionaryHits = 0;
+    let similarHits = 0;
+
+    for (const evaluation of evaluations) {
+      // Por código (STRENGTH_WEAK...): el texto depende del idioma de cada evaluación
+      const category = evaluation.strengthEvaluation.finalCategoryCode;
+      categoryDistribution[category] = (categoryDistribution[category] || 0) + 1;
+
+      if (evaluation.dictionaryAnalysis.isCommonPassword) dictionaryHits++;
+
+      if (evaluation.similarityAnalysis.isSimilar) {
+        similarHits++;
+        const type = evaluation.similarityAnalysis.similarityType;
+        similarityTypes[type] = (similarityTypes[type] || 0) + 1;
+      }
+    }
+
+    const percentage = (count) => evaluations.length > 0
+      ? Math.round((count / evaluations.length) * 10000) / 100
+      : 0;
+
+    return {
+      total,
+      evaluated: evaluations.length,
+      failed: total - evaluations.length,
+      categoryDistribution,
+      dictionaryHits: {
+        count: dictionaryHits,
+        percentage: percentage(dictionaryHits)
+      },
+      similarPasswords: {
+        count: similarHits,
+        percentage: percentage(similarHits)
+      },
+      similarityTypes
+    };
+  }
+
+  /**
+   * K-ANONIMATO: Sufijos SHA-1 de un prefijo, en formato Pwned Passwords
+   *
+   * Cada línea es "SUFIJO:CUENTA". El diccionario tiene rangos (orden de
+   * frecuencia) pero no el número de apariciones de cada entrada, así que la
+   * cuenta es siempre 1: el rango se consulta con POST /evaluate/hash.
+   */
+  static async getHashRange(prefix) {
+    const { hashIndexes } = await this.ensureHashIndexes();
+
+    return hashIndexes.sha1.range(prefix)
+      .map(({ suffix }) => ({ suffix, count: 1 }));
+  }
+
+  /**
+   * EVALUACIÓN POR HASH: Solo coincidencia con el diccionario, sin entropía
+   *
+   * Para herramientas que solo tienen el hash (p. ej. exportaciones de AD).
+   * El diccionario está en minúsculas, así que un hash NTLM de una contraseña
+   * con mayúsculas no coincidirá aunque su versión en minúsculas sea común.
+   * El rango es la posición de la entrada en el orden de frecuencia (1 = la más común).
+   */
+  static async evaluateHashSecurely(hash, algorithm, { locale = I18n.DEFAULT_LOCALE } = {}) {
+    const digest = await this.validateHashInput(hash, algorithm);
+    algorithm = algorithm.toLowerCase();
+    // Índices, rango y versión del mismo diccionario, aunque haya una recarga durante la espera
+    const { hashIndexes, editDistanceIndex, info: dictionary } = await this.ensureHashIndexes();
+
+    const id = hashIndexes[algorithm].find(digest);
+    const isCommon = id !== -1;
+    const dictionaryRank = isCommon ? this.getDictionaryRankAt(id, editDistanceIndex) : null;
+    const riskLevel = this.dictionaryRiskLevel({ isCommon, isSimilar: false, rank: dictionaryRank });
+    this.instrumentation?.observeHashLookup({ algorithm, isCommonPassword: isCommon });
+
+    return {
+      hashMetadata: {
+        algorithm,
+        digestLength: digest.length
+      },
+
+      dictionaryAnalysis: {
+        isCommonPassword: isCommon,
+        dictionaryRank,
+        dictionarySize: dictionary.size,
+        dictionaryVersion: dictionary.version,
+        dictionaryChecksum: dictionary.checksum,
+        dictionaryLoadedAt: dictionary.loadedAt,
+        riskLevel,
+        riskLevelCode: ResultCodes.risk(riskLevel),
+        riskLevelText: I18n.t(ResultCodes.risk(riskLevel), {}, locale)
+      },
+
+      recommendations: [
+        I18n.localize({ key: isCommon ? 'REC_HASH_IN_DICTIONARY' : 'REC_HASH_NOT_IN_DICTIONARY' }, locale)
+      ],
+
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  static async validateHashInput(hash, algorithm) {
+    const { HashIndex } = await import('./hashIndex.js');
+
+    if (typeof algorithm !== 'string' || !HashIndex.ALGORITHMS[algorithm.toLowerCase()]) {
+      throw new Error(`INVALID_ALGORITHM: Algoritmos soportados: ${Object.keys(HashIndex.ALGORITHMS).join(', ')}`);
+    }
+
+    const { digestLength } = HashIndex.ALGORITHMS[algorithm.toLowerCase()];
+    if (typeof hash !== 'string' || !new RegExp(`^[0-9a-fA-F]{${digestLength * 2}}$`).test(hash)) {
+      throw new Error(`INVALID_HASH: Se requieren ${digestLength * 2} caracteres hexadecimales`);
+    }
+
+    return Buffer.from(hash, 'hex');
+  }
+
   /**
    * UTILIDADES: Validación y categorización
    */
@@ -389,17 +951,21 @@ export class PasswordEvaluator {
     if (password.length === 0) {
       throw new Error('EMPTY_INPUT: Contraseña vacía');
     }
-    if (password.length > 1000) {
-      throw new Error('TOO_LONG: Máximo 1000 caracteres');
+    if (password.length > this.MAX_PASSWORD_LENGTH) {
+      throw new Error(`TOO_LONG: Máximo ${this.MAX_PASSWORD_LENGTH} caracteres`);
     }
   }
 
-  static categorizeByEntropy(entropy) {
-    if (entropy < 30) return { category: 'Muy Débil', level: 1 };
-    if (entropy < 60) return { category: 'Débil', level: 2 };
-    if (entropy < 80) return { category: 'Fuerte', level: 3 };
-    if (entropy < 100) return { category: 'Muy Fuerte', level: 4 };
-    return { category: 'Extremadamente Fuerte', level: 5 };
+  static categorizeByEntropy(entropy, locale = I18n.DEFAULT_LOCALE) {
+    const level =
+      entropy < 30 ? 1 :
+      entropy < 60 ? 2 :
+      entropy < 80 ? 3 :
+      entropy < 100 ? 4 :
+      5;
+    const code = ResultCodes.strength(level);
+
+    return { code, category: I18n.t(code, {}, locale), level };
   }
 
   static getSimilarityRiskLevel(similarityAnalysis) {
@@ -411,7 +977,10 @@ export class PasswordEvaluator {
       case 'SIMPLE_VARIATION':
       case 'CHARACTER_REMOVAL':
       case 'TWO_CHARACTERS_REMOVAL':
+      case 'EDIT_DISTANCE':
       case 'LEET_SPEAK_SUBSTITUTION':
+      case 'KEYBOARD_WALK':
+      case 'USER_INPUT':
         return 'HIGH';
       case 'CONTAINS_COMMON':
       case 'SUBSTRING_MATCH':
@@ -421,90 +990,144 @@ export class PasswordEvaluator {
     }
   }
 
-  static calculateCrackingTime(entropy, attemptsPerSecond = 1e11) {
+  static calculateCrackingTime(entropy, attemptsPerSecond = 1e11, locale = I18n.DEFAULT_LOCALE) {
     const totalCombinations = Math.pow(2, entropy);
     const averageAttempts = totalCombinations / 2;
-    const seconds = averageAttempts / attemptsPerSecond;
+    // Acotado para que contraseñas muy largas no den Infinity (null en JSON)
+    const seconds = Math.min(averageAttempts / attemptsPerSecond, Number.MAX_VALUE);
     
     return {
-      formatted: this.formatTime(seconds),
+      formatted: this.formatTime(seconds, locale),
       seconds: seconds
     };
   }
 
-  static formatTime(seconds) {
-    if (seconds < 1) return `${(seconds * 1000).toFixed(1)} milisegundos`;
-    if (seconds < 60) return `${seconds.toFixed(1)} segundos`;
-    if (seconds < 3600) return `${(seconds / 60).toFixed(1)} minutos`;
-    if (seconds < 86400) return `${(seconds / 3600).toFixed(1)} horas`;
-    if (seconds < 31536000) return `${(seconds / 86400).toFixed(1)} días`;
-    return `${(seconds / 31536000).toExponential(1)} años`;
+  static formatTime(seconds, locale = I18n.DEFAULT_LOCALE) {
+    const time = (unit, value) => I18n.t(`time.${unit}`, { value }, locale);
+
+    if (seconds < 1) return time('milliseconds', (seconds * 1000).toFixed(1));
+    if (seconds < 60) return time('seconds', seconds.toFixed(1));
+    if (seconds < 3600) return time('minutes', (seconds / 60).toFixed(1));
+    if (seconds < 86400) return time('hours', (seconds / 3600).toFixed(1));
+    if (seconds < 31536000) return time('days', (seconds / 86400).toFixed(1));
+    return time('years', (seconds / 31536000).toExponential(1));
   }
 
-  static getStrengthDescription(category) {
-    const descriptions = {
-      'Muy Débil': 'Extremadamente vulnerable a ataques',
-      'Débil': 'Vulnerable, requiere mejoras inmediatas',
-      'Fuerte': 'Segura para uso general',
-      'Muy Fuerte': 'Excelente nivel de seguridad',
-      'Extremadamente Fuerte': 'Seguridad máxima'
-    };
-    return descriptions[category.category] || 'Evaluación de seguridad';
+  static getStrengthDescription(category, locale = I18n.DEFAULT_LOCALE) {
+    return I18n.t(category.code ? `description.${category.code}` : 'description.DEFAULT', {}, locale);
   }
 
   /**
    * RECOMENDACIONES MEJORADAS: Incluye análisis de similitud
+   *
+   * Cada recomendación es { code, params, text }: el cliente decide con el
+   * código (ver ResultCodes.RECOMMENDATIONS) y el texto se genera de él.
    */
-  static generateEnhancedRecommendations(strengthEval) {
+  static generateEnhancedRecommendations(strengthEval, locale = I18n.DEFAULT_LOCALE) {
     const recommendations = [];
+    const recommend = (code, params = {}) => recommendations.push({ key: code, params });
     
     // Recomendaciones basadas en similitud
     if (strengthEval.similarityAnalysis?.exactMatch) {
-      recommendations.push('🚨 CRÍTICO: Contraseña idéntica a una muy común - CAMBIAR INMEDIATAMENTE');
+      recommend('REC_CHANGE_COMMON_PASSWORD');
     } else if (strengthEval.similarityAnalysis?.isSimilar) {
       const type = strengthEval.similarityAnalysis.similarityType;
-      const details = strengthEval.similarityAnalysis.details;
+      const details = strengthEval.similarityAnalysis.detailsMessage;
       
       switch (type) {
         case 'SIMPLE_VARIATION':
-          recommendations.push('⚠️ ALTO RIESGO: Variación simple de contraseña común detectada');
+          recommend('REC_AVOID_COMMON_VARIATION');
           break;
         case 'CHARACTER_REMOVAL':
         case 'TWO_CHARACTERS_REMOVAL':
-          recommendations.push(`⚠️ ALTO RIESGO: Muy similar a contraseña común (${details})`);
+        case 'EDIT_DISTANCE':
+          recommend('REC_AVOID_SIMILAR_TO_COMMON', { details });
           break;
         case 'LEET_SPEAK_SUBSTITUTION':
-          recommendations.push('⚠️ ALTO RIESGO: Substituciones leet speak detectadas - fácil de adivinar');
+          recommend('REC_AVOID_LEET_SUBSTITUTIONS');
+          break;
+        case 'KEYBOARD_WALK':
+          recommend('REC_AVOID_KEYBOARD_PATTERNS');
+          break;
+        case 'USER_INPUT':
+          recommend('REC_AVOID_PERSONAL_DATA');
           break;
         case 'CONTAINS_COMMON':
-          recommendations.push(`🔍 RIESGO MEDIO: Contiene contraseña común (${details})`);
+          recommend('REC_AVOID_CONTAINED_COMMON', { details });
           break;
         case 'SUBSTRING_MATCH':
-          recommendations.push(`🔍 RIESGO MEDIO: Es parte de contraseña común (${details})`);
+          recommend('REC_AVOID_COMMON_FRAGMENT', { details });
           break;
       }
     }
     
     // Recomendaciones basadas en fortaleza
     if (strengthEval.finalCategory.level <= 2) {
-      recommendations.push('📏 Aumentar longitud a mínimo 12 caracteres');
-      recommendations.push('🔤 Incluir mezcla de mayúsculas, minúsculas, números y símbolos');
+      recommend('REC_INCREASE_LENGTH', { minLength: this.RECOMMENDED_MIN_LENGTH });
+      recommend('REC_MIX_CHARACTER_TYPES');
     }
     
     // Recomendaciones adicionales
     if (strengthEval.similarityAnalysis?.isSimilar) {
-      recommendations.push('🎲 Usar generador aleatorio en lugar de modificar contraseñas existentes');
+      recommend('REC_USE_GENERATOR');
     }
     
-    recommendations.push('🔐 Usar administrador de contraseñas');
-    recommendations.push('🔄 Cambiar cada 90 días');
+    recommend('REC_USE_PASSWORD_MANAGER');
+    recommend('REC_ROTATE_PERIODICALLY', { days: this.ROTATION_DAYS });
     
-    return recommendations;
+    return recommendations.map(message => I18n.localize(message, locale));
   }
 
   // Mantener compatibilidad con el código original
-  static generateRecommendations(strengthEval) {
-    return this.generateEnhancedRecommendations(strengthEval);
+  static generateRecommendations(strengthEval, locale) {
+    return this.generateEnhancedRecommendations(strengthEval, locale);
+  }
+
+  /**
+   * PROVEEDOR DEL DICCIONARIO: Separa la evaluación (pura) de la carga
+   *
+   * Un proveedor es un objeto { name, load() } cuyo load() resuelve a una
+   * colección con has(), size e iteración de la más común a la menos común
+   * (Set, DictionaryIndex...). Con el mismo diccionario, el resultado de la
+   * evaluación es idéntico en el servidor y en el navegador. Opcionales:
+   * checksum (del origen, tras load()) y watch(onChange) para watchDictionary().
+   */
+  static setDictionaryProvider(provider) {
+    if (!provider || typeof provider.load !== 'function') {
+      throw new Error('INVALID_PROVIDER: El proveedor debe implementar load()');
+    }
+
+    this.dictionaryProvider = provider;
+    this.commonPasswords = new Set();
+    this.isDictionaryLoaded = false;
+    this.dictionaryLoading = null;
+    this.dictionaryInfo = null;
+    this.dictionaryReloading = null;
+    this.editDistanceIndex = null;
+    this.substringAutomaton = null;
+    this.substringSample = null;
+    this.hashIndexes = null;
+    this.hashIndexesLoading = null;
+  }
+
+  /**
+   * INSTRUMENTACIÓN: Objeto con observeStage(stage, seconds), observeEvaluation({ categoryCode,
+   * similarityCode, isCommonPassword }), observeHashLookup({ algorithm, isCommonPassword }) y
+   * observeDictionaryLoad({ size, seconds }). null la desactiva.
+   */
+  static setInstrumentation(instrumentation) {
+    this.instrumentation = instrumentation;
+  }
+
+  static timeStage(stage, fn) {
+    if (!this.instrumentation) return fn();
+
+    const started = performance.now();
+    try {
+      return fn();
+    } finally {
+      this.instrumentation.observeStage(stage, (performance.now() - started) / 1000);
+    }
   }
 
   /**
@@ -512,80 +1135,232 @@ export class PasswordEvaluator {
    */
   static async ensureDictionaryLoaded() {
     if (this.isDictionaryLoaded) return;
-    
+
+    // Peticiones simultáneas esperan a la misma carga; si falla, se reintenta en la siguiente
+    this.dictionaryLoading ??= this.loadDictionary();
     try {
-      console.log('📁 Iniciando carga del dataset CSV...');
-      await this.loadPasswordsFromCSV('./data/1millionPasswords.csv');
-      console.log(`✅ DATASET CSV CARGADO EXITOSAMENTE`);
-      console.log(`📊 Tamaño del diccionario: ${this.commonPasswords.size.toLocaleString()} contraseñas`);
-      console.log(`🔍 DETECCIÓN DE SIMILITUD ACTIVADA: Analizará ${this.commonPasswords.size.toLocaleString()} contraseñas reales`);
-      console.log(`🛡️  Sistema listo para detectar variaciones y similitudes\n`);
-      
+      await this.dictionaryLoading;
     } catch (error) {
-      console.log(`⚠️  ERROR cargando dataset CSV: ${error.message}`);
-      console.log(`🔧 Activando diccionario básico de respaldo...`);
-      
-      // Fallback: diccionario básico si no existe el archivo
-      const basicPasswords = [
-        'password', 'password123', '123456', '123456789', 'qwerty',
-        'abc123', 'password1', 'admin', 'letmein', 'welcome',
-        'monkey', '1234567890', 'dragon', 'sunshine', 'princess',
-        'administrator', 'root', 'test', 'guest', 'user'
-      ];
-      
-      basicPasswords.forEach(pwd => this.commonPasswords.add(pwd.toLowerCase()));
-      console.log(`🔍 DETECCIÓN DE SIMILITUD con diccionario básico: ${this.commonPasswords.size} contraseñas\n`);
+      this.dictionaryLoading = null;
+      throw error;
     }
-    
-    this.isDictionaryLoaded = true;
+  }
+
+  static async loadDictionary() {
+    this.installDictionary(await this.buildDictionary());
+  }
+
+  static async getDictionaryProvider() {
+    if (!this.dictionaryProvider) {
+      // Import dinámico: el proveedor de ficheros no debe llegar al navegador
+      const { FileDictionaryProvider } = await import('./fileDictionaryProvider.js');
+      this.dictionaryProvider = new FileDictionaryProvider({
+        csvPath: this.DICTIONARY_CSV_PATH,
+        indexPath: this.DICTIONARY_INDEX_PATH
+      });
+    }
+    return this.dictionaryProvider;
   }
 
   /**
-   * CARGA CSV: Función original mantenida
+   * CONSTRUCCIÓN: Diccionario e índices nuevos, sin tocar los que están en uso
+   *
+   * Entre fases se cede el bucle de eventos para que las peticiones en curso
+   * sigan atendiéndose con el diccionario anterior.
    */
-  static async loadPasswordsFromCSV(csvPath) {
-    // Importar módulos necesarios
-    const fs = await import('fs/promises');
-    
-    console.log(`📁 Cargando diccionario desde: ${csvPath}`);
-    
-    // Leer archivo CSV
-    const csvContent = await fs.readFile(csvPath, 'utf8');
-    const lines = csvContent.split('\n');
-    
-    let loadedCount = 0;
-    let processedLines = 0;
-    
-    // Procesar cada línea del CSV
-    for (const line of lines) {
-      processedLines++;
-      
-      if (line.trim() === '') continue; // Saltar líneas vacías
-      
-      // Dividir por comas y tomar solo la columna 2 (índice 1)
-      const columns = line.split(',');
-      
-      if (columns.length >= 2 && columns[1]) {
-        // Limpiar la contraseña (remover comillas, espacios)
-        let password = columns[1].trim().replace(/^["']|["']$/g, '');
-        
-        // Validar que es una contraseña válida
-        if (password.length >= 3 && password.length <= 50) {
-          this.commonPasswords.add(password.toLowerCase());
-          loadedCount++;
-        }
+  static async buildDictionary(options = {}) {
+    const provider = await this.getDictionaryProvider();
+    const started = performance.now();
+
+    const commonPasswords = await provider.load(options);
+    await this.yieldToEventLoop();
+    const { editDistanceIndex, substringAutomaton } = await this.buildSearchIndexes(commonPasswords);
+    const version = await this.computeDictionaryVersion(commonPasswords);
+
+    const seconds = (performance.now() - started) / 1000;
+    return {
+      commonPasswords,
+      editDistanceIndex,
+      substringAutomaton,
+      hashIndexes: null,
+      seconds,
+      info: {
+        version,
+        checksum: provider.checksum ?? null,
+        source: provider.name,
+        size: commonPasswords.size,
+        loadedAt: null,
+        loadDurationMs: Math.round(seconds * 1000)
       }
-      
-      // Mostrar progreso cada 100,000 líneas
-      if (processedLines % 100000 === 0) {
-        console.log(`   Procesadas: ${processedLines.toLocaleString()} líneas...`);
+    };
+  }
+
+  /**
+   * CAMBIO ATÓMICO: Todo el estado del diccionario se sustituye en el mismo
+   * paso síncrono; una evaluación nunca mezcla el diccionario de una carga
+   * con los índices de otra.
+   */
+  static installDictionary(next) {
+    this.commonPasswords = next.commonPasswords;
+    this.editDistanceIndex = next.editDistanceIndex;
+    this.substringAutomaton = next.substringAutomaton;
+    this.substringSample = null;
+    this.hashIndexes = next.hashIndexes;
+    this.hashIndexesLoading = next.hashIndexes ? Promise.resolve(next.hashIndexes) : null;
+    this.dictionaryInfo = { ...next.info, loadedAt: new Date().toISOString() };
+    this.isDictionaryLoaded = true;
+
+    const { source, size, loadDurationMs, version } = next.info;
+    logger.info('dictionary.loaded', { source, size, durationMs: loadDurationMs, version: version ?? undefined });
+    this.instrumentation?.observeDictionaryLoad({ size, seconds: next.seconds });
+  }
+
+  /**
+   * RECARGA: Construye el diccionario en segundo plano y lo cambia de una vez
+   *
+   * Si falla, el diccionario anterior sigue en uso. Las recargas simultáneas
+   * esperan a la misma. Resuelve a { previous, current } (dictionaryInfo).
+   */
+  static reloadDictionary() {
+    this.dictionaryReloading ??= this.performReload().finally(() => {
+      this.dictionaryReloading = null;
+    });
+    return this.dictionaryReloading;
+  }
+
+  static async performReload() {
+    if (!this.isDictionaryLoaded) {
+      await this.ensureDictionaryLoaded();
+      return { previous: null, current: this.dictionaryInfo };
+    }
+
+    const previous = this.dictionaryInfo;
+    const next = await this.buildDictionary({ reload: true });
+
+    // Si ya había índices de hashes, los nuevos se construyen antes del cambio
+    if (this.hashIndexesLoading) {
+      next.hashIndexes = await this.buildHashIndexes(next.commonPasswords);
+    }
+
+    this.installDictionary(next);
+    return { previous, current: this.dictionaryInfo };
+  }
+
+  /**
+   * VIGILANCIA: Recarga cuando el proveedor avisa de un cambio en su origen
+   *
+   * El proveedor debe implementar watch(onChange) → función para dejar de
+   * vigilar (FileDictionaryProvider lo hace). Los avisos seguidos se agrupan
+   * en una sola recarga. Resuelve a la función que detiene la vigilancia.
+   */
+  static async watchDictionary({ debounceMs = this.DICTIONARY_WATCH_DEBOUNCE_MS } = {}) {
+    const provider = await this.getDictionaryProvider();
+    if (typeof provider.watch !== 'function') {
+      throw new Error('INVALID_PROVIDER: El proveedor no admite watch()');
+    }
+
+    let timer = null;
+    const unwatch = await provider.watch(() => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        this.reloadDictionary().catch(error => logger.error('dictionary.reloadFailed', { error }));
+      }, debounceMs);
+    });
+
+    this.dictionaryWatching = true;
+    return () => {
+      clearTimeout(timer);
+      unwatch();
+      this.dictionaryWatching = false;
+    };
+  }
+
+  /**
+   * VERSIÓN: SHA-256 de las entradas en orden (una por línea), 16 caracteres
+   *
+   * Coincide con la concatenación de los fragmentos que sirve /dictionary:
+   * el servidor y el navegador con el mismo diccionario tienen la misma versión.
+   */
+  static async computeDictionaryVersion(collection) {
+    const subtle = globalThis.crypto?.subtle;
+    if (!subtle) return null;
+
+    // DictionaryIndex ya tiene esas líneas en bytes, sin pasar por un string por entrada
+    let lines;
+    if (typeof collection.linesInLoadOrder === 'function') {
+      lines = collection.linesInLoadOrder();
+    } else {
+      let text = '';
+      for (const entry of collection) text += `${entry}\n`;
+      lines = new TextEncoder().encode(text);
+    }
+    const digest = new Uint8Array(await subtle.digest('SHA-256', lines));
+    return [...digest.subarray(0, 8)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  static yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  /**
+   * ÍNDICES DE BÚSQUEDA: Se construyen una vez por cada diccionario cargado
+   */
+  static async buildSearchIndexes(collection) {
+    let started = Date.now();
+    const editDistanceIndex = EditDistanceIndex.build(collection);
+    logger.debug('dictionary.editDistanceIndexBuilt', { durationMs: Date.now() - started });
+    await this.yieldToEventLoop();
+
+    // El autómata reutiliza la lista ordenada y el lcp del índice anterior
+    started = Date.now();
+    const substringAutomaton = AhoCorasickAutomaton.build(editDistanceIndex, 4);
+    logger.debug('dictionary.substringAutomatonBuilt', { durationMs: Date.now() - started, patterns: substringAutomaton.patternCount });
+    await this.yieldToEventLoop();
+
+    return { editDistanceIndex, substringAutomaton };
+  }
+
+  /**
+   * ÍNDICES DE HASHES: Solo en el servidor (hashIndex.js usa el módulo crypto de Node)
+   *
+   * Resuelve a { hashIndexes, editDistanceIndex, info }, todo del diccionario
+   * que estaba en uso al llamar: installDictionary() cambia hashIndexesLoading
+   * en el mismo paso que el resto, así que la promesa es de ese diccionario.
+   */
+  static async ensureHashIndexes() {
+    await this.ensureDictionaryLoaded();
+
+    const collection = this.commonPasswords;
+    const { editDistanceIndex, dictionaryInfo: info } = this;
+    this.hashIndexesLoading ??= this.buildHashIndexes(collection).then(hashIndexes => {
+      // Una recarga durante la construcción ya trae (o pedirá) los suyos
+      if (this.commonPasswords === collection) this.hashIndexes = hashIndexes;
+      return hashIndexes;
+    });
+
+    const hashIndexes = await this.hashIndexesLoading;
+    return { hashIndexes, editDistanceIndex, info };
+  }
+
+  static async buildHashIndexes(collection) {
+    const { HashIndex } = await import('./hashIndex.js');
+    const hashIndexes = {};
+
+    // Una tabla por algoritmo: SHA-1 sirve también al rango de k-anonimato.
+    // Se cede el bucle de eventos entre pasos: el servidor ya está atendiendo.
+    for (const algorithm of Object.keys(HashIndex.ALGORITHMS)) {
+      const started = Date.now();
+      const steps = HashIndex.buildSteps(collection, algorithm);
+      let step = steps.next();
+      while (!step.done) {
+        await this.yieldToEventLoop();
+        step = steps.next();
       }
+      hashIndexes[algorithm] = step.value;
+      logger.debug('dictionary.hashIndexBuilt', { algorithm, durationMs: Date.now() - started });
     }
-    
-    console.log(`✅ CSV procesado exitosamente:`);
-    console.log(`   Líneas procesadas: ${processedLines.toLocaleString()}`);
-    console.log(`   Contraseñas cargadas: ${loadedCount.toLocaleString()}`);
-    console.log(`   Diccionario final: ${this.commonPasswords.size.toLocaleString()} entradas únicas`);
+
+    return hashIndexes;
   }
 
   /**
@@ -620,35 +1395,4 @@ export class PasswordEvaluator {
 
     return password;
   }
-
-  /**
-   * FUNCIONES DE PRUEBA OPCIONALES
-   */
-  static async runSimilarityTests() {
-    console.log('🧪 EJECUTANDO PRUEBAS DE SIMILITUD\n');
-    await this.ensureDictionaryLoaded();
-    
-    const testCases = [
-      'password12',    // Debería detectar 'password123'
-      'qwerty12',      // Debería detectar 'qwerty123'  
-      '12345678',      // Debería detectar '123456789'
-      'p4ssw0rd',      // Debería detectar leet speak
-      'admin12'        // Debería detectar 'admin123'
-    ];
-    
-    for (const testPassword of testCases) {
-      console.log(`\n🔍 Probando: "${testPassword}"`);
-      try {
-        const result = await this.evaluatePasswordSecurely(testPassword);
-        console.log(`   ¿Similar?: ${result.similarityAnalysis.isSimilar ? '✅ SÍ' : '❌ NO'}`);
-        if (result.similarityAnalysis.isSimilar) {
-          console.log(`   Tipo: ${result.similarityAnalysis.similarityType}`);
-          console.log(`   Coincide con: "${result.similarityAnalysis.matchedPassword}"`);
-        }
-      } catch (error) {
-        console.log(`   ❌ Error: ${error.message}`);
-      }
-    }
-    console.log('\n✅ Pruebas completadas');
-  }
 }
\ No newline at end of file
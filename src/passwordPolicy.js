@@ -0,0 +1,229 @@
+/**
+ * POLÍTICAS DE CONTRASEÑA BASADAS EN REGLAS
+ *
+ * Una política es un objeto JSON { name, rules } y cada regla presente se
+ * comprueba por separado, con un id estable para que el cliente decida:
+ *
+ *   {
+ *     "name": "mi-politica",
+ *     "rules": {
+ *       "minLength": 12,                       → MIN_LENGTH
+ *       "maxLength": 128,                      → MAX_LENGTH
+ *       "requiredClasses": ["letter", "digit"],→ REQUIRED_CLASSES
+ *       "bannedSubstrings": ["empresa"],       → BANNED_SUBSTRINGS
+ *       "maxRepeatedCharacters": 3,            → MAX_REPEATED_CHARACTERS
+ *       "banDictionaryHits": true,             → DICTIONARY_HIT
+ *       "banSimilarPasswords": true,           → SIMILAR_TO_COMMON
+ *       "minEstimatedEntropy": 40              → MIN_ESTIMATED_ENTROPY
+ *     }
+ *   }
+ *
+ * Las longitudes se cuentan en puntos de código Unicode (NIST 800-63B).
+ * Los resultados solo llevan límites y valores numéricos, nunca texto de
+ * la contraseña ni qué subcadena prohibida contiene.
+ */
+export class PasswordPolicy {
+
+  static CHARACTER_CLASSES = {
+    lowercase: /\p{Ll}/u,
+    uppercase: /\p{Lu}/u,
+    letter: /\p{L}/u,
+    digit: /\p{Nd}/u,
+    symbol: /[^\p{L}\p{Nd}]/u
+  };
+
+  static RULE_TYPES = {
+    minLength: 'integer',
+    maxLength: 'integer',
+    requiredClasses: 'classes',
+    bannedSubstrings: 'strings',
+    maxRepeatedCharacters: 'integer',
+    banDictionaryHits: 'boolean',
+    banSimilarPasswords: 'boolean',
+    minEstimatedEntropy: 'number'
+  };
+
+  static PRESETS = {
+    // NIST SP 800-63B §5.1.1.2: 8 mínimo, admitir al menos 64, sin reglas de
+    // composición y contraste con listas de contraseñas comprometidas
+    'nist-800-63b': {
+      name: 'nist-800-63b',
+      description: 'NIST SP 800-63B (secretos memorizados)',
+      rules: {
+        minLength: 8,
+        maxLength: 64,
+        maxRepeatedCharacters: 3,
+        banDictionaryHits: true,
+        banSimilarPasswords: true
+      }
+    },
+    // OWASP ASVS 4.0 V2.1: 12 mínimo, hasta 128, sin reglas de composición
+    // y contraste con contraseñas comprometidas
+    'owasp-asvs': {
+      name: 'owasp-asvs',
+      description: 'OWASP ASVS 4.0 (V2.1 Password Security)',
+      rules: {
+        minLength: 12,
+        maxLength: 128,
+        banDictionaryHits: true
+      }
+    },
+    // PCI DSS 4.0 req. 8.3.6: 12 caracteres mínimo con letras y números
+    'pci-dss': {
+      name: 'pci-dss',
+      description: 'PCI DSS 4.0 (requisito 8.3.6)',
+      rules: {
+        minLength: 12,
+        requiredClasses: ['letter', 'digit'],
+        banDictionaryHits: true
+      }
+    }
+  };
+
+  static DEFAULT_PRESET = 'nist-800-63b';
+
+  constructor(definition) {
+    PasswordPolicy.validateDefinition(definition);
+    this.name = definition.name || 'custom';
+    this.rules = definition.rules;
+  }
+
+  /**
+   * CONSTRUCCIÓN: Nombre de preset o definición JSON
+   */
+  static resolve(policy = PasswordPolicy.DEFAULT_PRESET) {
+    if (typeof policy === 'string') {
+      const preset = this.PRESETS[policy.toLowerCase()];
+      if (!preset) {
+        throw new Error(`INVALID_POLICY: Preset desconocido. Disponibles: ${Object.keys(this.PRESETS).join(', ')}`);
+      }
+      return new PasswordPolicy(preset);
+    }
+    return new PasswordPolicy(policy);
+  }
+
+  static validateDefinition(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error('INVALID_POLICY: La política debe ser un objeto { name, rules }');
+    }
+    if (definition.name !== undefined && typeof definition.name !== 'string') {
+      throw new Error('INVALID_POLICY: "name" debe ser texto');
+    }
+
+    const { rules } = definition;
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules) || Object.keys(rules).length === 0) {
+      throw new Error('INVALID_POLICY: "rules" debe ser un objeto con al menos una regla');
+    }
+
+    for (const [rule, value] of Object.entries(rules)) {
+      const type = this.RULE_TYPES[rule];
+      if (!type) {
+        throw new Error(`INVALID_POLICY: Regla desconocida "${rule}"`);
+      }
+
+      const valid = {
+        integer: () => Number.isInteger(value) && value >= 0,
+        number: () => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+        boolean: () => typeof value === 'boolean',
+        strings: () => Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0),
+        classes: () => Array.isArray(value) && value.every(item => this.CHARACTER_CLASSES[item])
+      }[type]();
+
+      if (!valid) {
+        throw new Error(`INVALID_POLICY: Valor no válido para "${rule}"`);
+      }
+    }
+
+    if (rules.minLength !== undefined && rules.maxLength !== undefined && rules.minLength > rules.maxLength) {
+      throw new Error('INVALID_POLICY: "minLength" no puede superar "maxLength"');
+    }
+  }
+
+  /**
+   * ¿Necesita la evaluación de diccionario / estimación de la contraseña?
+   *
+   * Las reglas booleanas solo cuentan activadas (como en evaluate()).
+   */
+  requiresAnalysis() {
+    const { rules } = this;
+    return Boolean(rules.banDictionaryHits || rules.banSimilarPasswords || rules.minEstimatedEntropy !== undefined);
+  }
+
+  /**
+   * FUNCIÓN PRINCIPAL: Resultado por regla
+   *
+   * @param {string} password
+   * @param {Object|null} analysis - Resultado de check_password_strength (si requiresAnalysis())
+   * @returns {{ policy: string, passed: boolean, rules: Array, failedRules: string[] }}
+   */
+  evaluate(password, analysis = null) {
+    const chars = [...password];
+    const { rules } = this;
+    const results = [];
+
+    if (rules.minLength !== undefined) {
+      results.push({ id: 'MIN_LENGTH', passed: chars.length >= rules.minLength, limit: rules.minLength, actual: chars.length });
+    }
+
+    if (rules.maxLength !== undefined) {
+      results.push({ id: 'MAX_LENGTH', passed: chars.length <= rules.maxLength, limit: rules.maxLength, actual: chars.length });
+    }
+
+    if (rules.requiredClasses !== undefined) {
+      const missing = rules.requiredClasses.filter(name => !PasswordPolicy.CHARACTER_CLASSES[name].test(password));
+      results.push({ id: 'REQUIRED_CLASSES', passed: missing.length === 0, required: rules.requiredClasses, missing });
+    }
+
+    if (rules.bannedSubstrings !== undefined) {
+      const lowered = password.toLowerCase();
+      const matches = rules.bannedSubstrings.filter(banned => lowered.includes(banned.toLowerCase())).length;
+      results.push({ id: 'BANNED_SUBSTRINGS', passed: matches === 0, matches });
+    }
+
+    if (rules.maxRepeatedCharacters !== undefined) {
+      const longestRun = PasswordPolicy.longestRun(chars);
+      results.push({ id: 'MAX_REPEATED_CHARACTERS', passed: longestRun <= rules.maxRepeatedCharacters, limit: rules.maxRepeatedCharacters, actual: longestRun });
+    }
+
+    if (rules.banDictionaryHits) {
+      results.push({ id: 'DICTIONARY_HIT', passed: !analysis.isCommon });
+    }
+
+    if (rules.banSimilarPasswords) {
+      const similar = analysis.similarityAnalysis.isSimilar && !analysis.similarityAnalysis.exactMatch;
+      results.push({
+        id: 'SIMILAR_TO_COMMON',
+        passed: !similar,
+        similarityType: similar ? analysis.similarityAnalysis.similarityType : null
+      });
+    }
+
+    if (rules.minEstimatedEntropy !== undefined) {
+      results.push({
+        id: 'MIN_ESTIMATED_ENTROPY',
+        passed: analysis.guessEstimate.entropy >= rules.minEstimatedEntropy,
+        limit: rules.minEstimatedEntropy,
+        actual: analysis.guessEstimate.entropy
+      });
+    }
+
+    const failedRules = results.filter(result => !result.passed).map(result => result.id);
+
+    return {
+      policy: this.name,
+      passed: failedRules.length === 0,
+      rules: results,
+      failedRules
+    };
+  }
+
+  static longestRun(chars) {
+    let longest = 0;
+    let current = 0;
+    for (let i = 0; i < chars.length; i++) {
+      current = i > 0 && chars[i] === chars[i - 1] ? current + 1 : 1;
+      if (current > longest) longest = current;
+    }
+    return longest;
+  }
+}
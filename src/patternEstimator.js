@@ -0,0 +1,525 @@
+import { KeyboardPatterns } from './keyboardPatterns.js';
+
+/**
+ * ESTIMADOR POR DESCOMPOSICIÓN EN PATRONES
+ *
+ * Divide la contraseña en segmentos reconocibles (palabras del diccionario,
+ * repeticiones, secuencias, recorridos de teclado, fechas, años, series de
+ * dígitos) y busca la descomposición más barata de adivinar. El resultado es
+ * un número estimado de intentos, mucho más realista que L × log₂(N) para
+ * contraseñas humanas.
+ *
+ * Los segmentos devueltos solo contienen posiciones y tipos de patrón,
+ * NUNCA el texto de la contraseña (cero persistencia).
+ */
+export class PatternEstimator {
+
+  // Límites de búsqueda
+  static MIN_WORD_LENGTH = 3;
+  static MAX_WORD_LENGTH = 50;
+
+  // Como zxcvbn, solo se buscan patrones en los primeros caracteres (la
+  // descomposición es cuadrática); el resto cuenta como fuerza bruta
+  static MAX_ANALYSED_LENGTH = 100;
+
+  // Mínimo de intentos para un segmento que no cubre toda la contraseña
+  static MIN_SUBMATCH_GUESSES = 50;
+
+  // Coste fijo por segmento adicional (evita descomposiciones artificiales)
+  static SEGMENT_PENALTY_BITS = 1;
+
+  // Años
+  static REFERENCE_YEAR = new Date().getFullYear();
+  static MIN_YEAR_SPACE = 20;
+
+  // Inicios "obvios" de secuencias
+  static OBVIOUS_SEQUENCE_STARTS = ['a', 'z', '0', '1', '9'];
+
+  /**
+   * FUNCIÓN PRINCIPAL: Estima el número de intentos para adivinar la contraseña
+   *
+   * @param {string} password
+   * @param {Object} options
+   * @param {Set<string>} options.dictionary - Diccionario en minúsculas
+   * @param {Function} [options.getRank] - Devuelve el ranking de una palabra (o null)
+   * @param {UserInputDictionary} [options.userDictionary] - Datos del usuario de esta petición
+   * @returns {{ guesses: number, guessesLog10: number, entropy: number, segments: Array }}
+   *   Lo que pasa de MAX_ANALYSED_LENGTH caracteres es un último segmento de fuerza bruta.
+   */
+  static estimate(password, options = {}) {
+    const analysed = password.slice(0, this.MAX_ANALYSED_LENGTH);
+    const matches = this.findMatches(analysed, options);
+    return this.mostGuessableDecomposition(analysed, matches, password.slice(this.MAX_ANALYSED_LENGTH));
+  }
+
+  /**
+   * BÚSQUEDA: Todos los patrones que aparecen en la contraseña
+   */
+  static findMatches(password, options = {}) {
+    return [
+      ...this.dictionaryMatches(password, options),
+      ...this.reversedDictionaryMatches(password, options),
+      ...this.userInputMatches(password, options),
+      ...this.repeatMatches(password, options),
+      ...this.sequenceMatches(password),
+      ...KeyboardPatterns.spatialMatches(password),
+      ...this.dateMatches(password),
+      ...this.yearMatches(password),
+      ...this.digitMatches(password)
+    ];
+  }
+
+  /**
+   * PATRÓN: Palabras del diccionario
+   */
+  static dictionaryMatches(password, { dictionary, getRank } = {}) {
+    if (!dictionary || dictionary.size === 0) return [];
+
+    const matches = [];
+    const lower = password.toLowerCase();
+    const defaultRank = this.defaultDictionaryRank(dictionary);
+
+    for (let i = 0; i < lower.length; i++) {
+      const maxJ = Math.min(lower.length, i + this.MAX_WORD_LENGTH);
+      for (let j = i + this.MIN_WORD_LENGTH; j <= maxJ; j++) {
+        const word = lower.slice(i, j);
+        if (!dictionary.has(word)) continue;
+
+        const rank = getRank?.(word) ?? defaultRank;
+        const uppercaseVariations = this.uppercaseVariations(password.slice(i, j));
+
+        matches.push({
+          pattern: 'dictionary',
+          i,
+          j: j - 1,
+          rank,
+          reversed: false,
+          uppercaseVariations,
+          guesses: rank * uppercaseVariations
+        });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * PATRÓN: Palabras del diccionario escritas al revés
+   */
+  static reversedDictionaryMatches(password, options = {}) {
+    const reversed = [...password].reverse().join('');
+    const n = password.length;
+
+    return this.dictionaryMatches(reversed, options)
+      .map(match => ({
+        ...match,
+        i: n - 1 - match.j,
+        j: n - 1 - match.i,
+        reversed: true,
+        guesses: match.guesses * 2
+      }));
+  }
+
+  /**
+   * PATRÓN: Datos del usuario (directos, al revés o con leet)
+   *
+   * Rango = orden del fragmento entre los datos enviados: son lo primero
+   * que probaría un atacante dirigido.
+   */
+  static userInputMatches(password, { userDictionary } = {}) {
+    if (!userDictionary) return [];
+
+    return userDictionary.findMatches(password).map(({ i, j, rank, reversed, substitutions }) => {
+      const uppercaseVariations = this.uppercaseVariations(password.slice(i, j + 1));
+      const leetVariations = 2 ** substitutions.length;
+
+      return {
+        pattern: 'user_input',
+        i,
+        j,
+        rank,
+        reversed,
+        uppercaseVariations,
+        leetSubstitutions: substitutions.length,
+        guesses: rank * uppercaseVariations * leetVariations * (reversed ? 2 : 1)
+      };
+    });
+  }
+
+  /**
+   * PATRÓN: Repeticiones ("aaaa", "abcabc", "Aa1!Aa1!")
+   */
+  static repeatMatches(password, options = {}) {
+    const matches = [];
+    const greedy = /(.+)\1+/g;
+    const lazy = /(.+?)\1+/g;
+    const lazyAnchored = /^(.+?)\1+$/;
+
+    let lastIndex = 0;
+    while (lastIndex < password.length) {
+      greedy.lastIndex = lazy.lastIndex = lastIndex;
+      const greedyMatch = greedy.exec(password);
+      const lazyMatch = lazy.exec(password);
+      if (!greedyMatch) break;
+
+      let match;
+      let baseToken;
+      if (greedyMatch[0].length > lazyMatch[0].length) {
+        // El patrón goloso cubre más: su base mínima se obtiene con el anclado
+        match = greedyMatch;
+        baseToken = lazyAnchored.exec(match[0])[1];
+      } else {
+        match = lazyMatch;
+        baseToken = match[1];
+      }
+
+      const i = match.index;
+      const j = match.index + match[0].length - 1;
+      const baseGuesses = this.estimate(baseToken, options).guesses;
+      const repeatCount = match[0].length / baseToken.length;
+
+      matches.push({
+        pattern: 'repeat',
+        i,
+        j,
+        baseLength: baseToken.length,
+        repeatCount,
+        guesses: baseGuesses * repeatCount
+      });
+
+      lastIndex = j + 1;
+    }
+
+    return matches;
+  }
+
+  /**
+   * PATRÓN: Secuencias ascendentes o descendentes ("abcdef", "97531")
+   */
+  static sequenceMatches(password) {
+    const matches = [];
+    if (password.length < 3) return matches;
+
+    const pushSequence = (i, j, delta) => {
+      if (j - i < 2 || delta === 0 || Math.abs(delta) > 5) return;
+      const token = password.slice(i, j + 1);
+      matches.push({
+        pattern: 'sequence',
+        i,
+        j,
+        ascending: delta > 0,
+        guesses: this.sequenceGuesses(token, delta > 0)
+      });
+    };
+
+    let i = 0;
+    let lastDelta = null;
+    for (let k = 1; k < password.length; k++) {
+      const delta = password.charCodeAt(k) - password.charCodeAt(k - 1);
+      if (lastDelta === null) lastDelta = delta;
+      if (delta === lastDelta) continue;
+
+      pushSequence(i, k - 1, lastDelta);
+      i = k - 1;
+      lastDelta = delta;
+    }
+    pushSequence(i, password.length - 1, lastDelta);
+
+    return matches;
+  }
+
+  /**
+   * PATRÓN: Fechas con o sin separadores ("13/05/1990", "130590")
+   */
+  static dateMatches(password) {
+    const matches = [];
+    const withSeparator = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/;
+
+    for (let i = 0; i < password.length; i++) {
+      // Sin separador: 4 a 8 dígitos
+      for (let j = i + 3; j <= Math.min(password.length - 1, i + 7); j++) {
+        const token = password.slice(i, j + 1);
+        if (!/^\d+$/.test(token)) break;
+
+        const year = this.findDateWithoutSeparator(token);
+        if (year !== null) {
+          matches.push({ pattern: 'date', i, j, separator: false, guesses: this.dateGuesses(year, false) });
+        }
+      }
+
+      // Con separador: 6 a 10 caracteres
+      for (let j = i + 5; j <= Math.min(password.length - 1, i + 9); j++) {
+        const parts = withSeparator.exec(password.slice(i, j + 1));
+        if (!parts) continue;
+
+        const date = this.mapIntsToDate([parts[1], parts[3], parts[4]].map(Number));
+        if (date) {
+          matches.push({ pattern: 'date', i, j, separator: true, guesses: this.dateGuesses(date.year, true) });
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * PATRÓN: Años recientes (1900-2099)
+   */
+  static yearMatches(password) {
+    const matches = [];
+    const regex = /19\d\d|20\d\d/g;
+    let match;
+
+    while ((match = regex.exec(password)) !== null) {
+      matches.push({
+        pattern: 'year',
+        i: match.index,
+        j: match.index + match[0].length - 1,
+        guesses: this.yearSpace(parseInt(match[0], 10))
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * PATRÓN: Series de dígitos
+   */
+  static digitMatches(password) {
+    const matches = [];
+    const regex = /\d{3,}/g;
+    let match;
+
+    while ((match = regex.exec(password)) !== null) {
+      matches.push({
+        pattern: 'digits',
+        i: match.index,
+        j: match.index + match[0].length - 1,
+        guesses: Math.pow(10, match[0].length)
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * DESCOMPOSICIÓN ÓPTIMA: Programación dinámica sobre log₂(intentos)
+   *
+   * Cada prefijo guarda la descomposición más barata; los huecos sin patrón
+   * se cubren con fuerza bruta sobre el espacio de caracteres del hueco.
+   *
+   * @param {string} [unanalysed] - Caracteres posteriores, sin buscar
+   *   patrones en ellos: se suman como un segmento de fuerza bruta
+   */
+  static mostGuessableDecomposition(password, matches, unanalysed = '') {
+    const n = password.length;
+    if (n === 0) {
+      return { guesses: 1, guessesLog10: 0, entropy: 0, segments: [] };
+    }
+
+    const matchesByEnd = Array.from({ length: n }, () => []);
+    for (const match of matches) {
+      matchesByEnd[match.j].push(match);
+    }
+
+    // Para cada prefijo de longitud k se guardan dos estados: la mejor
+    // descomposición que termina en un patrón y la que termina en fuerza
+    // bruta (dos tramos de fuerza bruta seguidos no se permiten: se fusionan)
+    const endsInMatch = new Array(n + 1).fill(null);
+    const endsInBruteforce = new Array(n + 1).fill(null);
+    endsInMatch[0] = { bits: 0, segment: null, previous: null };
+
+    const bestAt = (k) => {
+      const a = endsInMatch[k];
+      const b = endsInBruteforce[k];
+      if (!a) return b;
+      if (!b) return a;
+      return a.bits <= b.bits ? a : b;
+    };
+
+    const consider = (states, k, previous, segment) => {
+      if (!previous) return;
+      const penalty = previous.segment ? this.SEGMENT_PENALTY_BITS : 0;
+      const bits = previous.bits + this.segmentBits(segment) + penalty;
+      if (states[k] === null || bits < states[k].bits) {
+        states[k] = { bits, segment, previous };
+      }
+    };
+
+    for (let k = 1; k <= n; k++) {
+      // Patrones que terminan en k - 1
+      for (const match of matchesByEnd[k - 1]) {
+        const guesses = match.j - match.i + 1 < n
+          ? Math.max(match.guesses, this.MIN_SUBMATCH_GUESSES)
+          : match.guesses;
+        consider(endsInMatch, k, bestAt(match.i), { ...match, guesses });
+      }
+
+      // Fuerza bruta: el espacio se amplía al retroceder el inicio
+      const classes = { lower: false, upper: false, digits: false, symbols: false };
+      for (let start = k - 1; start >= 0; start--) {
+        this.markCharacterClass(password[start], classes);
+        const keyspace = this.keyspaceFromClasses(classes);
+        consider(endsInBruteforce, k, endsInMatch[start], {
+          pattern: 'bruteforce',
+          i: start,
+          j: k - 1,
+          keyspace,
+          guesses: Math.pow(keyspace, k - start)
+        });
+      }
+    }
+
+    const final = bestAt(n);
+    const segments = [];
+    for (let state = final; state.segment; state = state.previous) {
+      segments.unshift(this.describeSegment(state.segment));
+    }
+
+    let bits = final.bits;
+    if (unanalysed.length > 0) {
+      const classes = { lower: false, upper: false, digits: false, symbols: false };
+      for (const char of unanalysed) this.markCharacterClass(char, classes);
+      const keyspace = this.keyspaceFromClasses(classes);
+
+      const segment = {
+        pattern: 'bruteforce',
+        i: n,
+        j: n + unanalysed.length - 1,
+        keyspace,
+        guesses: Math.pow(keyspace, unanalysed.length)
+      };
+      bits += this.segmentBits(segment) + this.SEGMENT_PENALTY_BITS;
+      segments.push(this.describeSegment(segment));
+    }
+
+    return {
+      guesses: Math.min(Math.pow(2, bits), Number.MAX_VALUE),
+      guessesLog10: Math.round(bits * Math.log10(2) * 100) / 100,
+      entropy: Math.round(bits * 100) / 100,
+      segments
+    };
+  }
+
+  /**
+   * UTILIDADES: Cálculo de intentos por patrón
+   */
+  static segmentBits(segment) {
+    // La fuerza bruta se calcula en logaritmos para no desbordar con contraseñas largas
+    if (segment.pattern === 'bruteforce') {
+      return (segment.j - segment.i + 1) * Math.log2(segment.keyspace);
+    }
+    return Math.log2(segment.guesses);
+  }
+
+  static defaultDictionaryRank(dictionary) {
+    // Sin información de frecuencia se asume la posición media
+    return Math.max(1, Math.ceil(dictionary.size / 2));
+  }
+
+  static uppercaseVariations(token) {
+    if (!/[A-Z]/.test(token) || token.toLowerCase() === token) return 1;
+
+    // Mayúscula inicial, final o todo en mayúsculas: solo el doble
+    if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || /^[^a-z]+$/.test(token)) {
+      return 2;
+    }
+
+    const upper = (token.match(/[A-Z]/g) || []).length;
+    const lower = (token.match(/[a-z]/g) || []).length;
+    let variations = 0;
+    for (let k = 1; k <= Math.min(upper, lower); k++) {
+      variations += this.binomial(upper + lower, k);
+    }
+    return Math.max(1, variations);
+  }
+
+  static sequenceGuesses(token, ascending) {
+    const first = token[0];
+    let baseGuesses;
+
+    if (this.OBVIOUS_SEQUENCE_STARTS.includes(first)) {
+      baseGuesses = 4;
+    } else if (/\d/.test(first)) {
+      baseGuesses = 10;
+    } else if (/[a-z]/.test(first)) {
+      baseGuesses = 26;
+    } else {
+      baseGuesses = 52;
+    }
+
+    return baseGuesses * token.length * (ascending ? 1 : 2);
+  }
+
+  static yearSpace(year) {
+    return Math.max(Math.abs(year - this.REFERENCE_YEAR), this.MIN_YEAR_SPACE);
+  }
+
+  static dateGuesses(year, separator) {
+    return this.yearSpace(year) * 365 * (separator ? 4 : 1);
+  }
+
+  static findDateWithoutSeparator(token) {
+    // Todas las particiones en tres grupos de dígitos
+    for (let a = 1; a < token.length - 1; a++) {
+      for (let b = a + 1; b < token.length; b++) {
+        const ints = [token.slice(0, a), token.slice(a, b), token.slice(b)];
+        if (ints.some(part => part.length > 4)) continue;
+        const date = this.mapIntsToDate(ints.map(Number));
+        if (date) return date.year;
+      }
+    }
+    return null;
+  }
+
+  static mapIntsToDate([first, second, third]) {
+    const candidates = [
+      { year: third, a: first, b: second },   // d/m/a o m/d/a
+      { year: first, a: second, b: third }    // a/m/d
+    ];
+
+    for (const { year, a, b } of candidates) {
+      const isDayMonth = (a >= 1 && a <= 31 && b >= 1 && b <= 12) || (b >= 1 && b <= 31 && a >= 1 && a <= 12);
+      if (!isDayMonth) continue;
+
+      if (year >= 1000 && year <= 2050) return { year };
+      if (year >= 0 && year <= 99) return { year: year > 50 ? 1900 + year : 2000 + year };
+    }
+
+    return null;
+  }
+
+  static markCharacterClass(char, classes) {
+    if (/[a-z]/.test(char)) classes.lower = true;
+    else if (/[A-Z]/.test(char)) classes.upper = true;
+    else if (/[0-9]/.test(char)) classes.digits = true;
+    else classes.symbols = true;
+  }
+
+  static keyspaceFromClasses(classes) {
+    // Mismos tamaños que calculate_N()
+    return (classes.lower ? 26 : 0) + (classes.upper ? 26 : 0) +
+           (classes.digits ? 10 : 0) + (classes.symbols ? 32 : 0);
+  }
+
+  static binomial(n, k) {
+    if (k > n) return 0;
+    let result = 1;
+    for (let d = 1; d <= k; d++) {
+      result = result * (n - k + d) / d;
+    }
+    return Math.round(result);
+  }
+
+  /**
+   * SEGMENTO SEGURO: Solo posiciones, tipo y coste (sin texto de la contraseña)
+   */
+  static describeSegment(segment) {
+    const { guesses, ...rest } = segment;
+    return {
+      ...rest,
+      length: segment.j - segment.i + 1,
+      guessesLog10: Math.round(this.segmentBits(segment) * Math.log10(2) * 100) / 100
+    };
+  }
+}
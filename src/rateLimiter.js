@@ -0,0 +1,185 @@
+import { I18n } from './i18n.js';
+
+/**
+ * LIMITACIÓN DE PETICIONES (token bucket por IP y por endpoint)
+ *
+ * Cada regla es un cubo de `limit` fichas que se rellena por completo en
+ * `windowSeconds`: admite ráfagas hasta `limit` y después el ritmo medio de
+ * la ventana. Cada petición consume una ficha; sin fichas, 429.
+ *
+ * Las reglas se configuran con RATE_LIMIT_<REGLA>=limite/segundos (p. ej.
+ * RATE_LIMIT_EVALUATE=30/60) y se desactivan todas con RATE_LIMIT_ENABLED=false.
+ *
+ * ALMACÉN: por defecto en memoria (un solo proceso). Para compartir los
+ * límites entre instancias, setStore() con cualquier objeto que implemente
+ *
+ *   async consume(key, { limit, windowSeconds }) → { allowed, remaining, resetSeconds, retryAfterSeconds }
+ *
+ * de forma atómica para la clave (p. ej. un script Lua en Redis).
+ */
+export class RateLimiter {
+
+  static DEFAULT_RULES = {
+    evaluate: { limit: 60, windowSeconds: 60 },
+    evaluateBatch: { limit: 10, windowSeconds: 60 },
+    evaluateHash: { limit: 60, windowSeconds: 60 },
+    validate: { limit: 60, windowSeconds: 60 },
+    generate: { limit: 30, windowSeconds: 60 },
+    range: { limit: 300, windowSeconds: 60 },
+    dictionary: { limit: 30, windowSeconds: 60 },
+    stream: { limit: 10, windowSeconds: 60 },
+    admin: { limit: 10, windowSeconds: 60 },
+    default: { limit: 120, windowSeconds: 60 }
+  };
+
+  static enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+  static rules = RateLimiter.loadRules(process.env);
+  static store = null;
+
+  /**
+   * Reglas por defecto sobrescritas por RATE_LIMIT_<REGLA> (evaluateBatch → RATE_LIMIT_EVALUATE_BATCH)
+   */
+  static loadRules(env) {
+    const rules = {};
+
+    for (const [name, rule] of Object.entries(this.DEFAULT_RULES)) {
+      const variable = `RATE_LIMIT_${name.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`;
+      const value = env[variable];
+
+      if (value === undefined) {
+        rules[name] = { name, ...rule };
+        continue;
+      }
+
+      const match = /^(\d+)\/(\d+)$/.exec(value.trim());
+      if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+        throw new Error(`INVALID_RATE_LIMIT: ${variable} debe tener el formato limite/segundos`);
+      }
+      rules[name] = { name, limit: Number(match[1]), windowSeconds: Number(match[2]) };
+    }
+
+    return rules;
+  }
+
+  static setStore(store) {
+    if (!store || typeof store.consume !== 'function') {
+      throw new Error('INVALID_STORE: El almacén debe implementar consume()');
+    }
+    this.store = store;
+  }
+
+  static getStore() {
+    this.store ??= new MemoryRateLimitStore();
+    return this.store;
+  }
+
+  static getRule(ruleName) {
+    return this.rules[ruleName] ?? this.rules.default;
+  }
+
+  // Acepta el nombre de una regla o una regla { name, limit, windowSeconds } (p. ej. la cuota de una API key)
+  static async consume(ruleName, clientKey) {
+    const rule = typeof ruleName === 'object' ? ruleName : this.getRule(ruleName);
+    const result = await this.getStore().consume(`${rule.name}:${clientKey}`, rule);
+    return { rule, ...result };
+  }
+
+  /**
+   * MIDDLEWARE de Express para una regla
+   */
+  static limit(ruleName) {
+    return async (req, res, next) => {
+      if (!RateLimiter.enabled) return next();
+
+      let result;
+      try {
+        result = await RateLimiter.consume(ruleName, req.ip || 'unknown');
+      } catch (error) {
+        // Sin almacén no se bloquea el servicio: se atiende sin límite
+        req.log.error('rateLimit.storeFailed', { error });
+        return next();
+      }
+
+      RateLimiter.setHeaders(res, result);
+
+      if (result.allowed) return next();
+
+      req.log.warn('rateLimit.exceeded', { rule: result.rule.name, retryAfterSeconds: result.retryAfterSeconds });
+      RateLimiter.reject(req, res, result);
+    };
+  }
+
+  static reject(req, res, result, error = 'RATE_LIMIT_EXCEEDED') {
+    const locale = I18n.resolveLocale(req.query?.lang, req.get('Accept-Language'), req.apiKey?.lang);
+
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    res.set('Content-Language', locale);
+    res.vary('Accept-Language');
+    res.status(429).json({
+      success: false,
+      error,
+      message: I18n.t(`error.${error}`, { seconds: result.retryAfterSeconds }, locale),
+      retryAfter: result.retryAfterSeconds,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Cabeceras del borrador IETF "RateLimit header fields for HTTP"
+  static setHeaders(res, { rule, remaining, resetSeconds }) {
+    res.set({
+      'RateLimit-Limit': String(rule.limit),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${rule.limit};w=${rule.windowSeconds}`
+    });
+  }
+}
+
+/**
+ * ALMACÉN EN MEMORIA: un cubo por clave, purgado cuando vuelve a estar lleno
+ */
+export class MemoryRateLimitStore {
+
+  static SWEEP_INTERVAL_MS = 60 * 1000;
+
+  constructor({ now = () => Date.now() } = {}) {
+    this.now = now;
+    this.buckets = new Map();
+
+    // Un cubo lleno equivale a no tenerlo: se descarta para no crecer sin límite
+    this.sweepTimer = setInterval(() => this.sweep(), MemoryRateLimitStore.SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref?.();
+  }
+
+  async consume(key, { limit, windowSeconds }) {
+    const now = this.now();
+    const refillPerMs = limit / (windowSeconds * 1000);
+
+    const bucket = this.buckets.get(key) ?? { tokens: limit, updatedAt: now, limit, refillPerMs };
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    bucket.limit = limit;
+    bucket.refillPerMs = refillPerMs;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    this.buckets.set(key, bucket);
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil((limit - bucket.tokens) / refillPerMs / 1000),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)
+    };
+  }
+
+  sweep() {
+    const now = this.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.limit) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * CÓDIGOS ESTABLES PARA LOS CLIENTES
+ *
+ * Los textos de la respuesta cambian con el idioma y con cada revisión de
+ * la redacción; los códigos no. Un cliente debe decidir con el código
+ * (STRENGTH_VERY_WEAK, REC_INCREASE_LENGTH...) y mostrar el texto, que se
+ * genera a partir del código en los catálogos de src/locales.
+ *
+ * Renombrar o retirar un código rompe a los clientes: solo se añaden.
+ */
+export class ResultCodes {
+
+  // Ordenados por nivel (1-5)
+  static STRENGTH = [
+    'STRENGTH_VERY_WEAK',
+    'STRENGTH_WEAK',
+    'STRENGTH_STRONG',
+    'STRENGTH_VERY_STRONG',
+    'STRENGTH_EXTREMELY_STRONG'
+  ];
+
+  static RISK = ['RISK_LOW', 'RISK_MEDIUM', 'RISK_HIGH', 'RISK_CRITICAL'];
+
+  static SIMILARITY = [
+    'SIMILARITY_EXACT_MATCH',
+    'SIMILARITY_SIMPLE_VARIATION',
+    'SIMILARITY_CHARACTER_REMOVAL',
+    'SIMILARITY_TWO_CHARACTERS_REMOVAL',
+    'SIMILARITY_EDIT_DISTANCE',
+    'SIMILARITY_LEET_SPEAK_SUBSTITUTION',
+    'SIMILARITY_KEYBOARD_WALK',
+    'SIMILARITY_USER_INPUT',
+    'SIMILARITY_CONTAINS_COMMON',
+    'SIMILARITY_SUBSTRING_MATCH'
+  ];
+
+  // Código → parámetros que lleva
+  static RECOMMENDATIONS = {
+    REC_CHANGE_COMMON_PASSWORD: [],
+    REC_AVOID_COMMON_VARIATION: [],
+    REC_AVOID_SIMILAR_TO_COMMON: ['details'],
+    REC_AVOID_LEET_SUBSTITUTIONS: [],
+    REC_AVOID_KEYBOARD_PATTERNS: [],
+    REC_AVOID_PERSONAL_DATA: [],
+    REC_AVOID_CONTAINED_COMMON: ['details'],
+    REC_AVOID_COMMON_FRAGMENT: ['details'],
+    REC_INCREASE_LENGTH: ['minLength'],
+    REC_MIX_CHARACTER_TYPES: [],
+    REC_USE_GENERATOR: [],
+    REC_USE_PASSWORD_MANAGER: [],
+    REC_ROTATE_PERIODICALLY: ['days'],
+    REC_HASH_IN_DICTIONARY: [],
+    REC_HASH_NOT_IN_DICTIONARY: []
+  };
+
+  static strength(level) {
+    return this.STRENGTH[level - 1];
+  }
+
+  static risk(riskLevel) {
+    return `RISK_${riskLevel}`;
+  }
+
+  static similarity(similarityType) {
+    return similarityType ? `SIMILARITY_${similarityType}` : null;
+  }
+}
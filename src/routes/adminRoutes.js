@@ -0,0 +1,24 @@
+import express from 'express';
+import { AdminController } from '../controllers/adminController.js';
+import { RateLimiter } from '../rateLimiter.js';
+import { ApiKeyAuth } from '../apiKeyAuth.js';
+import { OpenApiSpec } from '../openApiSpec.js';
+
+const router = express.Router();
+
+// Permiso de la API key, límite por IP y validación de la petición, según la operación de /openapi.json
+const endpoint = (operationId) => {
+  const { operation } = OpenApiSpec.getOperation(operationId);
+  return [
+    ApiKeyAuth.authorize(operation['x-endpoint']),
+    RateLimiter.limit(operation['x-rate-limit']),
+    OpenApiSpec.validate(operationId)
+  ];
+};
+
+
+router.get('/dictionary', endpoint('getDictionaryStatus'), AdminController.getDictionaryStatus);
+
+router.post('/dictionary/reload', endpoint('reloadDictionary'), AdminController.reloadDictionary);
+
+export default router;
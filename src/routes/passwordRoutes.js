@@ -1,14 +1,51 @@
-
 import express from 'express';
 import { PasswordController } from '../controllers/passwordController.js';
+import { DictionaryController } from '../controllers/dictionaryController.js';
+import { RateLimiter } from '../rateLimiter.js';
+import { ApiKeyAuth } from '../apiKeyAuth.js';
+import { OpenApiSpec } from '../openApiSpec.js';
 
 const router = express.Router();
 
+// Permiso de la API key, límite por IP y validación de la petición, según la operación de /openapi.json
+const endpoint = (operationId, parsers = []) => {
+  const { operation } = OpenApiSpec.getOperation(operationId);
+  return [
+    ApiKeyAuth.authorize(operation['x-endpoint']),
+    RateLimiter.limit(operation['x-rate-limit']),
+    ...parsers,
+    OpenApiSpec.validate(operationId)
+  ];
+};
+
+
+router.post('/evaluate', endpoint('evaluatePassword'), PasswordController.evaluatePassword);
+
+// El lote usa su propio parser y límite de body (el global de app.js es de 2KB)
+router.post('/evaluate/batch',
+  endpoint('evaluateBatch', [
+    express.json({ limit: PasswordController.BATCH_BODY_LIMIT, strict: true, type: 'application/json' }),
+    express.text({ limit: PasswordController.BATCH_BODY_LIMIT, type: PasswordController.NDJSON_TYPES })
+  ]),
+  PasswordController.evaluateBatch);
+
+router.post('/evaluate/hash', endpoint('evaluateHash'), PasswordController.evaluateHash);
+
+router.post('/validate', endpoint('validatePassword'), PasswordController.validatePassword);
+
+router.post('/generate', endpoint('generatePassword'), PasswordController.generatePassword);
+
+router.post('/passphrase', endpoint('generatePassphrase'), PasswordController.generatePassphrase);
+
+router.get('/range/:prefix', endpoint('getHashRange'), PasswordController.getHashRange);
+
+// Evaluación en el navegador: diccionario por fragmentos y catálogos de mensajes
+router.get('/dictionary', endpoint('getDictionaryManifest'), DictionaryController.getManifest);
 
-router.post('/evaluate', PasswordController.evaluatePassword);
+router.get('/dictionary/shards/:shard', endpoint('getDictionaryShard'), DictionaryController.getShard);
 
-router.post('/generate', PasswordController.generatePassword);
+router.get('/locales/:locale', endpoint('getLocaleCatalogue'), DictionaryController.getLocale);
 
-router.get('/info', PasswordController.getApiInfo);
+router.get('/info', endpoint('getApiInfo'), PasswordController.getApiInfo);
 
-export default router;
\ No newline at end of file
+export default router;
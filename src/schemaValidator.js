@@ -0,0 +1,160 @@
+/**
+ * VALIDADOR DE ESQUEMAS (subconjunto de JSON Schema 2020-12 / OpenAPI 3.1)
+ *
+ * Palabras clave: $ref (#/components/schemas/...), type, enum, const,
+ * minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum,
+ * required, properties, additionalProperties, minProperties, items,
+ * minItems, maxItems, oneOf y anyOf. Es lo que usa la especificación de la API; una palabra
+ * clave que no esté aquí se ignora, así que no debe usarse en ella.
+ *
+ * Cada error indica el campo (ruta con puntos e índices), la palabra clave
+ * que falla y sus parámetros. Extensiones propias:
+ *   - "x-errors": { palabraClave: CÓDIGO } — código de error de la API para
+ *     ese fallo (p. ej. maxLength → TOO_LONG), en lugar de INVALID_REQUEST
+ *   - "x-error": CÓDIGO para cualquier fallo dentro de ese esquema
+ */
+export class SchemaValidator {
+
+  constructor(document) {
+    this.document = document;
+    this.patterns = new Map();
+  }
+
+  resolve(schema) {
+    while (schema?.$ref) {
+      const path = schema.$ref.replace(/^#\//, '').split('/');
+      schema = path.reduce((node, key) => node?.[key], this.document);
+      if (!schema) throw new Error(`INVALID_SCHEMA: Referencia no encontrada`);
+    }
+    return schema;
+  }
+
+  /**
+   * @returns {Array<{ field: string, code: string, params: Object, errorCode: string|null }>}
+   */
+  validate(schema, value, field = '', inheritedError = null) {
+    schema = this.resolve(schema);
+    const errorCode = schema['x-error'] ?? inheritedError;
+    const fail = (code, params = {}) => [{
+      field,
+      code,
+      params,
+      errorCode: schema['x-errors']?.[code] ?? errorCode
+    }];
+
+    if (schema.oneOf || schema.anyOf) {
+      return this.validateAlternatives(schema, value, field, errorCode, fail);
+    }
+
+    if (schema.type !== undefined && !this.matchesType(schema.type, value)) {
+      return fail('type', { expected: [schema.type].flat() });
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+      return fail('const', { expected: schema.const });
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      return fail('enum', { allowed: schema.enum });
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) return fail('minLength', { limit: schema.minLength });
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail('maxLength', { limit: schema.maxLength });
+      if (schema.pattern !== undefined && !this.pattern(schema.pattern).test(value)) return fail('pattern', {});
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) return fail('minimum', { limit: schema.minimum });
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) return fail('exclusiveMinimum', { limit: schema.exclusiveMinimum });
+      if (schema.maximum !== undefined && value > schema.maximum) return fail('maximum', { limit: schema.maximum });
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) return fail('minItems', { limit: schema.minItems });
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail('maxItems', { limit: schema.maxItems });
+      if (schema.items) {
+        return value.flatMap((item, index) => this.validate(schema.items, item, `${field}[${index}]`, errorCode));
+      }
+      return [];
+    }
+
+    if (this.isObject(value)) {
+      return this.validateObject(schema, value, field, errorCode, fail);
+    }
+
+    return [];
+  }
+
+  validateObject(schema, value, field, errorCode, fail) {
+    const child = (key) => field ? `${field}.${key}` : key;
+    const errors = [];
+
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      return fail('minProperties', { limit: schema.minProperties });
+    }
+
+    for (const key of schema.required ?? []) {
+      if (!Object.hasOwn(value, key)) {
+        errors.push({ field: child(key), code: 'required', params: {}, errorCode: schema['x-errors']?.required ?? errorCode });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+
+      if (propertySchema) {
+        errors.push(...this.validate(propertySchema, propertyValue, child(key), errorCode));
+      } else if (schema.additionalProperties === false) {
+        errors.push(...fail('additionalProperties', { property: key }).map(error => ({ ...error, field: child(key) })));
+      } else if (this.isObject(schema.additionalProperties)) {
+        errors.push(...this.validate(schema.additionalProperties, propertyValue, child(key), errorCode));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * oneOf/anyOf: si ninguna alternativa encaja, se informa de la única cuyo
+   * tipo coincide (el error más preciso) o, si no hay ninguna, del tipo
+   */
+  validateAlternatives(schema, value, field, errorCode, fail) {
+    const alternatives = (schema.oneOf ?? schema.anyOf).map(alternative => this.resolve(alternative));
+    const results = alternatives.map(alternative => this.validate(alternative, value, field, errorCode));
+    const matching = results.filter(errors => errors.length === 0).length;
+
+    if (schema.oneOf && matching > 1) return fail('oneOf', {});
+    if (matching > 0) return [];
+
+    const sameType = alternatives
+      .map((alternative, index) => ({ alternative, errors: results[index] }))
+      .filter(({ alternative }) => alternative.type === undefined || this.matchesType(alternative.type, value));
+
+    if (sameType.length === 1) return sameType[0].errors;
+    return fail('type', { expected: [...new Set(alternatives.flatMap(alternative => [alternative.type ?? []].flat()))] });
+  }
+
+  pattern(source) {
+    if (!this.patterns.has(source)) this.patterns.set(source, new RegExp(source, 'u'));
+    return this.patterns.get(source);
+  }
+
+  matchesType(type, value) {
+    return [type].flat().some(expected => {
+      switch (expected) {
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return this.isObject(value);
+        case 'null': return value === null;
+        default: return false;
+      }
+    });
+  }
+
+  isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * DICCIONARIO POR PETICIÓN CON DATOS DEL USUARIO
+ *
+ * Convierte los datos personales enviados con la evaluación (usuario,
+ * email, nombre, fecha de nacimiento, empresa...) en fragmentos que se
+ * buscan dentro de la contraseña, también escritos al revés o con
+ * sustituciones leet. Vive solo durante la petición: nada se registra ni
+ * se guarda, y las coincidencias se describen únicamente con posiciones y
+ * el índice de la entrada de la que proceden.
+ */
+export class UserInputDictionary {
+
+  static MAX_INPUTS = 20;
+  static MAX_INPUT_LENGTH = 100;
+  static MIN_TOKEN_LENGTH = 3;
+
+  /**
+   * @param {string[]} userInputs - Datos del usuario (ya validados)
+   * @param {Object} leetTable - Tabla { carácter: [lecturas] } de LeetSubstitution
+   */
+  constructor(userInputs, leetTable = {}) {
+    this.leetTable = leetTable;
+    this.tokens = [];
+
+    const seen = new Set();
+    userInputs.forEach((input, inputIndex) => {
+      for (const text of UserInputDictionary.tokenize(input)) {
+        if (seen.has(text)) continue;
+        seen.add(text);
+        // Rango = orden de aparición: un atacante los prueba antes que nada
+        this.tokens.push({ text, inputIndex, rank: this.tokens.length + 1 });
+      }
+    });
+  }
+
+  static validate(userInputs) {
+    if (userInputs === undefined) return;
+
+    if (!Array.isArray(userInputs)) {
+      throw new Error('INVALID_USER_INPUTS: "userInputs" debe ser una lista de cadenas');
+    }
+    if (userInputs.length > this.MAX_INPUTS) {
+      throw new Error(`INVALID_USER_INPUTS: Máximo ${this.MAX_INPUTS} entradas`);
+    }
+    if (userInputs.some(input => typeof input !== 'string' || input.length > this.MAX_INPUT_LENGTH)) {
+      throw new Error(`INVALID_USER_INPUTS: Cada entrada debe ser texto de hasta ${this.MAX_INPUT_LENGTH} caracteres`);
+    }
+  }
+
+  /**
+   * FRAGMENTOS: Entrada completa, parte local de un email, palabras y grupos de
+   * letras/dígitos, versión sin tildes y combinaciones de fechas
+   */
+  static tokenize(input) {
+    const lower = input.normalize('NFC').toLowerCase().trim();
+    // Del email solo interesa la parte local ("mail", "com" darían falsos positivos)
+    const source = lower.split('@')[0];
+    const tokens = new Set([lower, source]);
+
+    for (const part of source.split(/[^\p{L}\p{N}]+/u)) tokens.add(part);
+    for (const part of source.match(/\p{L}+|\p{N}+/gu) || []) tokens.add(part);
+    for (const token of this.dateTokens(source)) tokens.add(token);
+
+    for (const token of [...tokens]) {
+      const withoutAccents = token.normalize('NFD').replace(/\p{M}/gu, '');
+      tokens.add(withoutAccents);
+    }
+
+    return [...tokens].filter(token => token.length >= this.MIN_TOKEN_LENGTH);
+  }
+
+  /**
+   * FECHAS: "1990-05-12", "12/05/1990", "12.5.90" → 1990, 90, 1205, 0512, 120590...
+   */
+  static dateTokens(text) {
+    const date = text.match(/^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})$/);
+    if (!date) return [];
+
+    const pad = (value) => value.padStart(2, '0');
+    const [, first, second, third] = date;
+    const [year, month, day] = first.length === 4
+      ? [first, pad(second), pad(third)]
+      : [third, pad(second), pad(first)];
+    const shortYear = year.slice(-2);
+
+    return [
+      year, shortYear,
+      day + month, month + day,
+      day + month + year, month + day + year, year + month + day,
+      day + month + shortYear, month + day + shortYear, shortYear + month + day
+    ];
+  }
+
+  /**
+   * BÚSQUEDA: Apariciones de los fragmentos (directos, al revés o con leet)
+   *
+   * @returns {Array<{ i: number, j: number, rank: number, inputIndex: number,
+   *   reversed: boolean, substitutions: number[] }>} - j inclusivo
+   */
+  findMatches(password) {
+    const lower = password.toLowerCase();
+    const matches = [];
+
+    for (const token of this.tokens) {
+      const reversedText = [...token.text].reverse().join('');
+      const variants = [{ expected: token.text, reversed: false }];
+      // Un palíndromo coincide igual en ambos sentidos
+      if (reversedText !== token.text) variants.push({ expected: reversedText, reversed: true });
+
+      for (const { expected, reversed } of variants) {
+        for (let i = 0; i + expected.length <= lower.length; i++) {
+          const substitutions = this.matchAt(lower, i, expected);
+          if (substitutions === null) continue;
+
+          matches.push({
+            i,
+            j: i + expected.length - 1,
+            rank: token.rank,
+            inputIndex: token.inputIndex,
+            reversed,
+            substitutions
+          });
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Posiciones (1-based) sustituidas si el fragmento encaja en i, o null
+   */
+  matchAt(lower, i, expected) {
+    const substitutions = [];
+
+    for (let k = 0; k < expected.length; k++) {
+      const char = lower[i + k];
+      if (char === expected[k]) continue;
+      if ((this.leetTable[char] || []).includes(expected[k])) {
+        substitutions.push(i + k + 1);
+        continue;
+      }
+      return null;
+    }
+
+    return substitutions;
+  }
+}
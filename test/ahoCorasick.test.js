@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AhoCorasickAutomaton } from '../src/ahoCorasick.js';
+import { EditDistanceIndex } from '../src/editDistanceIndex.js';
+
+/**
+ * AUTÓMATA AHO-CORASICK: findAll encuentra las mismas apariciones que
+ * buscar cada patrón con indexOf
+ */
+
+const DICTIONARY = ['sun', 'sunshine', 'shine', 'hin', 'shin', 'dragon', 'rago', 'contraseña', 'niño', '😀casa', 'casa', 'aaaa'];
+
+// Todas las apariciones (también solapadas) de los patrones con minLength o más caracteres
+const bruteForce = (text, minLength) => {
+  const matches = [];
+  for (const pattern of DICTIONARY.filter(entry => entry.length >= minLength)) {
+    for (let start = text.indexOf(pattern); start !== -1; start = text.indexOf(pattern, start + 1)) {
+      matches.push({ pattern, start, end: start + pattern.length });
+    }
+  }
+  return matches;
+};
+
+const sorted = (matches) => [...matches].sort((a, b) => a.start - b.start || a.end - b.end);
+
+test('findAll: patrones solapados, anidados y fuera del plano básico', () => {
+  const automaton = AhoCorasickAutomaton.build(EditDistanceIndex.build(DICTIONARY));
+  assert.equal(automaton.patternCount, DICTIONARY.filter(entry => entry.length >= 4).length);
+
+  for (const text of ['sunshine', 'xxsunshinexdragonxx', 'mi😀casa', 'contraseñaniño', 'aaaaaa', 'shishine', 'nada', '']) {
+    assert.deepEqual(sorted(automaton.findAll(text)), sorted(bruteForce(text, 4)), text);
+  }
+
+  assert.deepEqual(automaton.findAll('xdragon'), [{ pattern: 'rago', start: 2, end: 6 }, { pattern: 'dragon', start: 1, end: 7 }]);
+});
+
+test('minLength: los patrones más cortos no se reportan, pero siguen en el trie', () => {
+  const automaton = AhoCorasickAutomaton.build(EditDistanceIndex.build(DICTIONARY), 5);
+
+  for (const text of ['sunshine', 'shinedragon', 'mi😀casa']) {
+    assert.deepEqual(sorted(automaton.findAll(text)), sorted(bruteForce(text, 5)), text);
+  }
+  assert.deepEqual(AhoCorasickAutomaton.build(EditDistanceIndex.build(DICTIONARY), 3).findAll('sun').map(({ pattern }) => pattern), ['sun']);
+});
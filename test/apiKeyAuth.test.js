@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { logger } from '../src/logger.js';
+import { ApiKeyAuth } from '../src/apiKeyAuth.js';
+import { RateLimiter, MemoryRateLimitStore } from '../src/rateLimiter.js';
+
+/**
+ * API KEYS: la cuota del tenant solo se gasta en rutas que la clave puede usar
+ */
+
+const API_KEY = 'clave-de-prueba';
+
+const fakeRequest = () => ({
+  id: 'req-prueba',
+  log: logger,
+  headers: { 'x-api-key': API_KEY },
+  query: {},
+  get: () => undefined
+});
+
+const fakeResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+      return res;
+    },
+    vary() { return res; },
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; }
+  };
+  return res;
+};
+
+// authenticate + authorize(endpoint), como en las rutas: código de estado o 'next'
+const call = async (endpoint) => {
+  const req = fakeRequest();
+  let res = fakeResponse();
+  let passed = false;
+
+  ApiKeyAuth.authenticate(req, res, () => { passed = true; });
+  if (!passed) return res.statusCode;
+
+  passed = false;
+  res = fakeResponse();
+  await ApiKeyAuth.authorize(endpoint)(req, res, () => { passed = true; });
+  return passed ? 'next' : res.body.error;
+};
+
+before(() => {
+  logger.configure({ level: 'silent' });
+  RateLimiter.setStore(new MemoryRateLimitStore());
+  ApiKeyAuth.configure({
+    keys: [{
+      id: 'equipo-registro',
+      keyHash: ApiKeyAuth.hashKey(API_KEY),
+      endpoints: ['evaluate'],
+      quota: { limit: 2, windowSeconds: 3600 }
+    }]
+  });
+});
+
+after(() => {
+  ApiKeyAuth.configure(null);
+});
+
+test('un endpoint no permitido responde 403 sin gastar cuota, también con la cuota agotada', async () => {
+  for (let k = 0; k < 5; k++) {
+    assert.equal(await call('admin'), 'ENDPOINT_NOT_ALLOWED');
+  }
+
+  assert.equal(await call('evaluate'), 'next');
+  assert.equal(await call('evaluate'), 'next');
+  assert.equal(await call('evaluate'), 'QUOTA_EXCEEDED');
+
+  assert.equal(await call('admin'), 'ENDPOINT_NOT_ALLOWED');
+});
@@ -0,0 +1,80 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { logger } from '../src/logger.js';
+import { PasswordEvaluator } from '../src/passwordEvaluator.js';
+import { DictionaryController } from '../src/controllers/dictionaryController.js';
+import { HttpDictionaryProvider } from '../src/httpDictionaryProvider.js';
+
+/**
+ * DICCIONARIO PARA EL NAVEGADOR: el manifiesto va en el sobre común
+ * ({ success, data, metadata, timestamp }) y HttpDictionaryProvider
+ * reconstruye con él la misma colección
+ */
+
+const DICTIONARY = ['dragon', 'password', 'sunshine', 'contraseña', 'letmein'];
+
+const fakeRequest = (params = {}) => ({
+  id: 'req-prueba',
+  log: logger,
+  params,
+  query: {},
+  get: () => undefined,
+  acceptsEncodings: () => false
+});
+
+const fakeResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+      return res;
+    },
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; },
+    send(body) { res.body = body; return res; },
+    end() { return res; }
+  };
+  return res;
+};
+
+before(() => {
+  logger.configure({ level: 'silent' });
+  PasswordEvaluator.setDictionaryProvider({ name: 'test', load: async () => new Set(DICTIONARY) });
+});
+
+test('el manifiesto va en data, con requestId en metadata', async () => {
+  const res = fakeResponse();
+  await DictionaryController.getManifest(fakeRequest(), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.metadata.requestId, 'req-prueba');
+  assert.equal(res.body.data.size, DICTIONARY.length);
+  assert.equal(res.body.data.version, PasswordEvaluator.dictionaryInfo.version);
+  assert.deepEqual(res.body.data.shards.map(({ index }) => index), [0]);
+});
+
+test('HttpDictionaryProvider carga la misma colección a partir del manifiesto', async () => {
+  const fetch = async (url) => {
+    const { pathname } = new URL(url, 'http://localhost');
+    const shard = pathname.match(/\/shards\/(\d+)$/);
+    const res = fakeResponse();
+
+    if (shard) {
+      await DictionaryController.getShard(fakeRequest({ shard: shard[1] }), res);
+    } else {
+      await DictionaryController.getManifest(fakeRequest(), res);
+    }
+    return {
+      ok: res.statusCode === 200,
+      status: res.statusCode,
+      json: async () => res.body,
+      text: async () => res.body.toString('utf8')
+    };
+  };
+
+  const provider = new HttpDictionaryProvider({ fetch });
+  assert.deepEqual([...await provider.load()], DICTIONARY);
+  assert.equal(provider.manifest.version, PasswordEvaluator.dictionaryInfo.version);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { DictionaryIndex } from '../src/dictionaryIndex.js';
+import { EditDistanceIndex } from '../src/editDistanceIndex.js';
+
+/**
+ * ÍNDICE COMPACTO: el buffer binario responde lo mismo que el Set que se
+ * carga del CSV (commonPasswords), en el mismo orden de carga.
+ */
+
+// Prefijos compartidos, varios bloques, duplicados en minúsculas y no ASCII
+const CSV = [
+  'rank,password',
+  '1,123456',
+  '2,password',
+  '3,Password',
+  '4,12345678',
+  '5,qwerty',
+  '6,qwerty123',
+  '7,contraseña',
+  '8,niño2024',
+  '9,😀casa',
+  '10,ﬀcasa',
+  ...Array.from({ length: 40 }, (_, k) => `${11 + k},sunshine${k}`),
+  '51,dragon',
+  '52,ab',
+  ''
+].join('\n');
+
+// Lo que hace FileDictionaryProvider.loadPasswordsFromCSV
+const loadSet = () => {
+  const records = CSV.split('\n').map(line => DictionaryIndex.parseCSVRecord(line)).filter(record => record !== null);
+  return new Set(DictionaryIndex.frequencyOrder(records));
+};
+
+const MISSES = ['', 'pass', 'passwords', 'Password', 'sunshine', 'sunshine40', 'sunshine1x', 'contrasena', 'niño', '😀', 'zzzz', '0000', 'ab', 'ﬀcas'];
+
+test('ida y vuelta: el buffer (en memoria y en disco) conserva entradas y orden de carga', async () => {
+  const passwords = loadSet();
+  const buffer = DictionaryIndex.build([...passwords]);
+
+  const index = new DictionaryIndex(buffer);
+  assert.equal(index.size, passwords.size);
+  assert.deepEqual([...index], [...passwords]);
+  assert.deepEqual([...index.sortedEntries()], [...passwords].sort((a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b))));
+
+  const dir = await mkdtemp(path.join(tmpdir(), 'pwdx-'));
+  try {
+    const indexPath = path.join(dir, 'dictionary.idx');
+    await writeFile(indexPath, buffer);
+    assert.deepEqual([...await DictionaryIndex.load(indexPath)], [...passwords]);
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+
+  // Un buffer que no empieza en un offset múltiplo de 4
+  const unaligned = Buffer.concat([Buffer.alloc(1), buffer]).subarray(1);
+  assert.deepEqual([...new DictionaryIndex(unaligned)], [...passwords]);
+
+  assert.throws(() => new DictionaryIndex(Buffer.from('XXXX')), /^Error: INVALID_INDEX/);
+});
+
+test('has() coincide con commonPasswords.has()', () => {
+  const passwords = loadSet();
+  const index = new DictionaryIndex(DictionaryIndex.build([...passwords]));
+
+  for (const word of [...passwords, ...MISSES, ...[...passwords].map(entry => entry.toUpperCase())]) {
+    assert.equal(index.has(word), passwords.has(word), word);
+  }
+  assert.equal(index.has(undefined), false);
+  assert.equal(new DictionaryIndex(DictionaryIndex.build([])).has('dragon'), false);
+});
+
+test('sortedText y linesInLoadOrder: lo mismo que a partir de las cadenas', () => {
+  const passwords = loadSet();
+  const index = new DictionaryIndex(DictionaryIndex.build([...passwords]));
+
+  assert.equal(index.linesInLoadOrder().toString('utf8'), [...passwords].map(entry => `${entry}\n`).join(''));
+
+  const fromIndex = EditDistanceIndex.build(index);
+  const fromStrings = EditDistanceIndex.build([...passwords]);
+  assert.equal(fromIndex.text, fromStrings.text);
+  assert.deepEqual(fromIndex.offsets, fromStrings.offsets);
+  assert.deepEqual(fromIndex.loadOrder, fromStrings.loadOrder);
+
+  [...passwords].forEach((entry, order) => assert.equal(fromIndex.rankOf(entry), order + 1));
+});
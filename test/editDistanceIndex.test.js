@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EditDistanceIndex } from '../src/editDistanceIndex.js';
+
+/**
+ * DISTANCIA DE EDICIÓN: la búsqueda con poda y saltos por prefijo devuelve
+ * lo mismo que comparar la consulta con cada entrada.
+ */
+
+// Distancia de alineamiento óptimo de cadenas, sin poda
+const distance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 0; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// Alfabeto pequeño: muchos prefijos compartidos y muchos saltos
+const random = (seed) => () => {
+  seed ^= seed << 13;
+  seed ^= seed >>> 17;
+  seed ^= seed << 5;
+  return (seed >>> 0) / 2 ** 32;
+};
+const word = (next, alphabet = 'abcdñ1') => {
+  let result = '';
+  const length = 3 + Math.floor(next() * 6);
+  for (let i = 0; i < length; i++) result += alphabet[Math.floor(next() * alphabet.length)];
+  return result;
+};
+
+test('findClosest coincide con la búsqueda exhaustiva (distancia y, en empate, orden de carga)', () => {
+  const next = random(2024);
+  const entries = [...new Set(Array.from({ length: 3000 }, () => word(next)))];
+  const index = EditDistanceIndex.build(entries);
+
+  for (let q = 0; q < 300; q++) {
+    const query = word(next, 'abcdeñ12');
+    const maxDistance = q % 3;
+
+    let expected = null;
+    entries.forEach((entry, order) => {
+      const d = distance(query, entry);
+      if (d <= maxDistance && (!expected || d < expected.distance)) expected = { match: entry, distance: d, order };
+    });
+
+    const result = index.findClosest(query, maxDistance);
+    assert.deepEqual(result && { match: result.match, distance: result.distance }, expected && { match: expected.match, distance: expected.distance }, query);
+  }
+});
+
+test('rankOf: posición en el orden de carga, también con caracteres fuera del plano básico', () => {
+  const entries = ['zeta', 'alfa', 'ﬀcasa', '😀casa', 'ñandú', 'beta'];
+  const index = EditDistanceIndex.build(entries);
+
+  entries.forEach((entry, order) => assert.equal(index.rankOf(entry), order + 1));
+  assert.equal(index.rankOf('gamma'), null);
+  assert.equal(index.findClosest('😀cas', 1).match, '😀casa');
+});
+
+test('una consulta más larga que todas las entradas (más maxDistance) no recorre el índice', () => {
+  const index = EditDistanceIndex.build(['dragon', 'sunshine']);
+
+  assert.equal(index.findClosest('sunshine12', 2).match, 'sunshine');
+  assert.equal(index.findClosest('sunshine123', 2), null);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HashIndex } from '../src/hashIndex.js';
+import { DictionaryIndex } from '../src/dictionaryIndex.js';
+
+/**
+ * ÍNDICE DE HASHES: MD4/NTLM propio, consultas por prefijo de rango y
+ * búsqueda exacta de un digest
+ */
+
+const DICTIONARY = ['password', '123456', 'dragon', 'sunshine', 'contraseña', '😀casa', ...Array.from({ length: 3000 }, (_, k) => `clave${k}`)];
+
+const hex = (buffer) => buffer.toString('hex').toUpperCase();
+
+test('MD4: vectores de prueba del RFC 1320', () => {
+  const vectors = {
+    '': '31d6cfe0d16ae931b73c59d7e0c089c0',
+    a: 'bde52cb31de33e46245e05fbdbd6fb24',
+    abc: 'a448017aaf21d8525fc10ae87aa6729d',
+    'message digest': 'd9130a8164549fe818874806e1c7014b',
+    abcdefghijklmnopqrstuvwxyz: 'd79e1c308aa5bbcdeea8ed63df412da9',
+    ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789: '043f8582f241db351ce627e153e7f0e4',
+    ['1234567890'.repeat(8)]: 'e33b4ddc9c38f2199c3e7b164fcc0536'
+  };
+
+  for (const [input, digest] of Object.entries(vectors)) {
+    assert.equal(HashIndex.md4(Buffer.from(input, 'latin1')).toString('hex'), digest, input);
+  }
+});
+
+test('NTLM: MD4 sobre UTF-16LE', () => {
+  assert.equal(hex(HashIndex.ALGORITHMS.ntlm.hash('password')), '8846F7EAEE8FB117AD06BDD830B7586C');
+  assert.equal(hex(HashIndex.ALGORITHMS.sha1.hash('password')), '5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8');
+});
+
+test('range(prefix): exactamente las entradas cuyo hash empieza por el prefijo', () => {
+  for (const algorithm of Object.keys(HashIndex.ALGORITHMS)) {
+    const index = HashIndex.build(DICTIONARY, algorithm);
+    assert.equal(index.size, DICTIONARY.length);
+
+    // Con 3000 entradas hay prefijos de rango compartidos (paradoja del cumpleaños)
+    const expected = new Map();
+    DICTIONARY.forEach((entry, id) => {
+      const hash = hex(HashIndex.ALGORITHMS[algorithm].hash(entry));
+      const prefix = hash.slice(0, 5);
+      expected.set(prefix, [...expected.get(prefix) ?? [], { suffix: hash.slice(5), id }]);
+    });
+    assert.ok([...expected.values()].some(results => results.length > 1), algorithm);
+
+    for (const [prefix, results] of expected) {
+      results.sort((a, b) => (a.suffix < b.suffix ? -1 : 1));
+      assert.deepEqual(index.range(prefix), results, `${algorithm} ${prefix}`);
+      assert.deepEqual(index.range(prefix.toLowerCase()), results);
+    }
+    for (const prefix of ['00000', 'FFFFF']) {
+      assert.deepEqual(index.range(prefix), expected.get(prefix) ?? []);
+    }
+
+    for (const prefix of ['8846', '8846F7', 'GGGGG', 12345, undefined]) {
+      assert.throws(() => index.range(prefix), /^Error: INVALID_PREFIX/, String(prefix));
+    }
+  }
+
+  assert.equal(HashIndex.build(DICTIONARY, 'ntlm').range('8846F').find(({ id }) => id === 0).suffix, '7EAEE8FB117AD06BDD830B7586C');
+});
+
+test('find(digest): posición de carga de la entrada, o -1', () => {
+  const dictionary = new DictionaryIndex(DictionaryIndex.build(DICTIONARY));
+
+  for (const algorithm of Object.keys(HashIndex.ALGORITHMS)) {
+    const { hash, digestLength } = HashIndex.ALGORITHMS[algorithm];
+    const index = HashIndex.build(dictionary, algorithm);
+
+    DICTIONARY.forEach((entry, id) => assert.equal(index.find(hash(entry)), id, `${algorithm} ${entry}`));
+    assert.equal(index.find(hash('no-está-en-el-diccionario')), -1);
+    assert.equal(index.find(Buffer.alloc(digestLength - 1)), -1);
+    assert.equal(index.find(hex(hash('password'))), -1);
+  }
+
+  assert.throws(() => HashIndex.build(DICTIONARY, 'md5'), /^Error: INVALID_ALGORITHM/);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LeetSubstitution } from '../src/leetSubstitution.js';
+
+/**
+ * SUSTITUCIONES LEET: las lecturas de letra a letra (n → ñ, v → b...) tienen
+ * su propio tope y no dejan sin comprobar las variantes leet reales
+ */
+
+const DICTIONARY = new Set(['bienvenidosabanzana', 'niño', 'vivalavida']);
+
+test('muchas letras con lectura no agotan el tope de las variantes leet', () => {
+  const result = new LeetSubstitution().findInDictionary('b13nv3n1d0s4b4nz4n4', DICTIONARY);
+
+  assert.equal(result?.match, 'bienvenidosabanzana');
+  assert.deepEqual(result.substitutions.map(({ position }) => position), [2, 3, 6, 8, 10, 12, 14, 17, 19]);
+});
+
+test('las lecturas de letra a letra siguen aplicándose, solas o junto a leet', () => {
+  const leet = new LeetSubstitution();
+
+  assert.equal(leet.findInDictionary('nino', DICTIONARY)?.match, 'niño');
+  assert.equal(leet.findInDictionary('bibalab1da', DICTIONARY)?.match, 'vivalavida');
+});
+
+test('cada fase respeta su tope', () => {
+  const leet = new LeetSubstitution({ maxVariants: 5, maxLetterVariants: 0 });
+
+  assert.equal(leet.findInDictionary('nino', DICTIONARY), null);
+  assert.equal(leet.findInDictionary('v1v4l4v1d4', DICTIONARY), null);
+});
@@ -0,0 +1,214 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Logger, logger } from '../src/logger.js';
+import { PasswordEvaluator } from '../src/passwordEvaluator.js';
+import { PasswordController } from '../src/controllers/passwordController.js';
+import { HashIndex } from '../src/hashIndex.js';
+
+/**
+ * REDACCIÓN DE LOGS: ningún dato derivado de la contraseña (ni de los datos
+ * del usuario ni de la entrada del diccionario con la que coincide) llega a
+ * la salida, ni por el logger ni por console.
+ */
+
+const DICTIONARY = ['dragon', 'sunshine', 'sunflower', 'qwerty123', 'letmein', 'monkey99'];
+
+// Coincidencia exacta, remoción, subcadena, contiene una común, leet, distancia de edición y ninguna
+const PASSWORDS = ['dragon', 'sunshine7x', 'unflow', 'xx9sunflowerq', '5unfl0w3r', 'letmeim', 'Zq8#vTn2!rLw'];
+const USER_INPUTS = ['Valentina Orozco', 'vorozco@example.org'];
+
+const capture = (instance = logger) => {
+  const lines = [];
+  instance.configure({ level: 'debug', format: 'json', write: (line) => lines.push(line) });
+  return lines;
+};
+
+const fragments = (value, minLength = 4) => {
+  const result = new Set();
+  for (const variant of [value, value.toLowerCase()]) {
+    for (let start = 0; start + minLength <= variant.length; start++) {
+      result.add(variant.slice(start, start + minLength));
+    }
+  }
+  return result;
+};
+
+const assertNoFragments = (output, values) => {
+  for (const value of values) {
+    for (const fragment of fragments(value)) {
+      assert.ok(!output.includes(fragment), `"${fragment}" (derivado de la entrada) aparece en el log`);
+    }
+  }
+};
+
+// Id fijo sin cuatro caracteres hexadecimales seguidos: un UUID aleatorio podría
+// contener por azar un fragmento del hash SHA-1 que se busca en el log
+const REQUEST_ID = 'req-prueba-log';
+
+const fakeRequest = (body) => {
+  const id = REQUEST_ID;
+  return {
+    id,
+    log: logger.child({ requestId: id }),
+    body,
+    query: {},
+    params: {},
+    headers: {},
+    method: 'POST',
+    get: () => undefined,
+    is: () => false
+  };
+};
+
+const fakeResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { res.headers[name] = value; return res; },
+    vary() { return res; },
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; }
+  };
+  return res;
+};
+
+before(() => {
+  PasswordEvaluator.setDictionaryProvider({ name: 'test', load: async () => new Set(DICTIONARY) });
+});
+
+after(() => {
+  logger.configure({ level: 'info', write: null });
+});
+
+test('los campos desconocidos se descartan y los valores con otro formato se redactan', () => {
+  const instance = new Logger();
+  const lines = capture(instance);
+
+  instance.warn('auth.invalidKey', {
+    password: 'hunter2',
+    matchedPassword: 'hunter2',
+    errorCode: 'hunter2 no es un código',
+    keyId: 'hunter2 hunter2',
+    status: 401
+  });
+
+  const record = JSON.parse(lines[0]);
+  assert.equal(record.event, 'auth.invalidKey');
+  assert.equal(record.status, 401);
+  assert.equal(record.errorCode, Logger.REDACTED);
+  assert.equal(record.keyId, Logger.REDACTED);
+  assert.equal(record.droppedFields, 2);
+  assert.ok(!lines[0].includes('hunter2'));
+  assert.ok(!lines[0].includes('matchedPassword'));
+});
+
+test('el evento es un nombre fijo: un texto libre no llega al log', () => {
+  const instance = new Logger();
+  const lines = capture(instance);
+
+  instance.info('Password hunter2 rejected');
+
+  assert.equal(JSON.parse(lines[0]).event, 'log.invalidEvent');
+  assert.ok(!lines[0].includes('hunter2'));
+});
+
+test('los errores se registran por código y tipo, nunca por su mensaje', () => {
+  const instance = new Logger();
+  const lines = capture(instance);
+
+  instance.error('evaluation.failed', { error: new Error('INVALID_HASH: "hunter2" no es un hash') });
+  instance.error('request.invalidJson', { error: new SyntaxError('Unexpected token h in "hunter2"') });
+
+  assert.deepEqual(JSON.parse(lines[0]), { ...JSON.parse(lines[0]), errorCode: 'INVALID_HASH', errorType: 'Error' });
+  assert.equal(JSON.parse(lines[1]).errorCode, undefined);
+  assert.equal(JSON.parse(lines[1]).errorType, 'SyntaxError');
+  assert.ok(lines.every(line => !line.includes('hunter2')));
+});
+
+test('route solo admite plantillas del contrato, nunca la URL recibida', () => {
+  const instance = new Logger();
+  const lines = capture(instance);
+  Logger.allowRoutes(['/api/v1/password/range/{prefix}']);
+
+  instance.info('request.completed', { route: '/api/v1/password/range/{prefix}' });
+  instance.info('request.completed', { route: '/api/v1/password/range/5BAA6' });
+
+  assert.equal(JSON.parse(lines[0]).route, '/api/v1/password/range/{prefix}');
+  assert.equal(JSON.parse(lines[1]).route, Logger.REDACTED);
+});
+
+test('niveles: por debajo de LOG_LEVEL no se escribe nada', () => {
+  const instance = new Logger();
+  const lines = capture(instance);
+  instance.configure({ level: 'warn' });
+
+  instance.info('server.listening');
+  instance.warn('auth.disabled');
+
+  assert.equal(lines.length, 1);
+  assert.equal(JSON.parse(lines[0]).level, 'warn');
+});
+
+test('X-Request-Id: se respeta uno válido y se sustituye el resto', () => {
+  assert.equal(Logger.resolveRequestId('checkout-7f3a.42'), 'checkout-7f3a.42');
+
+  for (const header of ['hunter2 password', 'a'.repeat(129), '', undefined, ['abc']]) {
+    const requestId = Logger.resolveRequestId(header);
+    assert.notEqual(requestId, header);
+    assert.match(requestId, /^[A-Za-z0-9._:-]{1,128}$/);
+  }
+
+  const lines = capture(logger.child({ requestId: 'checkout-7f3a.42' }));
+  assert.equal(lines.length, 0);
+});
+
+test('nada derivado de la contraseña, los datos del usuario o la coincidencia llega al log', async () => {
+  const lines = capture();
+  const consoleLines = [];
+  const originals = {};
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    originals[method] = console[method];
+    console[method] = (...args) => consoleLines.push(args.join(' '));
+  }
+
+  const derived = [...PASSWORDS, ...USER_INPUTS];
+  try {
+    await PasswordEvaluator.ensureHashIndexes();
+
+    for (const password of PASSWORDS) {
+      const evaluation = await PasswordEvaluator.evaluatePasswordSecurely(password, { userInputs: USER_INPUTS });
+      if (evaluation.similarityAnalysis.matchedPassword) derived.push(evaluation.similarityAnalysis.matchedPassword);
+
+      await PasswordController.evaluatePassword(fakeRequest({ password, userInputs: USER_INPUTS }), fakeResponse());
+      await PasswordController.validatePassword(fakeRequest({ password, policy: 'nist-800-63b' }), fakeResponse());
+
+      const hash = HashIndex.ALGORITHMS.sha1.hash(password).toString('hex');
+      derived.push(hash);
+      await PasswordController.evaluateHash(fakeRequest({ hash, algorithm: 'sha1' }), fakeResponse());
+    }
+
+    // Sin índices construidos: búsqueda clásica por remoción y por subcadenas
+    const { editDistanceIndex, substringAutomaton } = PasswordEvaluator;
+    PasswordEvaluator.editDistanceIndex = null;
+    PasswordEvaluator.substringAutomaton = null;
+    try {
+      for (const password of PASSWORDS) {
+        const evaluation = await PasswordEvaluator.evaluatePasswordSecurely(password);
+        if (evaluation.similarityAnalysis.matchedPassword) derived.push(evaluation.similarityAnalysis.matchedPassword);
+      }
+    } finally {
+      Object.assign(PasswordEvaluator, { editDistanceIndex, substringAutomaton });
+    }
+
+    // Ruta de error: un body que no pasó por el esquema
+    const res = fakeResponse();
+    await PasswordController.evaluatePassword(fakeRequest({ password: { secret: PASSWORDS.at(-1) } }), res);
+    assert.ok(res.statusCode >= 400);
+  } finally {
+    Object.assign(console, originals);
+  }
+
+  assert.ok(lines.length > 0, 'la evaluación debe registrar algo (carga del diccionario, errores)');
+  assert.deepEqual(consoleLines, []);
+  assertNoFragments(lines.join('\n'), derived);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenApiSpec } from '../src/openApiSpec.js';
+
+/**
+ * VALIDACIÓN DEL BODY según requestBody.required de cada operación
+ */
+
+const fakeRequest = (headers, body) => {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    body,
+    get: (name) => lower[name.toLowerCase()],
+    // Como type-is: sin cuerpo no hay tipo
+    is: (type) => OpenApiSpec.hasBody({ get: (name) => lower[name.toLowerCase()] }) && lower['content-type']?.startsWith(type) ? type : null
+  };
+};
+
+const bodyErrors = (operationId, req) => OpenApiSpec.validateBody(OpenApiSpec.getOperation(operationId).operation.requestBody, req);
+
+test('body opcional: sin datos se acepta con cualquier Content-Type', () => {
+  for (const headers of [{}, { 'Content-Type': 'application/json' }, { 'Content-Type': 'application/x-www-form-urlencoded', 'Content-Length': '0' }]) {
+    assert.deepEqual(bodyErrors('generatePassphrase', fakeRequest(headers)), [], JSON.stringify(headers));
+  }
+});
+
+test('body opcional: si llega, se valida igual', () => {
+  const form = fakeRequest({ 'Content-Type': 'application/x-www-form-urlencoded', 'Content-Length': '11' });
+  assert.equal(bodyErrors('generatePassphrase', form)[0].code, 'contentType');
+
+  const json = fakeRequest({ 'Content-Type': 'application/json', 'Content-Length': '15' }, { wordCount: 1 });
+  assert.equal(bodyErrors('generatePassphrase', json)[0].field, 'wordCount');
+});
+
+test('body obligatorio: sin datos sigue siendo un error', () => {
+  assert.equal(bodyErrors('evaluatePassword', fakeRequest({}))[0].code, 'contentType');
+});
@@ -0,0 +1,176 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { Logger, logger } from '../src/logger.js';
+import { PasswordEvaluator } from '../src/passwordEvaluator.js';
+import { PasswordController } from '../src/controllers/passwordController.js';
+import { ResultCodes } from '../src/resultCodes.js';
+import { PassphraseGenerator } from '../src/passphraseGenerator.js';
+
+/**
+ * RESPUESTAS DEL CONTROLADOR: la verificación de fuga (SECURITY_BREACH)
+ * solo salta con campos derivados de la contraseña.
+ */
+
+const DICTIONARY = ['dragon', 'sunshine', 'qwerty123', 'letmein'];
+
+// Contenidas en el id de una distribución de teclado ("qwerty", "azerty")
+const LAYOUT_PASSWORDS = ['wert', 'azerty'];
+
+const fakeRequest = (body) => {
+  const id = Logger.generateRequestId();
+  return {
+    id,
+    log: logger.child({ requestId: id }),
+    body,
+    query: {},
+    params: {},
+    headers: {},
+    method: 'POST',
+    get: () => undefined,
+    is: () => false
+  };
+};
+
+const fakeResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { res.headers[name] = value; return res; },
+    vary() { return res; },
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; }
+  };
+  return res;
+};
+
+before(() => {
+  logger.configure({ level: 'silent' });
+  PasswordEvaluator.setDictionaryProvider({ name: 'test', load: async () => new Set(DICTIONARY) });
+});
+
+test('una contraseña contenida en el id de la distribución de teclado no es una fuga', async () => {
+  for (const password of LAYOUT_PASSWORDS) {
+    const res = fakeResponse();
+    await PasswordController.evaluatePassword(fakeRequest({ password }), res);
+
+    assert.equal(res.statusCode, 200, `${password}: ${res.body.error}`);
+    assert.ok(res.body.data.evaluation.similarityAnalysis.keyboardLayout.includes(password));
+  }
+});
+
+test('lote: las mismas contraseñas se evalúan sin SECURITY_BREACH', async () => {
+  const res = fakeResponse();
+  await PasswordController.evaluateBatch(fakeRequest({ items: LAYOUT_PASSWORDS.map((password, index) => ({ id: `k${index}`, password })) }), res);
+
+  assert.equal(res.statusCode, 200);
+  for (const result of Object.values(res.body.data.results)) {
+    assert.equal(result.success, true, result.error);
+  }
+});
+
+test('lote: la distribución de categorías va por código, no por el texto localizado', async () => {
+  const res = fakeResponse();
+  await PasswordController.evaluateBatch(fakeRequest({ items: ['dragon', 'letmein', 'Zq8#vTn2!rLw'] }), res);
+
+  const { categoryDistribution } = res.body.data.aggregates;
+  assert.ok(Object.keys(categoryDistribution).every(code => ResultCodes.STRENGTH.includes(code)), Object.keys(categoryDistribution).join());
+  assert.equal(Object.values(categoryDistribution).reduce((sum, count) => sum + count, 0), 3);
+});
+
+test('lote: un id como "__proto__" conserva su resultado', async () => {
+  const res = fakeResponse();
+  await PasswordController.evaluateBatch(fakeRequest({ items: [{ id: '__proto__', password: 'dragon' }, { id: 'constructor', password: 'sunshine' }] }), res);
+
+  const results = JSON.parse(JSON.stringify(res.body.data.results));
+  assert.deepEqual(Object.keys(results), ['__proto__', 'constructor']);
+  assert.equal(results.__proto__.success, true);
+  assert.equal(results.__proto__.evaluation.similarityAnalysis.matchedPassword, 'dragon');
+});
+
+test('la contraseña en un campo no reconocido sigue siendo una fuga', async () => {
+  const evaluation = await PasswordEvaluator.evaluatePasswordSecurely('wert');
+  assert.equal(PasswordController.leaksPassword('wert', evaluation), false);
+
+  evaluation.similarityAnalysis.extra = { note: 'contiene wert' };
+  assert.equal(PasswordController.leaksPassword('wert', evaluation), true);
+
+  evaluation.similarityAnalysis.extra = ['xwertx'];
+  assert.equal(PasswordController.leaksPassword('wert', evaluation), true);
+});
+
+test('la coincidencia exacta con el diccionario es la única aparición legítima', async () => {
+  const evaluation = await PasswordEvaluator.evaluatePasswordSecurely('dragon');
+  assert.equal(evaluation.similarityAnalysis.matchedPassword, 'dragon');
+  assert.equal(PasswordController.leaksPassword('dragon', evaluation), false);
+});
+
+test('sin índices (remoción de caracteres), los detalles solo dan posiciones', async () => {
+  const { editDistanceIndex, substringAutomaton } = PasswordEvaluator;
+  PasswordEvaluator.editDistanceIndex = null;
+  PasswordEvaluator.substringAutomaton = null;
+  try {
+    for (const [password, added, similarityType] of [['drag#on', '#', 'CHARACTER_REMOVAL'], ['dragqozn', 'qz', 'TWO_CHARACTERS_REMOVAL']]) {
+      const evaluation = await PasswordEvaluator.evaluatePasswordSecurely(password);
+
+      assert.equal(evaluation.similarityAnalysis.similarityType, similarityType);
+      assert.ok(!evaluation.similarityAnalysis.details.includes(added), evaluation.similarityAnalysis.details);
+      assert.ok(evaluation.recommendations.every(({ text }) => !text.includes(`'${added}'`)));
+    }
+  } finally {
+    Object.assign(PasswordEvaluator, { editDistanceIndex, substringAutomaton });
+  }
+});
+
+test('los textos interpolados (recomendaciones, tiempos) también se inspeccionan', async () => {
+  const evaluation = await PasswordEvaluator.evaluatePasswordSecurely('wert');
+
+  evaluation.recommendations[0].text = 'Muy similar (wert)';
+  assert.equal(PasswordController.leaksPassword('wert', evaluation), true);
+
+  delete evaluation.recommendations[0].text;
+  evaluation.crackingTime = { formatted: 'wert' };
+  assert.equal(PasswordController.leaksPassword('wert', evaluation), true);
+});
+
+test('errores de los generadores: mensaje saneado y requestId', async () => {
+  const internal = new Error('ENOENT: /srv/app/src/wordlists/es.txt');
+  const originals = { generateSecurePassword: PasswordEvaluator.generateSecurePassword, generate: PassphraseGenerator.generate };
+  PasswordEvaluator.generateSecurePassword = () => { throw internal; };
+  PassphraseGenerator.generate = async () => { throw internal; };
+
+  try {
+    for (const handler of [PasswordController.generatePassword, PasswordController.generatePassphrase]) {
+      const req = fakeRequest({});
+      const res = fakeResponse();
+      await handler(req, res);
+
+      assert.equal(res.statusCode, 500);
+      assert.equal(res.body.error, 'GENERATION_ERROR');
+      assert.equal(res.body.requestId, req.id);
+      assert.ok(!res.body.message.includes('ENOENT'), res.body.message);
+    }
+  } finally {
+    Object.assign(PasswordEvaluator, { generateSecurePassword: originals.generateSecurePassword });
+    Object.assign(PassphraseGenerator, { generate: originals.generate });
+  }
+
+  const req = fakeRequest({ language: 'xx' });
+  const res = fakeResponse();
+  await PasswordController.generatePassphrase(req, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'INVALID_LANGUAGE');
+  assert.equal(res.body.requestId, req.id);
+});
+
+test('la fórmula de la frase de paso va en el idioma de la respuesta', async () => {
+  for (const [lang, unit] of [['en', 'words'], ['es', 'palabras']]) {
+    const req = fakeRequest({ wordCount: 4, language: 'es' });
+    req.query = { lang };
+    const res = fakeResponse();
+    await PasswordController.generatePassphrase(req, res);
+
+    assert.equal(res.statusCode, 200, res.body.error);
+    assert.match(res.body.data.generatorEntropy.formula, new RegExp(`^E = 4 × log₂\\(2048\\) = 44 bits \\(${unit}\\)$`));
+  }
+});
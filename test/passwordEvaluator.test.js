@@ -0,0 +1,84 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { logger } from '../src/logger.js';
+import { PasswordEvaluator } from '../src/passwordEvaluator.js';
+import { HashIndex } from '../src/hashIndex.js';
+
+/**
+ * DETECCIÓN DE SIMILITUD: qué estrategia gana cuando varias coinciden,
+ * y el rango del diccionario por contraseña y por hash
+ */
+
+const DICTIONARY = ['dragon', 'password', 'sunshine', 'letmein'];
+
+before(async () => {
+  logger.configure({ level: 'silent' });
+  PasswordEvaluator.setDictionaryProvider({ name: 'test', load: async () => new Set(DICTIONARY) });
+  await PasswordEvaluator.ensureDictionaryLoaded();
+});
+
+test('leet speak se reporta como sustitución, no como distancia de edición', () => {
+  for (const [password, match, positions] of [['p4ssw0rd', 'password', [2, 6]], ['dr4g0n', 'dragon', [3, 5]]]) {
+    const similarity = PasswordEvaluator.checkPasswordSimilarity(password);
+
+    assert.equal(similarity.similarityType, 'LEET_SPEAK_SUBSTITUTION', password);
+    assert.equal(similarity.matchedPassword, match);
+    assert.deepEqual(similarity.substitutedPositions, positions);
+  }
+});
+
+test('sin sustituciones, la distancia de edición sigue detectando la variante', () => {
+  const similarity = PasswordEvaluator.checkPasswordSimilarity('letmeim');
+
+  assert.equal(similarity.similarityType, 'EDIT_DISTANCE');
+  assert.equal(similarity.matchedPassword, 'letmein');
+});
+
+test('dictionaryRank es el mismo con la contraseña y con su hash', async () => {
+  for (const [position, entry] of DICTIONARY.entries()) {
+    assert.equal(PasswordEvaluator.getDictionaryRank(entry), position + 1);
+
+    for (const algorithm of Object.keys(HashIndex.ALGORITHMS)) {
+      const hash = HashIndex.ALGORITHMS[algorithm].hash(entry).toString('hex');
+      const evaluation = await PasswordEvaluator.evaluateHashSecurely(hash, algorithm);
+      assert.equal(evaluation.dictionaryAnalysis.dictionaryRank, position + 1, `${entry} (${algorithm})`);
+    }
+  }
+});
+
+test('una recarga durante la construcción de los índices de hashes no mezcla diccionarios', async () => {
+  const first = ['dragon', 'password', 'sunshine', 'letmein', 'monkey'];
+  let entries = first;
+  PasswordEvaluator.setDictionaryProvider({ name: 'test', load: async () => new Set(entries) });
+  await PasswordEvaluator.ensureDictionaryLoaded();
+  const { version } = PasswordEvaluator.dictionaryInfo;
+
+  // La primera construcción espera a que termine la recarga
+  const buildHashIndexes = PasswordEvaluator.buildHashIndexes;
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  PasswordEvaluator.buildHashIndexes = async function (collection) {
+    PasswordEvaluator.buildHashIndexes = buildHashIndexes;
+    await gate;
+    return buildHashIndexes.call(this, collection);
+  };
+
+  try {
+    const hash = HashIndex.ALGORITHMS.sha1.hash('monkey').toString('hex');
+    const pending = PasswordEvaluator.evaluateHashSecurely(hash, 'sha1');
+
+    entries = ['qwerty', 'abc123'];
+    await PasswordEvaluator.reloadDictionary();
+    assert.equal(PasswordEvaluator.dictionaryInfo.size, 2);
+    release();
+
+    const { dictionaryAnalysis } = await pending;
+    assert.equal(dictionaryAnalysis.isCommonPassword, true);
+    assert.equal(dictionaryAnalysis.dictionaryRank, 5);
+    assert.equal(dictionaryAnalysis.dictionarySize, 5);
+    assert.equal(dictionaryAnalysis.dictionaryVersion, version);
+  } finally {
+    PasswordEvaluator.buildHashIndexes = buildHashIndexes;
+    PasswordEvaluator.setDictionaryProvider({ name: 'test', load: async () => new Set(DICTIONARY) });
+  }
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PasswordPolicy } from '../src/passwordPolicy.js';
+
+/**
+ * POLÍTICAS: el análisis de diccionario solo se pide si una regla lo usa
+ */
+
+const policy = (rules) => new PasswordPolicy({ name: 'prueba', rules });
+
+test('requiresAnalysis: las reglas booleanas desactivadas no piden análisis', () => {
+  assert.equal(policy({ minLength: 8 }).requiresAnalysis(), false);
+  assert.equal(policy({ minLength: 8, banDictionaryHits: false, banSimilarPasswords: false }).requiresAnalysis(), false);
+
+  assert.equal(policy({ banDictionaryHits: true }).requiresAnalysis(), true);
+  assert.equal(policy({ banSimilarPasswords: true, banDictionaryHits: false }).requiresAnalysis(), true);
+  assert.equal(policy({ minEstimatedEntropy: 0 }).requiresAnalysis(), true);
+});
+
+test('sin análisis, una política con reglas booleanas desactivadas se evalúa igual', () => {
+  const result = policy({ minLength: 8, banDictionaryHits: false, banSimilarPasswords: false }).evaluate('dragon', null);
+
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.failedRules, ['MIN_LENGTH']);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PatternEstimator } from '../src/patternEstimator.js';
+
+/**
+ * ESTIMADOR POR PATRONES: el coste no crece con entradas muy largas, y lo
+ * que no se analiza sigue sumando intentos
+ */
+
+const DICTIONARY = new Set(['password', 'dragon']);
+
+test('solo se buscan patrones en los primeros MAX_ANALYSED_LENGTH caracteres', () => {
+  const limit = PatternEstimator.MAX_ANALYSED_LENGTH;
+  const password = 'Zq8#vTn2!rLw'.repeat(83);
+
+  const estimate = PatternEstimator.estimate(password, { dictionary: DICTIONARY });
+  const analysed = PatternEstimator.estimate(password.slice(0, limit), { dictionary: DICTIONARY });
+  assert.deepEqual(estimate.segments.slice(0, -1), analysed.segments);
+
+  const repeated = PatternEstimator.estimate('a'.repeat(1000), { dictionary: DICTIONARY });
+  assert.deepEqual(repeated.segments.map(({ pattern, i, j }) => ({ pattern, i, j })), [
+    { pattern: 'repeat', i: 0, j: limit - 1 },
+    { pattern: 'bruteforce', i: limit, j: 999 }
+  ]);
+});
+
+test('lo que pasa del límite cuenta como un segmento de fuerza bruta', () => {
+  const limit = PatternEstimator.MAX_ANALYSED_LENGTH;
+  const tail = 'Zq8#vTn2!rLw';
+
+  const weak = PatternEstimator.estimate('a'.repeat(limit), { dictionary: DICTIONARY });
+  const estimate = PatternEstimator.estimate('a'.repeat(limit) + tail, { dictionary: DICTIONARY });
+
+  assert.deepEqual(estimate.segments.at(-1), {
+    pattern: 'bruteforce',
+    i: limit,
+    j: limit + tail.length - 1,
+    keyspace: 94,
+    length: tail.length,
+    guessesLog10: Math.round(tail.length * Math.log10(94) * 100) / 100
+  });
+
+  const tailBits = tail.length * Math.log2(94) + PatternEstimator.SEGMENT_PENALTY_BITS;
+  assert.ok(Math.abs(estimate.entropy - weak.entropy - tailBits) < 0.02, `${estimate.entropy} - ${weak.entropy}`);
+  assert.ok(estimate.entropy > 78);
+});
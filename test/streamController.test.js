@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { StreamController } from '../src/controllers/streamController.js';
+
+/**
+ * WEBSOCKET: la clave llega como subprotocolo y la IP del límite de
+ * conexiones es la misma que req.ip en REST
+ */
+
+const upgradeRequest = (headers) => ({ headers, socket: { remoteAddress: '10.0.0.1' } });
+
+test('la API key se lee del subprotocolo "apikey.<clave>"', () => {
+  assert.equal(StreamController.extractProtocolKey({ 'sec-websocket-protocol': 'password-meter, apikey.pea_abc-_1' }), 'pea_abc-_1');
+  assert.equal(StreamController.extractProtocolKey({ 'sec-websocket-protocol': 'password-meter' }), null);
+  assert.equal(StreamController.extractProtocolKey({ 'sec-websocket-protocol': 'apikey.' }), null);
+  assert.equal(StreamController.extractProtocolKey({}), null);
+});
+
+test('clientIp sigue TRUST_PROXY como req.ip', () => {
+  const headers = { 'x-forwarded-for': '203.0.113.7' };
+
+  const direct = express();
+  assert.equal(StreamController.clientIp(upgradeRequest(headers), direct), '10.0.0.1');
+
+  const behindProxy = express();
+  behindProxy.set('trust proxy', 1);
+  assert.equal(StreamController.clientIp(upgradeRequest(headers), behindProxy), '203.0.113.7');
+  assert.equal(StreamController.clientIp(upgradeRequest({}), behindProxy), '10.0.0.1');
+});